@@ -0,0 +1,10 @@
+// Background jobs started by server.js (see utils/scheduler.js).
+const raceLifecycleJobs = require('./raceLifecycle');
+const raceTemplateJobs = require('./raceTemplates');
+const progressionJobs = require('./progression');
+
+module.exports = [
+  ...raceLifecycleJobs,
+  ...raceTemplateJobs,
+  ...progressionJobs,
+];
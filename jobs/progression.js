@@ -0,0 +1,39 @@
+const User = require('../models/User');
+const { reconcileUserProgression } = require('../utils/raceProgress');
+
+const RECONCILE_PROGRESSION_INTERVAL_MS = Number(process.env.JOB_RECONCILE_PROGRESSION_INTERVAL_MS || 60 * 60_000);
+// Users recomputed per run, longest-unreconciled first.
+const RECONCILE_PROGRESSION_BATCH_SIZE = Number(process.env.JOB_RECONCILE_PROGRESSION_BATCH_SIZE || 200);
+
+// Recomputes lifetime km from race days and XP from the XP ledger for the
+// users reconciled longest ago (never-reconciled ones first) and fixes any
+// drift, e.g. from a sync that was interrupted between the race and user
+// writes.
+async function reconcileProgression(now = new Date()) {
+  const users = await User.find({})
+    .sort({ progressionReconciledAt: 1, _id: 1 })
+    .limit(RECONCILE_PROGRESSION_BATCH_SIZE)
+    .select('_id');
+
+  let corrected = 0;
+  let failed = 0;
+  for (const user of users) {
+    try {
+      const result = await reconcileUserProgression(user._id, now);
+      if (!result?.drifted) continue;
+      corrected += 1;
+      console.log(
+        `🧮 [JOBS] Progression of user ${user._id} reconciled: ${result.before.totalKmLifetime} km / ${result.before.totalXp} XP -> ${result.after.totalKmLifetime} km / ${result.after.totalXp} XP`,
+      );
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ [JOBS] Reconciling progression of user ${user._id} failed:`, error.message);
+    }
+  }
+
+  return { scanned: users.length, corrected, failed };
+}
+
+module.exports = [
+  { name: 'reconcile-progression', intervalMs: RECONCILE_PROGRESSION_INTERVAL_MS, run: reconcileProgression },
+];
@@ -0,0 +1,190 @@
+const Race = require('../models/Race');
+const RaceTemplate = require('../models/RaceTemplate');
+const User = require('../models/User');
+const RaceInvite = require('../models/RaceInvite');
+const RaceAudit = require('../models/RaceAudit');
+const HealthSyncFlag = require('../models/HealthSyncFlag');
+const { refreshFinishResolution, runFinishEffects } = require('../utils/raceFinish');
+const { deleteFromS3 } = require('../utils/awsUpload');
+const { exclusiveRaceKm } = require('../utils/raceProgress');
+const { awardRaceResults } = require('../utils/progression');
+const { runInTransaction } = require('../utils/transactions');
+
+const RACE_STATUS_INTERVAL_MS = Number(process.env.JOB_RACE_STATUS_INTERVAL_MS || 60_000);
+const FINALIZE_WINNERS_INTERVAL_MS = Number(process.env.JOB_FINALIZE_WINNERS_INTERVAL_MS || 30_000);
+const EXPIRE_INVITES_INTERVAL_MS = Number(process.env.JOB_EXPIRE_INVITES_INTERVAL_MS || 5 * 60_000);
+const PURGE_DELETED_RACES_INTERVAL_MS = Number(process.env.JOB_PURGE_DELETED_RACES_INTERVAL_MS || 60 * 60_000);
+// Time-boxed races that ended longer ago than this are not re-scanned for a winner.
+const FINALIZE_LOOKBACK_MS = Number(process.env.JOB_FINALIZE_LOOKBACK_MS || 7 * 24 * 60 * 60_000);
+
+// Moves races upcoming -> active -> completed by date, mirroring the
+// Race pre('save') hook for races nobody saves.
+async function updateRaceStatuses(now = new Date()) {
+  const activated = await Race.updateMany(
+    { status: { $ne: 'active' }, startDate: { $lte: now }, endDate: { $gte: now } },
+    { $set: { status: 'active' } },
+  );
+  const completed = await Race.updateMany(
+    { status: { $ne: 'completed' }, endDate: { $lt: now } },
+    { $set: { status: 'completed' } },
+  );
+  const upcoming = await Race.updateMany(
+    { status: { $ne: 'upcoming' }, startDate: { $gt: now } },
+    { $set: { status: 'upcoming' } },
+  );
+
+  return {
+    activated: activated.modifiedCount || 0,
+    completed: completed.modifiedCount || 0,
+    upcoming: upcoming.modifiedCount || 0,
+  };
+}
+
+// Grants finish and win XP for races whose winner became final since they
+// were last awarded, taking back what an earlier result granted that no
+// longer holds. Runs after the finalizing save committed (wherever it
+// happened), with the grants and the race's xpAwardedAt in one transaction.
+async function awardFinalizedRaces(now = new Date()) {
+  const races = await Race.find({
+    'finishResolution.finalizedAt': { $ne: null },
+    $or: [
+      { 'finishResolution.xpAwardedAt': null },
+      { $expr: { $lt: ['$finishResolution.xpAwardedAt', '$finishResolution.finalizedAt'] } },
+    ],
+  }).select('_id');
+
+  let awarded = 0;
+  for (const { _id } of races) {
+    try {
+      await runInTransaction(async (session) => {
+        const race = await Race.findById(_id).session(session);
+        const resolution = race?.finishResolution;
+        if (!resolution?.finalWinner) return;
+        await awardRaceResults(race, resolution.finalWinner, { session, now });
+        // Left unstamped if it was re-finalized meanwhile, to award again.
+        await Race.updateOne(
+          { _id, 'finishResolution.finalizedAt': resolution.finalizedAt },
+          { $set: { 'finishResolution.xpAwardedAt': now } },
+          { session },
+        );
+      }, { label: `result XP for race ${_id}` });
+      awarded += 1;
+    } catch (error) {
+      console.error(`❌ [JOBS] Result XP for race ${_id} failed:`, error.message);
+    }
+  }
+  return awarded;
+}
+
+// Finalizes winners whose confirmation window has passed, and opens
+// arbitration for time-boxed races that reached endDate. Then grants the
+// XP of races finalized here or by a request.
+async function finalizeRaceWinners(now = new Date()) {
+  const races = await Race.find({
+    $or: [
+      {
+        'finishResolution.finalWinner': null,
+        'finishResolution.confirmationWindowEndsAt': { $ne: null, $lte: now },
+      },
+      {
+        'teamResolution.finalTeam': null,
+        'teamResolution.confirmationWindowEndsAt': { $ne: null, $lte: now },
+      },
+      {
+        format: { $in: ['max_distance', 'daily_streak'] },
+        endDate: { $lte: now, $gte: new Date(now.getTime() - FINALIZE_LOOKBACK_MS) },
+        'finishResolution.provisionalWinner': null,
+      },
+    ],
+  });
+
+  let finalized = 0;
+  for (const race of races) {
+    const { changed, effects } = refreshFinishResolution(race, now);
+    if (changed) {
+      await race.save();
+      runFinishEffects(effects);
+      finalized += 1;
+    }
+  }
+
+  const awarded = await awardFinalizedRaces(now);
+
+  return { scanned: races.length, updated: finalized, awarded };
+}
+
+// Expires pending invites for races that ended or no longer exist.
+async function expireEndedRaceInvites(now = new Date()) {
+  const raceIds = await RaceInvite.distinct('race', { status: 'pending' });
+  if (!raceIds.length) return { expired: 0 };
+
+  const openRaceIds = await Race.find({
+    _id: { $in: raceIds },
+    endDate: { $gte: now },
+  }).distinct('_id');
+  const openSet = new Set(openRaceIds.map((id) => id.toString()));
+  const closedRaceIds = raceIds.filter((id) => !openSet.has(id.toString()));
+  if (!closedRaceIds.length) return { expired: 0 };
+
+  const result = await RaceInvite.updateMany(
+    { status: 'pending', race: { $in: closedRaceIds } },
+    { $set: { status: 'expired', respondedAt: now } },
+  );
+  return { expired: result.modifiedCount || 0 };
+}
+
+// Whether another race (deleted ones too: they can still be restored) or a
+// race template uses an image. Races spawned from a template share its
+// image, and a race can be created with an existing image URL.
+async function imageInUse(imageUrl, raceId) {
+  const [race, template] = await Promise.all([
+    Race.exists({ _id: { $ne: raceId }, imageUrl }).setOptions({ withDeleted: true }),
+    RaceTemplate.exists({ imageUrl }),
+  ]);
+  return Boolean(race || template);
+}
+
+// Permanently removes races deleted longer ago than the restore window,
+// with their S3 image (unless something else still uses it), invites,
+// quarantined sync days and audit log. The
+// km only the race held move to each participant's User.purgedRaceKm, so
+// progression reconciliation keeps counting them.
+async function purgeDeletedRaces(now = new Date()) {
+  const races = await Race.find({
+    deletedAt: { $ne: null, $lte: new Date(now.getTime() - Race.RESTORE_WINDOW_MS) },
+  }).select('_id imageUrl participants.user participants.dailyDistances');
+
+  let images = 0;
+  for (const race of races) {
+    if (race.imageUrl && !await imageInUse(race.imageUrl, race._id) && await deleteFromS3(race.imageUrl)) {
+      images += 1;
+    }
+    await Promise.all([
+      RaceInvite.deleteMany({ race: race._id }),
+      HealthSyncFlag.deleteMany({ race: race._id }),
+      RaceAudit.deleteMany({ race: race._id }),
+    ]);
+    await runInTransaction(async (session) => {
+      for (const participant of race.participants) {
+        const km = await exclusiveRaceKm(race, participant.user, { session });
+        if (km > 0) {
+          await User.updateOne(
+            { _id: participant.user },
+            { $inc: { purgedRaceKm: Number(km.toFixed(2)) } },
+            { session },
+          );
+        }
+      }
+      await Race.deleteOne({ _id: race._id }, { session });
+    }, { label: `purge of race ${race._id}` });
+  }
+
+  return { purged: races.length, images };
+}
+
+module.exports = [
+  { name: 'race-status', intervalMs: RACE_STATUS_INTERVAL_MS, run: updateRaceStatuses },
+  { name: 'finalize-winners', intervalMs: FINALIZE_WINNERS_INTERVAL_MS, run: finalizeRaceWinners },
+  { name: 'expire-invites', intervalMs: EXPIRE_INVITES_INTERVAL_MS, run: expireEndedRaceInvites },
+  { name: 'purge-deleted-races', intervalMs: PURGE_DELETED_RACES_INTERVAL_MS, run: purgeDeletedRaces },
+];
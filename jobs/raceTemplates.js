@@ -0,0 +1,36 @@
+const RaceTemplate = require('../models/RaceTemplate');
+const { spawnNextRace } = require('../utils/raceTemplates');
+
+const SPAWN_RACES_INTERVAL_MS = Number(process.env.JOB_SPAWN_RACES_INTERVAL_MS || 10 * 60_000);
+
+// Creates the next race of every recurring template whose spawn time has
+// come (see utils/raceTemplates.js). One race per template per run.
+async function spawnRecurringRaces(now = new Date()) {
+  const templates = await RaceTemplate.find({
+    active: true,
+    recurrence: { $ne: null },
+    nextSpawnAt: { $ne: null, $lte: now },
+  });
+
+  let spawned = 0;
+  let enrolled = 0;
+  let failed = 0;
+  for (const template of templates) {
+    try {
+      const result = await spawnNextRace(template, now);
+      if (result) {
+        spawned += 1;
+        enrolled += result.enrolled.length;
+      }
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ [JOBS] Spawning race from template ${template._id} failed:`, error.message);
+    }
+  }
+
+  return { templates: templates.length, spawned, enrolled, failed };
+}
+
+module.exports = [
+  { name: 'spawn-recurring-races', intervalMs: SPAWN_RACES_INTERVAL_MS, run: spawnRecurringRaces },
+];
@@ -41,4 +41,11 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
+// Like authMiddleware, but lets requests without an Authorization header
+// through anonymously (req.userId stays unset).
+authMiddleware.optional = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  return authMiddleware(req, res, next);
+};
+
 module.exports = authMiddleware;
@@ -0,0 +1,51 @@
+const User = require('../models/User');
+
+const ROLES = ['user', 'organizer', 'admin'];
+
+// Loads the caller's role onto req.userRole. Use after authMiddleware; the
+// role is read from the database so role changes apply immediately.
+const loadUserRole = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('role');
+    if (!user) {
+      console.log(`❌ [AUTH] User not found: ${req.userId}`);
+      return res.status(401).json({ message: 'User not found' });
+    }
+    req.userRole = user.role || 'user';
+    next();
+  } catch (error) {
+    console.error(`❌ [AUTH] Error loading role: ${error.message}`);
+    return res.status(500).json({ message: 'Authorization error', error: error.message });
+  }
+};
+
+// loadUserRole for routes using authMiddleware.optional; anonymous requests
+// pass through without a role.
+const loadOptionalUserRole = (req, res, next) => (
+  req.userId ? loadUserRole(req, res, next) : next()
+);
+
+// Allows the request only for the given roles. Admins always pass.
+const requireRole = (...roles) => (req, res, next) => loadUserRole(req, res, () => {
+  if (req.userRole === 'admin' || roles.includes(req.userRole)) {
+    return next();
+  }
+  console.log(`🚫 [AUTH] User ${req.userId} (${req.userRole}) needs role: ${roles.join(' or ')}`);
+  return res.status(403).json({ message: 'Insufficient permissions' });
+});
+
+// Whether the caller (after loadUserRole) may manage the race: admins,
+// the creator and co-organizers.
+const canManageRace = (req, race) => req.userRole === 'admin' || race.isOrganizer(req.userId);
+
+// Whether the caller may delete the race or change its organizers.
+const canOwnRace = (req, race) => req.userRole === 'admin' || race.isCreator(req.userId);
+
+module.exports = {
+  ROLES,
+  loadUserRole,
+  loadOptionalUserRole,
+  requireRole,
+  canManageRace,
+  canOwnRace,
+};
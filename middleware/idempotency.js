@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const MAX_KEY_LENGTH = 200;
+
+function fingerprintBody(body) {
+  const { idempotencyKey, ...rest } = body || {};
+  return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+}
+
+// Claims a processing key whose deadline passed (keys stored before
+// deadlines existed go by createdAt). Null when it isn't stale, or another
+// retry claimed it first.
+async function takeOverStaleKey(existing, now = new Date()) {
+  const deadline = existing.processingUntil ||
+    new Date(existing.createdAt.getTime() + IdempotencyKey.PROCESSING_TIMEOUT_MS);
+  if (deadline > now) return null;
+  return IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: 'processing', processingUntil: existing.processingUntil ?? null },
+    { $set: { processingUntil: new Date(now.getTime() + IdempotencyKey.PROCESSING_TIMEOUT_MS) } },
+    { new: true },
+  ).catch(() => null);
+}
+
+// Makes a route safe to retry. Requests carrying an Idempotency-Key header
+// (or body.idempotencyKey) are applied once per user and scope; a retry gets
+// the stored response with an Idempotent-Replayed header. Server errors are
+// not stored, so those can be retried, and a retry takes over a key whose
+// request is still processing past its deadline. Use after authMiddleware;
+// requests without a key pass through.
+const idempotent = (scope) => async (req, res, next) => {
+  const key = String(req.get('Idempotency-Key') || req.body?.idempotencyKey || '').trim();
+  if (!key) return next();
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const fingerprint = fingerprintBody(req.body);
+  let record;
+  let existing = null;
+  try {
+    record = await IdempotencyKey.create({ user: req.userId, scope, key, fingerprint });
+  } catch (error) {
+    if (error.code === 11000) {
+      // Lean, so a key stored without processingUntil reads as such.
+      existing = await IdempotencyKey.findOne({ user: req.userId, scope, key }).lean().catch(() => null);
+    } else {
+      console.error(`❌ [IDEMPOTENCY] Error storing key: ${error.message}`);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  if (!record) {
+    if (!existing) {
+      return res.status(409).json({ message: 'Request with this idempotency key failed; try again' });
+    }
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({ message: 'Idempotency key was already used with a different request' });
+    }
+    if (existing.status === 'completed') {
+      console.log(`🔁 [IDEMPOTENCY] Replaying ${scope} response for key ${key} (user ${req.userId})`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.response);
+    }
+    record = await takeOverStaleKey(existing);
+    if (!record) {
+      return res.status(409).json({ message: 'Request with this idempotency key is still being processed' });
+    }
+    console.log(`♻️  [IDEMPOTENCY] Taking over stale ${scope} key ${key} (user ${req.userId})`);
+  }
+
+  req.idempotencyKey = key;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const stored = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { status: 'completed', statusCode: res.statusCode, response: body } },
+      );
+    stored.catch((error) => console.error(`❌ [IDEMPOTENCY] Error saving response: ${error.message}`));
+    return json(body);
+  };
+  next();
+};
+
+module.exports = {
+  idempotent,
+};
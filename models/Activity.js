@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = ['run', 'walk', 'cycle'];
+
+const sampleSchema = new mongoose.Schema({
+  _id: false,
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90,
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180,
+  },
+  elevation: {
+    type: Number,
+    default: null,
+  },
+  time: {
+    type: Date,
+    default: null,
+  },
+});
+
+// A single workout. Its distance is rolled up, per day, into the user's race
+// dailyDistances.
+const activitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    required: true,
+  },
+  startTime: {
+    type: Date,
+    required: true,
+  },
+  endTime: {
+    type: Date,
+    required: true,
+  },
+  // Day (YYYY-MM-DD) startTime falls on in the user's time zone; the day the
+  // distance counts for.
+  day: {
+    type: String,
+    required: true,
+  },
+  distanceKm: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  durationSec: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // e.g. "Apple Watch Series 9", "Garmin Forerunner 265".
+  sourceDevice: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // How the distance was obtained: reported by the client, recorded by the
+  // device in an imported file, or measured from the GPS samples.
+  distanceSource: {
+    type: String,
+    enum: ['reported', 'device', 'gps'],
+    default: 'reported',
+  },
+  // Set for activities imported from a file.
+  importFormat: {
+    type: String,
+    enum: ['gpx', 'tcx', 'fit'],
+    default: null,
+  },
+  // SHA-256 of the imported file, used to reject re-imports.
+  fileHash: {
+    type: String,
+    default: null,
+  },
+  // S3 key of the archived original file, when archiving is enabled.
+  archiveKey: {
+    type: String,
+    default: null,
+  },
+  samples: {
+    type: [sampleSchema],
+    default: [],
+  },
+}, {
+  timestamps: true,
+});
+
+activitySchema.index({ user: 1, startTime: -1 });
+activitySchema.index({ user: 1, day: 1 });
+activitySchema.index(
+  { user: 1, fileHash: 1 },
+  { unique: true, partialFilterExpression: { fileHash: { $type: 'string' } } },
+);
+
+activitySchema.statics.ACTIVITY_TYPES = ACTIVITY_TYPES;
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { ACTIVITY_TYPES } = require('./Activity');
+const { DEFAULT_SYNC_SOURCE } = require('../utils/syncSources');
+
+// A Health sync day total held back by the plausibility rules. It is only
+// applied to the participant once the race creator approves it.
+const healthSyncFlagSchema = new mongoose.Schema({
+  race: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Race',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // ISO day (YYYY-MM-DD) the distance belongs to.
+  day: {
+    type: String,
+    required: true,
+  },
+  // The day's raw km for this activity type (not multiplied), as reported
+  // by `source`.
+  activityType: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    default: 'run',
+  },
+  source: {
+    type: String,
+    trim: true,
+    default: DEFAULT_SYNC_SOURCE,
+  },
+  distanceKm: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  previousDistanceKm: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  reasons: [{
+    type: String,
+    enum: ['max_km_per_day', 'outside_race_window', 'before_joined_at', 'jump_since_last_sync'],
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  reviewedAt: {
+    type: Date,
+    default: null,
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: true,
+});
+
+healthSyncFlagSchema.index({ race: 1, status: 1, createdAt: -1 });
+healthSyncFlagSchema.index({ race: 1, user: 1, day: 1, activityType: 1, source: 1, status: 1 });
+
+module.exports = mongoose.model('HealthSyncFlag', healthSyncFlagSchema);
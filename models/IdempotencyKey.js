@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 48);
+// How long a request may hold its key before a retry can take it over
+// (the first one crashed, or never answered with JSON).
+const IDEMPOTENCY_PROCESSING_TIMEOUT_MS = Number(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS || 120) * 1000;
+
+// A client-supplied request key (Idempotency-Key header) and the response it
+// got, so a retried request is answered without being applied twice. See
+// middleware/idempotency.js.
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Endpoint the key was used on, e.g. 'health_sync'.
+  scope: {
+    type: String,
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Hash of the request body; a key reused with another body is refused.
+  fingerprint: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing',
+  },
+  // While processing: when a retry may take the key over.
+  processingUntil: {
+    type: Date,
+    default: () => new Date(Date.now() + IDEMPOTENCY_PROCESSING_TIMEOUT_MS),
+  },
+  statusCode: {
+    type: Number,
+    default: null,
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: IDEMPOTENCY_TTL_HOURS * 3600 });
+
+idempotencyKeySchema.statics.PROCESSING_TIMEOUT_MS = IDEMPOTENCY_PROCESSING_TIMEOUT_MS;
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
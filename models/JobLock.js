@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One document per background job. Whoever holds an unexpired lock
+// (lockedUntil in the future) is the only instance allowed to run the job.
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  owner: {
+    type: String,
+    default: null,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastRunAt: {
+    type: Date,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// What a notification is about; also the keys of a user's
+// notificationPreferences.types.
+const NOTIFICATION_TYPES = [
+  'friend_request',
+  'friend_request_response',
+  'race_invite',
+  'race_invite_response',
+  'overtaken',
+  'race_won',
+  'race_finished',
+  'health_flag_reviewed',
+  'race_waitlist_promoted',
+  'race_auto_enrolled',
+];
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  body: {
+    type: String,
+    trim: true,
+  },
+  // Ids the client needs to deep-link (raceId, requestId, inviteId, fromUserId...).
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({}),
+  },
+  readAt: {
+    type: Date,
+    default: null,
+  },
+  // Set for one-off events (e.g. a race win) so repeats are not stored twice.
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+}, {
+  timestamps: true,
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,47 @@
 const mongoose = require('mongoose');
+const { ACTIVITY_TYPES } = require('./Activity');
+const {
+  haversineKm,
+  decodePolyline,
+  pathDistanceKm,
+  cumulativeDistancesKm,
+  nearestPointIndex,
+  polylineDistanceKm,
+} = require('../utils/geo');
+const { toDayKey } = require('../utils/timeZones');
+
+// Who can see and join a race (see utils/raceAccess.js).
+const RACE_VISIBILITIES = ['public', 'friends', 'invite_only', 'join_code'];
+
+// What one sync source reported for a day (see utils/syncSources.js).
+const daySourceSchema = new mongoose.Schema({
+  _id: false,
+  source: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Highest raw km per activity type the source reported.
+  reported: {
+    run: { type: Number, default: 0, min: 0 },
+    walk: { type: Number, default: 0, min: 0 },
+    cycle: { type: Number, default: 0, min: 0 }
+  },
+  // Km taken off by corrections.
+  adjustments: {
+    run: { type: Number, default: 0, min: 0 },
+    walk: { type: Number, default: 0, min: 0 },
+    cycle: { type: Number, default: 0, min: 0 }
+  },
+  // Idempotency key of the sync that last raised it.
+  lastSyncId: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date
+  }
+});
 
 const participantSchema = new mongoose.Schema({
   user: {
@@ -10,16 +53,28 @@ const participantSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // One entry per day of the user's local calendar (User.timeZone), stored
+  // as UTC midnight of that day's key.
   dailyDistances: [{
     date: {
       type: Date,
       required: true
     },
+    // Distance credited to the race for this day (allowed types only,
+    // multipliers applied).
     distance: {
       type: Number,
       default: 0,
       min: 0
-    }
+    },
+    // Raw km per activity type: the sources combined by the user's merge
+    // policy.
+    activities: {
+      run: { type: Number, default: 0, min: 0 },
+      walk: { type: Number, default: 0, min: 0 },
+      cycle: { type: Number, default: 0, min: 0 }
+    },
+    sources: [daySourceSchema]
   }],
   totalDistance: {
     type: Number,
@@ -33,6 +88,90 @@ const participantSchema = new mongoose.Schema({
   },
   completedAt: {
     type: Date
+  },
+  withdrawnAt: {
+    type: Date,
+    default: null
+  },
+  // _id of the race team this participant runs for (team races only).
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  checkpointsReached: [{
+    _id: false,
+    checkpoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    reachedAt: {
+      type: Date,
+      required: true
+    }
+  }],
+  // Bumped by every progress write (see lockParticipant), so two syncs that
+  // read the same progress cannot both save it.
+  version: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Someone waiting for a spot in a full race, in join order.
+const waitlistEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Team asked for when joining; null = auto-assign on promotion.
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const checkpointSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  address: {
+    type: String
+  },
+  // Cumulative distance (km) from the start point, measured along the route.
+  distanceKm: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true
+  },
+  // Per-team membership cap (null = unlimited).
+  maxMembers: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // When the team's combined distance first covered the route
+  // (point_to_point races only).
+  completedAt: {
+    type: Date,
+    default: null
   }
 });
 
@@ -59,6 +198,36 @@ const finishResolutionSchema = new mongoose.Schema({
     type: Date,
     default: null,
   },
+  // When finish and win XP were last granted for the final winner (by the
+  // finalize-winners job); older than finalizedAt after a re-finalization.
+  xpAwardedAt: {
+    type: Date,
+    default: null,
+  },
+}, { _id: false });
+
+// Same arbitration as finishResolution, but the winner is a team _id.
+const teamResolutionSchema = new mongoose.Schema({
+  provisionalTeam: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  provisionalAt: {
+    type: Date,
+    default: null,
+  },
+  confirmationWindowEndsAt: {
+    type: Date,
+    default: null,
+  },
+  finalTeam: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  finalizedAt: {
+    type: Date,
+    default: null,
+  },
 }, { _id: false });
 
 const raceSchema = new mongoose.Schema({
@@ -101,11 +270,44 @@ const raceSchema = new mongoose.Schema({
       type: String
     }
   },
+  // Ordered intermediate checkpoints between startPoint and endPoint.
+  checkpoints: [checkpointSchema],
   // Google Directions overview polyline (encoded). Stored once, reused by clients.
   routePolyline: {
     type: String,
     trim: true
   },
+  // Road distance (km) measured along the decoded routePolyline.
+  routeDistanceKm: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // How the winner is decided:
+  // - point_to_point: first participant to cover the route distance
+  // - max_distance: most km between startDate and endDate, resolved at endDate
+  // - daily_streak: most days at or above streakThresholdKm, resolved at endDate
+  format: {
+    type: String,
+    enum: ['point_to_point', 'max_distance', 'daily_streak'],
+    default: 'point_to_point'
+  },
+  streakThresholdKm: {
+    type: Number,
+    min: 0,
+    default: 5
+  },
+  // Activity types that count toward the race, and how much each km of
+  // that type is worth (e.g. cycle: 0.3).
+  allowedActivityTypes: {
+    type: [{ type: String, enum: ACTIVITY_TYPES }],
+    default: () => [...ACTIVITY_TYPES]
+  },
+  activityMultipliers: {
+    run: { type: Number, min: 0, default: 1 },
+    walk: { type: Number, min: 0, default: 1 },
+    cycle: { type: Number, min: 0, default: 1 }
+  },
   startDate: {
     type: Date,
     required: true
@@ -121,10 +323,64 @@ const raceSchema = new mongoose.Schema({
     }
   },
   participants: [participantSchema],
+  // Optional teams. When present, every participant belongs to one team.
+  teams: [teamSchema],
+  // Max allowed difference between the largest and smallest team after a
+  // join (null = no balancing).
+  teamBalanceMaxGap: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  visibility: {
+    type: String,
+    enum: RACE_VISIBILITIES,
+    default: 'public'
+  },
+  // Shareable code for join_code races. Not loaded unless selected
+  // (+joinCode), so it never leaks through race payloads.
+  joinCode: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Max non-withdrawn participants (null = unlimited). Joins beyond it go
+  // to the waitlist, promoted in order as spots free up.
+  maxParticipants: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Joins (and new waitlist entries) are refused after this date
+  // (null = open until endDate).
+  registrationClosesAt: {
+    type: Date,
+    default: null
+  },
+  waitlist: [waitlistEntrySchema],
+  // Whether participants who left may join again (their distance is kept).
+  allowRejoin: {
+    type: Boolean,
+    default: false
+  },
   finishResolution: {
     type: finishResolutionSchema,
     default: () => ({}),
   },
+  teamResolution: {
+    type: teamResolutionSchema,
+    default: () => ({}),
+  },
+  // Per-race overrides of the Health sync plausibility rules
+  // (utils/plausibility.js). Unset fields use the server defaults.
+  plausibility: {
+    maxKmPerDay: { type: Number, min: 0 },
+    maxKmPerHour: { type: Number, min: 0 },
+    jumpWindowHours: { type: Number, min: 1 },
+    minJumpKm: { type: Number, min: 0 },
+    allowDaysOutsideWindow: { type: Boolean },
+    allowDaysBeforeJoin: { type: Boolean }
+  },
   status: {
     type: String,
     enum: ['upcoming', 'active', 'completed'],
@@ -135,6 +391,36 @@ const raceSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Co-organizers: may edit the race and review its flags, like the creator,
+  // but not delete it or change the organizer list.
+  organizers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Template this race was spawned from (see models/RaceTemplate.js).
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RaceTemplate',
+    default: null
+  },
+  // Soft delete: the race is hidden from every query (see the find hook
+  // below) and can be restored until RESTORE_WINDOW_MS has passed, after
+  // which the purge job removes it for good.
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Archived races are finished races kept for history and stats, but left
+  // out of the race list by default.
+  archivedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -143,6 +429,13 @@ const raceSchema = new mongoose.Schema({
 
 // Update status based on dates
 raceSchema.pre('save', function(next) {
+  if (this.isModified('routePolyline')) {
+    this.refreshRouteDistance();
+  }
+  if (this.isModified('routePolyline') || this.isModified('checkpoints')) {
+    this.refreshCheckpointDistances();
+  }
+
   const now = new Date();
   if (now < this.startDate) {
     this.status = 'upcoming';
@@ -154,28 +447,348 @@ raceSchema.pre('save', function(next) {
   next();
 });
 
+// Participants holding a spot as stored, for the capacity guard below.
+const STORED_ACTIVE_PARTICIPANTS = {
+  $size: {
+    $filter: {
+      input: { $ifNull: ['$participants', []] },
+      cond: { $ne: ['$$this.status', 'withdrawn'] }
+    }
+  }
+};
+
+function rememberActiveCount(race) {
+  if (race.isSelected('participants')) {
+    race.$locals.loadedActiveCount = race.countActiveParticipants();
+  }
+}
+
+raceSchema.post('init', function() {
+  rememberActiveCount(this);
+});
+
+// Capacity guard: hasOpenSpot() only sees the roster as loaded, so a save
+// that adds participants matches the race only while the stored roster
+// still has room for them. When concurrent joins took the spots, save()
+// rejects with a DocumentNotFoundError (see utils/transactions.js).
+raceSchema.pre('save', function(next) {
+  const loaded = this.$locals.loadedActiveCount;
+  if (this.isNew || this.maxParticipants == null || loaded === undefined) return next();
+  const added = this.countActiveParticipants() - loaded;
+  if (added > 0) {
+    this.$where = {
+      ...this.$where,
+      $expr: { $lte: [STORED_ACTIVE_PARTICIPANTS, this.maxParticipants - added] }
+    };
+  }
+  next();
+});
+
+// A lockParticipant or capacity guard only applies to the save it was
+// taken for.
+raceSchema.post('save', function() {
+  this.$where = undefined;
+  rememberActiveCount(this);
+});
+
+// Soft-deleted races are invisible to queries unless the filter mentions
+// deletedAt or the query sets { withDeleted: true }.
+raceSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], function(next) {
+  if (!this.getOptions().withDeleted && !('deletedAt' in this.getFilter())) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+raceSchema.index({ deletedAt: 1 });
+// One race per template occurrence, even if two spawns race each other.
+raceSchema.index(
+  { template: 1, startDate: 1 },
+  { unique: true, partialFilterExpression: { template: { $type: 'objectId' } } }
+);
+raceSchema.index(
+  { joinCode: 1 },
+  { unique: true, partialFilterExpression: { joinCode: { $type: 'string' } } }
+);
+
+// A join or leave refused by the race's rules: the caller's fault (HTTP
+// 400). `kind` is 'join' (addParticipant/addToWaitlist) or 'leave'
+// (withdrawParticipant); `code` is returned to clients.
+class RaceRuleError extends Error {
+  constructor(kind, code, message) {
+    super(message);
+    this.name = 'RaceRuleError';
+    this.kind = kind;
+    this.code = code;
+  }
+}
+
+const joinError = (code, message) => new RaceRuleError('join', code, message);
+const leaveError = (code, message) => new RaceRuleError('leave', code, message);
+
+raceSchema.statics.VISIBILITIES = RACE_VISIBILITIES;
+
+// How long a deleted race can be restored.
+raceSchema.statics.RESTORE_WINDOW_MS =
+  Number(process.env.RACE_RESTORE_WINDOW_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+raceSchema.statics.RaceRuleError = RaceRuleError;
+
+raceSchema.statics.isJoinError = function(error) {
+  return error instanceof RaceRuleError && error.kind === 'join';
+};
+
+raceSchema.statics.joinErrorCode = function(error) {
+  return this.isJoinError(error) ? error.code : null;
+};
+
+raceSchema.statics.isLeaveError = function(error) {
+  return error instanceof RaceRuleError && error.kind === 'leave';
+};
+
 // Method to add participant
-raceSchema.methods.addParticipant = function(userId) {
+raceSchema.methods.addParticipant = function(userId, options = {}) {
+  this.enrollParticipant(userId, options);
+  return this.save();
+};
+
+// Method to add (or re-add) a participant without saving. Checks the
+// registration deadline (skipped with options.fromWaitlist: the user
+// registered in time) and capacity, and takes the user off the waitlist.
+raceSchema.methods.enrollParticipant = function(userId, options = {}) {
+  const now = options.now || new Date();
   const existingParticipant = this.participants.find(
     p => p.user.toString() === userId.toString()
   );
   
+  if (existingParticipant && existingParticipant.status !== 'withdrawn') {
+    throw joinError('already_participant', 'User is already a participant');
+  }
+  if (existingParticipant && !this.allowRejoin) {
+    throw joinError('rejoin_not_allowed', 'Rejoining this race is not allowed');
+  }
+  if (!options.fromWaitlist && this.isRegistrationClosed(now)) {
+    throw joinError('registration_closed', 'Registration is closed');
+  }
+  if (!this.hasOpenSpot()) {
+    throw joinError('race_full', 'Race is full');
+  }
+
+  const team = this.assignTeam(options.teamId);
+  this.removeFromWaitlist(userId);
+
   if (existingParticipant) {
-    throw new Error('User is already a participant');
+    // Rejoin: keep the synced distance, but finishing counts from now.
+    existingParticipant.status = 'active';
+    existingParticipant.withdrawnAt = null;
+    existingParticipant.completedAt = undefined;
+    existingParticipant.team = team ? team._id : null;
+    this.checkParticipantCompletion(existingParticipant, now);
+    this.checkTeamCompletion(now);
+    return existingParticipant;
   }
   
   this.participants.push({
     user: userId,
     dailyDistances: [],
     totalDistance: 0,
-    status: 'active'
+    status: 'active',
+    team: team ? team._id : null
   });
   
-  return this.save();
+  return this.participants[this.participants.length - 1];
+};
+
+// Method to count participants holding a spot (everyone but withdrawn)
+raceSchema.methods.countActiveParticipants = function() {
+  return this.participants.filter(p => p.status !== 'withdrawn').length;
+};
+
+// Method to check whether maxParticipants leaves room for one more
+raceSchema.methods.hasOpenSpot = function() {
+  return this.maxParticipants == null || this.countActiveParticipants() < this.maxParticipants;
+};
+
+// Method to check whether new joins are refused
+raceSchema.methods.isRegistrationClosed = function(now = new Date()) {
+  return now > this.endDate ||
+    Boolean(this.registrationClosesAt && now > this.registrationClosesAt);
+};
+
+// Method to queue a user for a full race (the caller saves).
+// Returns the 1-based waitlist position.
+raceSchema.methods.addToWaitlist = function(userId, options = {}) {
+  const now = options.now || new Date();
+  const participant = this.participants.find(
+    p => p.user.toString() === userId.toString()
+  );
+  if (participant && participant.status !== 'withdrawn') {
+    throw joinError('already_participant', 'User is already a participant');
+  }
+  if (participant && !this.allowRejoin) {
+    throw joinError('rejoin_not_allowed', 'Rejoining this race is not allowed');
+  }
+  if (this.waitlistPosition(userId)) {
+    throw joinError('already_waitlisted', 'User is already on the waitlist');
+  }
+  if (this.isRegistrationClosed(now)) {
+    throw joinError('registration_closed', 'Registration is closed');
+  }
+
+  this.waitlist.push({ user: userId, team: options.teamId || null, joinedAt: now });
+  return this.waitlist.length;
+};
+
+// Method to get a user's 1-based waitlist position (0 = not waitlisted)
+raceSchema.methods.waitlistPosition = function(userId) {
+  return (this.waitlist || []).findIndex(w => w.user.toString() === userId.toString()) + 1;
+};
+
+// Method to take a user off the waitlist; returns whether they were on it
+raceSchema.methods.removeFromWaitlist = function(userId) {
+  const index = this.waitlistPosition(userId) - 1;
+  if (index < 0) return false;
+  this.waitlist.splice(index, 1);
+  return true;
+};
+
+// Method to check whether a user created the race
+raceSchema.methods.isCreator = function(userId) {
+  if (!userId || !this.createdBy) return false;
+  return (this.createdBy._id || this.createdBy).toString() === userId.toString();
+};
+
+// Method to check whether a user created or co-organizes the race
+raceSchema.methods.isOrganizer = function(userId) {
+  if (!userId) return false;
+  return this.isCreator(userId) ||
+    (this.organizers || []).some(o => (o._id || o).toString() === userId.toString());
+};
+
+// Method to mark a participant as having left the race. They drop out of
+// rankings and winner selection; their distance is kept for a rejoin.
+// The caller saves the race (after refreshing the finish resolution).
+raceSchema.methods.withdrawParticipant = function(userId, at = new Date()) {
+  const participant = this.participants.find(
+    p => p.user.toString() === userId.toString()
+  );
+
+  if (!participant) {
+    throw leaveError('not_participant', 'User is not a participant');
+  }
+  if (participant.status === 'withdrawn') {
+    throw leaveError('already_left', 'User has already left this race');
+  }
+  const finalWinner = this.finishResolution?.finalWinner;
+  if (finalWinner && finalWinner.toString() === userId.toString()) {
+    throw leaveError('winner_cannot_leave', 'The race winner cannot leave the race');
+  }
+
+  participant.status = 'withdrawn';
+  participant.withdrawnAt = at;
+  this.checkTeamCompletion(at);
+  return participant;
 };
 
-// Method to update daily distance
-raceSchema.methods.updateDailyDistance = function(userId, date, distance) {
+// Method to check whether the race has ended or already has a final
+// winner/team. Such races are archived instead of deleted, so that results
+// stay in participants' stats.
+raceSchema.methods.hasResults = function(now = new Date()) {
+  return now > this.endDate ||
+    Boolean(this.finishResolution?.finalWinner) ||
+    Boolean(this.teamResolution?.finalTeam);
+};
+
+// Method to soft-delete the race (the caller saves it)
+raceSchema.methods.softDelete = function(userId, at = new Date()) {
+  this.deletedAt = at;
+  this.deletedBy = userId;
+};
+
+// Method to tell when a soft-deleted race stops being restorable
+raceSchema.methods.restorableUntil = function() {
+  if (!this.deletedAt) return null;
+  return new Date(this.deletedAt.getTime() + this.constructor.RESTORE_WINDOW_MS);
+};
+
+// Method to count non-withdrawn members per team _id
+raceSchema.methods.countTeamMembers = function() {
+  const counts = new Map((this.teams || []).map(t => [t._id.toString(), 0]));
+  for (const p of this.participants) {
+    if (!p.team || p.status === 'withdrawn') continue;
+    const key = p.team.toString();
+    if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+  }
+  return counts;
+};
+
+// Method to pick (or validate) the team for a new participant.
+// Enforces per-team caps and teamBalanceMaxGap; without a teamId the
+// smallest team with room is chosen.
+raceSchema.methods.assignTeam = function(teamId) {
+  const teams = this.teams || [];
+  if (teams.length === 0) {
+    if (teamId) throw joinError('no_teams', 'Race has no teams');
+    return null;
+  }
+
+  const counts = this.countTeamMembers();
+  const hasRoom = t => !t.maxMembers || counts.get(t._id.toString()) < t.maxMembers;
+
+  let team;
+  if (teamId) {
+    team = teams.find(t => t._id.toString() === teamId.toString());
+    if (!team) throw joinError('team_not_found', 'Team not found');
+    if (!hasRoom(team)) throw joinError('team_full', 'Team is full');
+  } else {
+    team = teams
+      .filter(hasRoom)
+      .sort((a, b) => counts.get(a._id.toString()) - counts.get(b._id.toString()))[0];
+    if (!team) throw joinError('all_teams_full', 'All teams are full');
+  }
+
+  if (this.teamBalanceMaxGap != null) {
+    const sizes = teams.filter(t => t._id.toString() !== team._id.toString())
+      .filter(hasRoom)
+      .map(t => counts.get(t._id.toString()));
+    const smallest = sizes.length ? Math.min(...sizes) : Infinity;
+    if (counts.get(team._id.toString()) + 1 - smallest > this.teamBalanceMaxGap) {
+      throw joinError('team_unbalanced', 'Team is too far ahead in members; join a smaller team');
+    }
+  }
+
+  return team;
+};
+
+// Method to stamp teams whose combined distance covered the route
+// (point_to_point races only). A team that dropped back below it (a member
+// withdrew or moved team on rejoin) loses its stamp, unless it already won.
+raceSchema.methods.checkTeamCompletion = function(at = new Date()) {
+  if ((this.format || 'point_to_point') !== 'point_to_point') return [];
+  const raceDistance = this.calculateRaceDistance();
+  const finalTeam = this.teamResolution?.finalTeam?.toString();
+  const completed = [];
+
+  for (const team of this.teams || []) {
+    const total = this.participants
+      .filter(p => p.team && p.team.toString() === team._id.toString() && p.status !== 'withdrawn')
+      .reduce((sum, p) => sum + Number(p.totalDistance || 0), 0);
+    if (team.completedAt) {
+      if (total < raceDistance && team._id.toString() !== finalTeam) team.completedAt = null;
+      continue;
+    }
+    if (total >= raceDistance) {
+      team.completedAt = at;
+      completed.push(team);
+    }
+  }
+
+  return completed;
+};
+
+// Method to update daily distance. `date` is a day key or an instant, which
+// is bucketed into the day it falls on in options.timeZone.
+raceSchema.methods.updateDailyDistance = function(userId, date, distance, options = {}) {
   const participant = this.participants.find(
     p => p.user.toString() === userId.toString()
   );
@@ -185,9 +798,9 @@ raceSchema.methods.updateDailyDistance = function(userId, date, distance) {
   }
   
   // Find or create daily distance entry
-  const dateStr = new Date(date).toISOString().split('T')[0];
+  const dateStr = toDayKey(date, options.timeZone);
   const dailyEntry = participant.dailyDistances.find(
-    d => new Date(d.date).toISOString().split('T')[0] === dateStr
+    d => toDayKey(d.date) === dateStr
   );
   
   if (dailyEntry) {
@@ -198,36 +811,137 @@ raceSchema.methods.updateDailyDistance = function(userId, date, distance) {
   } else {
     // Add new entry
     participant.dailyDistances.push({
-      date: new Date(date),
+      date: new Date(dateStr),
       distance: distance
     });
     participant.totalDistance += distance;
   }
   
-  // Check if participant completed the race
+  this.recordCheckpointsReached(participant);
+  this.checkParticipantCompletion(participant);
+  this.checkTeamCompletion();
+  
+  return this.save();
+};
+
+// Optimistic concurrency for a participant's progress: bumps its version
+// and makes the next save() match the race only while the stored version is
+// still the one read. If another write saved the participant in between,
+// save() rejects with a DocumentNotFoundError (see utils/transactions.js).
+raceSchema.methods.lockParticipant = function(participant) {
+  const expected = participant.version || 0;
+  this.$where = {
+    ...this.$where,
+    participants: {
+      $elemMatch: {
+        _id: participant._id,
+        // Participants saved before versioning have no version yet.
+        version: expected === 0 ? { $in: [0, null] } : expected
+      }
+    }
+  };
+  participant.version = expected + 1;
+};
+
+// Km credited to the race for `km` of the given activity type.
+raceSchema.methods.creditedDistance = function(activityType, km) {
+  const allowed = this.allowedActivityTypes && this.allowedActivityTypes.length
+    ? this.allowedActivityTypes
+    : ACTIVITY_TYPES;
+  if (!allowed.includes(activityType)) return 0;
+  const multiplier = this.activityMultipliers?.[activityType];
+  return Number(km || 0) * (multiplier != null ? multiplier : 1);
+};
+
+// Km credited to the race for a day's raw per-type totals.
+raceSchema.methods.creditedDayDistance = function(activities) {
+  return ACTIVITY_TYPES.reduce(
+    (sum, type) => sum + this.creditedDistance(type, activities?.[type]),
+    0,
+  );
+};
+
+// Method to mark a participant completed once they cover the route.
+// Only point_to_point races have a finish line; time-boxed formats are
+// resolved at endDate instead.
+raceSchema.methods.checkParticipantCompletion = function(participant, at = new Date()) {
+  if ((this.format || 'point_to_point') !== 'point_to_point') return false;
+  if (participant.status !== 'active') return false;
+
   const raceDistance = this.calculateRaceDistance();
-  if (participant.totalDistance >= raceDistance && participant.status === 'active') {
+  if (participant.totalDistance >= raceDistance) {
     participant.status = 'completed';
-    participant.completedAt = new Date();
+    participant.completedAt = at;
+    return true;
   }
-  
-  return this.save();
+  return false;
+};
+
+// Method to recompute routeDistanceKm from the stored polyline
+raceSchema.methods.refreshRouteDistance = function() {
+  const km = polylineDistanceKm(this.routePolyline);
+  this.routeDistanceKm = km != null && km > 0 ? km : null;
+  return this.routeDistanceKm;
 };
 
-// Method to calculate race distance (straight line distance)
+// Method to calculate race distance (road distance along the route,
+// falling back to straight line distance when no polyline is stored)
 raceSchema.methods.calculateRaceDistance = function() {
-  const R = 6371; // Earth's radius in km
-  const lat1 = this.startPoint.latitude * Math.PI / 180;
-  const lat2 = this.endPoint.latitude * Math.PI / 180;
-  const deltaLat = (this.endPoint.latitude - this.startPoint.latitude) * Math.PI / 180;
-  const deltaLng = (this.endPoint.longitude - this.startPoint.longitude) * Math.PI / 180;
-  
-  const a = Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
-            Math.cos(lat1) * Math.cos(lat2) *
-            Math.sin(deltaLng / 2) * Math.sin(deltaLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  
-  return R * c; // Distance in km
+  if (this.routeDistanceKm > 0) {
+    return this.routeDistanceKm;
+  }
+  if (this.routePolyline) {
+    const km = polylineDistanceKm(this.routePolyline);
+    if (km != null && km > 0) return km;
+  }
+  return this.calculateStraightLineDistance();
+};
+
+// Method to calculate straight line (haversine) distance between endpoints,
+// passing through any checkpoints in order
+raceSchema.methods.calculateStraightLineDistance = function() {
+  const checkpoints = this.checkpoints || [];
+  if (checkpoints.length === 0) {
+    return haversineKm(this.startPoint, this.endPoint);
+  }
+  return pathDistanceKm([this.startPoint, ...checkpoints, this.endPoint]);
+};
+
+// Method to recompute each checkpoint's cumulative distance along the route
+raceSchema.methods.refreshCheckpointDistances = function() {
+  const checkpoints = this.checkpoints || [];
+  if (checkpoints.length === 0) return;
+
+  let points = decodePolyline(this.routePolyline);
+  if (points.length < 2) {
+    points = [this.startPoint, ...checkpoints, this.endPoint];
+  }
+  const cumulative = cumulativeDistancesKm(points);
+
+  let fromIndex = 0;
+  for (const checkpoint of checkpoints) {
+    const index = nearestPointIndex(points, checkpoint, fromIndex);
+    if (index < 0) continue;
+    checkpoint.distanceKm = Number(cumulative[index].toFixed(3));
+    fromIndex = index;
+  }
+};
+
+// Method to stamp checkpoints the participant's totalDistance has passed
+raceSchema.methods.recordCheckpointsReached = function(participant, at = new Date()) {
+  const reached = new Set(
+    (participant.checkpointsReached || []).map((r) => r.checkpoint.toString()),
+  );
+  const newlyReached = [];
+
+  for (const checkpoint of this.checkpoints || []) {
+    if (reached.has(checkpoint._id.toString())) continue;
+    if (Number(participant.totalDistance || 0) < Number(checkpoint.distanceKm || 0)) continue;
+    participant.checkpointsReached.push({ checkpoint: checkpoint._id, reachedAt: at });
+    newlyReached.push(checkpoint);
+  }
+
+  return newlyReached;
 };
 
 module.exports = mongoose.model('Race', raceSchema);
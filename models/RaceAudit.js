@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const RACE_AUDIT_ACTIONS = [
+  'create',
+  'update',
+  'add_organizer',
+  'remove_organizer',
+  'remove_participant',
+  'archive',
+  'delete',
+  'restore',
+  'rotate_join_code',
+  'correct_distance',
+];
+
+const changeSchema = new mongoose.Schema({
+  _id: false,
+  field: {
+    type: String,
+    required: true,
+  },
+  from: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+});
+
+// One entry per change made to a race by its organizers (or admins), and
+// per distance correction by a participant, newest first in
+// GET /api/races/:id/history.
+const raceAuditSchema = new mongoose.Schema({
+  race: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Race',
+    required: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: RACE_AUDIT_ACTIONS,
+    required: true,
+  },
+  changes: {
+    type: [changeSchema],
+    default: [],
+  },
+  // Why the change was made, when the actor gave a reason.
+  note: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+raceAuditSchema.index({ race: 1, createdAt: -1 });
+
+raceAuditSchema.statics.ACTIONS = RACE_AUDIT_ACTIONS;
+
+// Appends an entry to a race's audit log.
+raceAuditSchema.statics.record = function(raceId, actorId, action, changes = [], note, { session = null } = {}) {
+  return new this({ race: raceId, actor: actorId, action, changes, ...(note && { note }) }).save({ session });
+};
+
+module.exports = mongoose.model('RaceAudit', raceAuditSchema);
@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const { ACTIVITY_TYPES } = require('./Activity');
+const Race = require('./Race');
+const { polylineDistanceKm } = require('../utils/geo');
+const { isValidTimeZone } = require('../utils/timeZones');
+
+const pointSchema = new mongoose.Schema({
+  _id: false,
+  latitude: {
+    type: Number,
+    required: true,
+  },
+  longitude: {
+    type: Number,
+    required: true,
+  },
+  address: {
+    type: String,
+  },
+});
+
+// When new races are spawned from the template. Times are wall-clock times
+// in timeZone, so a 08:00 Saturday race stays at 08:00 across DST changes.
+const recurrenceSchema = new mongoose.Schema({
+  _id: false,
+  frequency: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: true,
+  },
+  // Every `interval` weeks/months.
+  interval: {
+    type: Number,
+    min: 1,
+    max: 12,
+    default: 1,
+  },
+  // weekly: 0 (Sunday) - 6
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+    default: null,
+  },
+  // monthly: 1-28, so every month has the day.
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 28,
+    default: null,
+  },
+  // Local start time, HH:mm.
+  startTime: {
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    default: '00:00',
+  },
+  durationDays: {
+    type: Number,
+    min: 1,
+    max: 366,
+    required: true,
+  },
+  timeZone: {
+    type: String,
+    required: true,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Unknown time zone',
+    },
+  },
+  // Each race is created this many days before it starts, so people can
+  // join (and be auto-enrolled) ahead of time.
+  leadDays: {
+    type: Number,
+    min: 0,
+    max: 60,
+    default: 3,
+  },
+  // No races start after this date (null = no end).
+  until: {
+    type: Date,
+    default: null,
+  },
+});
+
+// Reusable race configuration. Races spawned from it copy the route (with
+// its enrichment), image and rules; see utils/raceTemplates.js.
+const raceTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  imageUrl: {
+    type: String,
+    trim: true,
+  },
+  startPoint: {
+    type: pointSchema,
+    required: true,
+  },
+  endPoint: {
+    type: pointSchema,
+    required: true,
+  },
+  checkpoints: [pointSchema],
+  routePolyline: {
+    type: String,
+    trim: true,
+  },
+  routeDistanceKm: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  format: {
+    type: String,
+    enum: ['point_to_point', 'max_distance', 'daily_streak'],
+    default: 'point_to_point',
+  },
+  streakThresholdKm: {
+    type: Number,
+    min: 0,
+    default: 5,
+  },
+  allowedActivityTypes: {
+    type: [{ type: String, enum: ACTIVITY_TYPES }],
+    default: () => [...ACTIVITY_TYPES],
+  },
+  activityMultipliers: {
+    run: { type: Number, min: 0, default: 1 },
+    walk: { type: Number, min: 0, default: 1 },
+    cycle: { type: Number, min: 0, default: 1 },
+  },
+  teams: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    maxMembers: { type: Number, min: 1, default: null },
+  }],
+  teamBalanceMaxGap: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  allowRejoin: {
+    type: Boolean,
+    default: false,
+  },
+  visibility: {
+    type: String,
+    enum: Race.VISIBILITIES,
+    default: 'public',
+  },
+  maxParticipants: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null,
+  },
+  // Paused templates spawn nothing.
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  // Start of the next race to spawn, and when to spawn it
+  // (nextStartAt - recurrence.leadDays).
+  nextStartAt: {
+    type: Date,
+    default: null,
+  },
+  nextSpawnAt: {
+    type: Date,
+    default: null,
+  },
+  lastSpawnedRace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Race',
+    default: null,
+  },
+  spawnCount: {
+    type: Number,
+    default: 0,
+  },
+  // Users enrolled in every new race spawned from the template.
+  autoEnroll: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  organizers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+}, {
+  timestamps: true,
+});
+
+raceTemplateSchema.index({ active: 1, nextSpawnAt: 1 });
+raceTemplateSchema.index({ createdBy: 1 });
+
+// Weekly rules need dayOfWeek, monthly ones dayOfMonth.
+raceTemplateSchema.pre('validate', function(next) {
+  const rule = this.recurrence;
+  if (rule && rule.frequency === 'weekly' && rule.dayOfWeek == null) {
+    this.invalidate('recurrence.dayOfWeek', 'Weekly recurrence needs dayOfWeek');
+  }
+  if (rule && rule.frequency === 'monthly' && rule.dayOfMonth == null) {
+    this.invalidate('recurrence.dayOfMonth', 'Monthly recurrence needs dayOfMonth');
+  }
+  next();
+});
+
+raceTemplateSchema.methods.refreshRouteDistance = function() {
+  const km = polylineDistanceKm(this.routePolyline);
+  this.routeDistanceKm = km != null && km > 0 ? km : null;
+  return this.routeDistanceKm;
+};
+
+raceTemplateSchema.methods.isCreator = function(userId) {
+  if (!userId || !this.createdBy) return false;
+  return (this.createdBy._id || this.createdBy).toString() === userId.toString();
+};
+
+raceTemplateSchema.methods.isOrganizer = function(userId) {
+  if (!userId) return false;
+  return this.isCreator(userId) ||
+    (this.organizers || []).some((o) => (o._id || o).toString() === userId.toString());
+};
+
+module.exports = mongoose.model('RaceTemplate', raceTemplateSchema);
@@ -1,5 +1,69 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimeZone } = require('../utils/timeZones');
+const { SYNC_MERGE_POLICIES } = require('../utils/syncSources');
+
+// Push device registered by the mobile app (POST /api/auth/devices).
+const deviceSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  platform: {
+    type: String,
+    enum: ['ios', 'android'],
+    required: true
+  },
+  // Push transport used for this token (see utils/push).
+  transport: {
+    type: String,
+    enum: ['apns', 'fcm'],
+    required: true
+  },
+  appVersion: {
+    type: String,
+    trim: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const notificationPreferencesSchema = new mongoose.Schema({
+  push: {
+    type: Boolean,
+    default: true
+  },
+  // Per notification type opt-out, e.g. { overtaken: false }. Missing = enabled.
+  types: {
+    type: Map,
+    of: Boolean,
+    default: () => new Map()
+  },
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Local "HH:mm"; a window may wrap past midnight (22:00 -> 07:00).
+    start: {
+      type: String,
+      default: '22:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours must be HH:mm']
+    },
+    end: {
+      type: String,
+      default: '07:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours must be HH:mm']
+    },
+    timeZone: {
+      type: String,
+      default: 'UTC'
+    }
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   appleId: {
@@ -40,9 +104,44 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // user: joins races; organizer: also creates races; admin: manages any
+  // race, participant or user.
+  role: {
+    type: String,
+    enum: ['user', 'organizer', 'admin'],
+    default: 'user'
+  },
   lastHealthSyncAt: {
     type: Date,
   },
+  // IANA zone whose calendar days synced distances are bucketed into.
+  timeZone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Unknown time zone'
+    }
+  },
+  // How day totals from several sync sources are combined (see
+  // utils/syncSources.js); null = server default.
+  healthSync: {
+    mergePolicy: {
+      type: String,
+      enum: [...SYNC_MERGE_POLICIES, null],
+      default: null
+    },
+    preferredSource: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+  // Set by scripts/rekey_daily_distances_db.js once the user's UTC-keyed
+  // days were moved to their local calendar.
+  dayKeysMigratedAt: {
+    type: Date,
+  },
   totalKmLifetime: {
     type: Number,
     default: 0,
@@ -58,6 +157,26 @@ const userSchema = new mongoose.Schema({
     default: 1,
     min: 1,
   },
+  // Lifetime km from races that were purged for good, which reconciliation
+  // can no longer read from race days (see utils/raceProgress.js). Also
+  // holds km from races deleted before this field existed, seeded on the
+  // user's first reconciliation.
+  purgedRaceKm: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Last time the reconcile-progression job recomputed km and XP.
+  progressionReconciledAt: {
+    type: Date,
+    default: null,
+    index: true,
+  },
+  devices: [deviceSchema],
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
+  },
   createdAt: {
     type: Date,
     default: Date.now
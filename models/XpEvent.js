@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Why XP was granted (see utils/progression.js for the rules).
+const XP_REASONS = ['km', 'race_finish', 'race_win', 'streak', 'invite_accepted'];
+
+// One XP grant in a user's ledger. A user's totalXp is the sum of their
+// events; km, streak and race result events can be negative (corrections,
+// or a race result that changed).
+const xpEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: XP_REASONS,
+    required: true,
+  },
+  xp: {
+    type: Number,
+    required: true,
+  },
+  // Lifetime km change behind a km event.
+  km: {
+    type: Number,
+    default: 0,
+  },
+  race: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Race',
+    default: null,
+  },
+  // Set for one-off grants (a race finish, a streak milestone) so they are
+  // never granted twice.
+  dedupeKey: {
+    type: String,
+    default: undefined,
+  },
+  // Reason-specific details, e.g. { days } for a streak.
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined,
+  },
+  // Set on a streak or race result grant that was taken back (the negative
+  // event that took it back has details.revokes).
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+xpEventSchema.index({ user: 1, createdAt: -1 });
+xpEventSchema.index({ race: 1, reason: 1 });
+xpEventSchema.index(
+  { user: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } },
+);
+
+xpEventSchema.statics.XP_REASONS = XP_REASONS;
+
+module.exports = mongoose.model('XpEvent', xpEventSchema);
@@ -0,0 +1,390 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, query, param, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const { archiveToS3 } = require('../utils/awsUpload');
+const { asIsoDayString } = require('../utils/raceFinish');
+const { syncDayTotals, toRaceSyncResult } = require('../utils/raceProgress');
+const { ACTIVITY_SYNC_SOURCE } = require('../utils/syncSources');
+const {
+  FILE_FORMATS,
+  normalizeSamples,
+  parseGpx,
+  summarizeSamples,
+  detectFileFormat,
+  parseActivityFile,
+} = require('../utils/activityTracks');
+
+const router = express.Router();
+
+const MAX_SAMPLES = 20000;
+const MAX_IMPORT_BYTES = 25 * 1024 * 1024;
+// Activities starting this close to an existing one are treated as the same
+// workout (e.g. a Garmin export of a run already recorded from the watch).
+const DUPLICATE_START_WINDOW_MS = 2 * 60 * 1000;
+const ARCHIVE_ENABLED = process.env.ACTIVITY_ARCHIVE_ENABLED === 'true';
+
+function ensureValid(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function toActivityPayload(activity, { includeSamples = false } = {}) {
+  const distanceKm = Number(activity.distanceKm || 0);
+  const durationSec = Number(activity.durationSec || 0);
+  const payload = {
+    id: activity._id.toString(),
+    type: activity.type,
+    startTime: activity.startTime,
+    endTime: activity.endTime,
+    day: activity.day,
+    distanceKm: Number(distanceKm.toFixed(3)),
+    durationSec,
+    avgPaceSecPerKm: distanceKm > 0 ? Math.round(durationSec / distanceKm) : null,
+    sourceDevice: activity.sourceDevice || '',
+    distanceSource: activity.distanceSource,
+    importFormat: activity.importFormat || null,
+    createdAt: activity.createdAt,
+  };
+  if (includeSamples) {
+    payload.samples = (activity.samples || []).map((s) => ({
+      latitude: s.latitude,
+      longitude: s.longitude,
+      elevation: s.elevation,
+      time: s.time,
+    }));
+  }
+  return payload;
+}
+
+function toRaceSyncPayload(result) {
+  return {
+    applied: result.applied,
+    races: result.races.map(toRaceSyncResult),
+    lifetimeDeltaKm: Number(result.rawDeltaKm.toFixed(3)),
+    progression: result.progression || null,
+  };
+}
+
+// Deprecated `race` key: the single-race shape clients read before `sync`,
+// for the first race the activity counted towards. Remove once clients
+// read `sync`.
+function toLegacyRaceSyncPayload(result) {
+  const [first] = result.races;
+  if (!result.applied || !first) return { applied: false, deltaKm: 0 };
+  return {
+    applied: true,
+    raceId: first.race._id,
+    deltaKm: Number(first.deltaKm.toFixed(3)),
+    lifetimeDeltaKm: Number(result.rawDeltaKm.toFixed(3)),
+    progression: result.progression || null,
+    finishState: first.finishState,
+    flaggedDays: first.flaggedDays,
+  };
+}
+
+// Re-totals the user's activities for a day, per activity type, and feeds
+// those totals into their current race as the activities source. Under the
+// max merge policy the same workout reported by Health sync and as an
+// activity isn't counted twice (see utils/syncSources.js).
+async function rollUpActivityDay(userId, day, now) {
+  const activities = await Activity.find({ user: userId, day }).select('type distanceKm');
+  const kmByType = new Map();
+  for (const a of activities) {
+    kmByType.set(a.type, (kmByType.get(a.type) || 0) + Number(a.distanceKm || 0));
+  }
+  const days = [...kmByType].map(([activityType, distanceKm]) => ({ dayKey: day, activityType, distanceKm }));
+  return syncDayTotals(userId, days, { now, recordSync: false, source: ACTIVITY_SYNC_SOURCE });
+}
+
+// Stores an activity, on the day it started in the user's time zone, and
+// rolls that day up into the user's race. If the roll-up fails the activity
+// is removed again, so a retry (same file, same start) isn't refused as a
+// duplicate; the next roll-up of the day re-totals whatever was written.
+async function recordActivity(userId, fields, now) {
+  const user = await User.findById(userId).select('timeZone');
+  const activity = await Activity.create({
+    ...fields,
+    user: userId,
+    day: asIsoDayString(fields.startTime, user?.timeZone),
+    durationSec: Math.round((fields.endTime - fields.startTime) / 1000),
+  });
+  let result;
+  try {
+    result = await rollUpActivityDay(userId, activity.day, now);
+  } catch (error) {
+    await Activity.deleteOne({ _id: activity._id }).catch((deleteError) => {
+      console.error(`❌ [ACTIVITIES] Error removing activity ${activity._id} after a failed roll-up: ${deleteError.message}`);
+    });
+    throw error;
+  }
+  return { activity, result };
+}
+
+// Accepts a data URI or a bare base64 string.
+function decodeUploadedFile(file) {
+  const matches = String(file).match(/^data:(.*?);base64,(.*)$/s);
+  return Buffer.from((matches ? matches[2] : String(file)).replace(/\s+/g, ''), 'base64');
+}
+
+function findDuplicateActivity(userId, startTime) {
+  return Activity.findOne({
+    user: userId,
+    startTime: {
+      $gte: new Date(startTime.getTime() - DUPLICATE_START_WINDOW_MS),
+      $lte: new Date(startTime.getTime() + DUPLICATE_START_WINDOW_MS),
+    },
+  }).select('_id');
+}
+
+// Record a workout (protected)
+// Body: type, startTime/endTime, sourceDevice, and distanceKm and/or GPS
+// samples (JSON `samples` or a GPX document in `gpx`). Times and distance
+// missing from the body are taken from the track. Send an Idempotency-Key
+// to retry safely; a workout already recorded is rejected with 409.
+router.post('/', authMiddleware, [
+  body('type').isIn(Activity.ACTIVITY_TYPES),
+  body('startTime').optional().isISO8601(),
+  body('endTime').optional().isISO8601(),
+  body('distanceKm').optional().isFloat({ min: 0 }),
+  body('sourceDevice').optional().isString().trim().isLength({ max: 100 }),
+  body('samples').optional().isArray({ max: MAX_SAMPLES }),
+  body('samples.*.latitude').optional().isFloat({ min: -90, max: 90 }),
+  body('samples.*.longitude').optional().isFloat({ min: -180, max: 180 }),
+  body('samples.*.time').optional().isISO8601(),
+  body('gpx').optional().isString(),
+], idempotent('activity_record'), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    if (!ensureValid(req, res)) return;
+
+    const now = new Date();
+    const samples = req.body.gpx ? parseGpx(req.body.gpx) : normalizeSamples(req.body.samples);
+    if (req.body.gpx && samples.length === 0) {
+      return res.status(400).json({ message: 'GPX contains no track points' });
+    }
+    if (samples.length > MAX_SAMPLES) {
+      return res.status(400).json({ message: `Too many GPS samples (max ${MAX_SAMPLES})` });
+    }
+
+    const hasReportedDistance = req.body.distanceKm != null;
+    if (!hasReportedDistance && samples.length < 2) {
+      return res.status(400).json({ message: 'Provide distanceKm or at least two GPS samples' });
+    }
+
+    const track = summarizeSamples(samples);
+    const activityStart = req.body.startTime ? new Date(req.body.startTime) : track.startTime;
+    const activityEnd = req.body.endTime ? new Date(req.body.endTime) : track.endTime;
+    if (!activityStart || !activityEnd) {
+      return res.status(400).json({ message: 'startTime and endTime are required when the track has no timestamps' });
+    }
+    if (activityEnd < activityStart) {
+      return res.status(400).json({ message: 'endTime must not be before startTime' });
+    }
+    if (activityStart > now) {
+      return res.status(400).json({ message: 'Activity cannot start in the future' });
+    }
+
+    // A retry without an idempotency key would store the workout twice
+    // (and double the day's km).
+    const duplicate = await findDuplicateActivity(req.userId, activityStart);
+    if (duplicate) {
+      return res.status(409).json({
+        message: 'An activity starting at the same time already exists',
+        activityId: duplicate._id,
+      });
+    }
+
+    const { activity, result } = await recordActivity(req.userId, {
+      type: req.body.type,
+      startTime: activityStart,
+      endTime: activityEnd,
+      distanceKm: hasReportedDistance ? Number(req.body.distanceKm) : Number(track.distanceKm.toFixed(3)),
+      sourceDevice: req.body.sourceDevice || '',
+      distanceSource: hasReportedDistance ? 'reported' : 'gps',
+      samples,
+    }, now);
+
+    const duration = Date.now() - startTime;
+    console.log(
+      `✅ [ACTIVITIES] Recorded ${activity.type} ${activity._id} for user ${req.userId} (${activity.distanceKm.toFixed(2)} km, ${result.races.length} race(s)) in ${duration}ms`,
+    );
+
+    res.status(201).json({
+      message: 'Activity recorded',
+      activity: toActivityPayload(activity),
+      sync: toRaceSyncPayload(result),
+      race: toLegacyRaceSyncPayload(result),
+    });
+  } catch (error) {
+    console.error('❌ [ACTIVITIES] Error recording activity:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Import a GPX, TCX or FIT file (protected)
+// Body: file (base64 or data URI), filename, optional format/type/sourceDevice.
+// Distance and duration come from the file; the device-recorded distance is
+// preferred over the GPS track length. Re-imports of the same file, or of a
+// workout already recorded, are rejected with 409.
+router.post('/import', authMiddleware, [
+  body('file').isString().notEmpty(),
+  body('filename').optional().isString().trim().isLength({ max: 255 }),
+  body('format').optional().isIn(FILE_FORMATS),
+  body('type').optional().isIn(Activity.ACTIVITY_TYPES),
+  body('sourceDevice').optional().isString().trim().isLength({ max: 100 }),
+], async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    if (!ensureValid(req, res)) return;
+
+    const now = new Date();
+    const buffer = decodeUploadedFile(req.body.file);
+    if (buffer.length === 0) {
+      return res.status(400).json({ message: 'File is empty' });
+    }
+    if (buffer.length > MAX_IMPORT_BYTES) {
+      return res.status(400).json({ message: `File is too large (max ${MAX_IMPORT_BYTES / 1024 / 1024} MB)` });
+    }
+
+    const format = req.body.format || detectFileFormat(buffer, req.body.filename);
+    if (!format) {
+      return res.status(400).json({ message: 'Unsupported file format (expected GPX, TCX or FIT)' });
+    }
+
+    const fileHash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const alreadyImported = await Activity.findOne({ user: req.userId, fileHash }).select('_id');
+    if (alreadyImported) {
+      return res.status(409).json({
+        message: 'This file has already been imported',
+        activityId: alreadyImported._id,
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseActivityFile(buffer, format);
+    } catch (parseError) {
+      return res.status(400).json({ message: `Could not read ${format.toUpperCase()} file`, error: parseError.message });
+    }
+
+    if (!parsed.startTime || !parsed.endTime) {
+      return res.status(400).json({ message: 'File has no timestamps' });
+    }
+    if (parsed.startTime > now) {
+      return res.status(400).json({ message: 'Activity cannot start in the future' });
+    }
+    if (!(parsed.distanceKm > 0)) {
+      return res.status(400).json({ message: 'File has no distance or GPS track' });
+    }
+    const type = req.body.type || parsed.activityType;
+    if (!type) {
+      return res.status(400).json({ message: 'Could not tell the activity type from the file; pass type' });
+    }
+    if (parsed.samples.length > MAX_SAMPLES) {
+      return res.status(400).json({ message: `Too many GPS samples (max ${MAX_SAMPLES})` });
+    }
+
+    const duplicate = await findDuplicateActivity(req.userId, parsed.startTime);
+    if (duplicate) {
+      return res.status(409).json({
+        message: 'An activity starting at the same time already exists',
+        activityId: duplicate._id,
+      });
+    }
+
+    let archiveKey = null;
+    if (ARCHIVE_ENABLED) {
+      try {
+        archiveKey = await archiveToS3(buffer, { prefix: `activities/${req.userId}`, extension: format });
+      } catch (err) {
+        console.warn('⚠️  [ACTIVITIES] S3 archive failed:', err?.message);
+      }
+    }
+
+    const { activity, result } = await recordActivity(req.userId, {
+      type,
+      startTime: parsed.startTime,
+      endTime: parsed.endTime,
+      distanceKm: Number(parsed.distanceKm.toFixed(3)),
+      sourceDevice: req.body.sourceDevice || '',
+      distanceSource: parsed.distanceSource,
+      importFormat: format,
+      fileHash,
+      archiveKey,
+      samples: parsed.samples,
+    }, now);
+
+    const duration = Date.now() - startTime;
+    console.log(
+      `✅ [ACTIVITIES] Imported ${format} ${activity._id} for user ${req.userId} (${activity.distanceKm.toFixed(2)} km, ${result.races.length} race(s)) in ${duration}ms`,
+    );
+
+    res.status(201).json({
+      message: 'Activity imported',
+      activity: toActivityPayload(activity),
+      sync: toRaceSyncPayload(result),
+      race: toLegacyRaceSyncPayload(result),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This file has already been imported' });
+    }
+    console.error('❌ [ACTIVITIES] Error importing activity file:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Activity history, newest first (protected)
+// Query: type, limit (1-100, default 30), before=<ISO date> for paging.
+router.get('/', authMiddleware, [
+  query('type').optional().isIn(Activity.ACTIVITY_TYPES),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('before').optional().isISO8601(),
+], async (req, res) => {
+  try {
+    if (!ensureValid(req, res)) return;
+
+    const filter = { user: req.userId };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.before) filter.startTime = { $lt: new Date(req.query.before) };
+
+    const activities = await Activity.find(filter)
+      .select('-samples')
+      .sort({ startTime: -1 })
+      .limit(Number(req.query.limit || 30));
+
+    res.json({ activities: activities.map((a) => toActivityPayload(a)) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Single activity with its GPS samples (protected)
+router.get('/:id', authMiddleware, [
+  param('id').isMongoId(),
+], async (req, res) => {
+  try {
+    if (!ensureValid(req, res)) return;
+
+    const activity = await Activity.findOne({ _id: req.params.id, user: req.userId });
+    if (!activity) {
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+
+    res.json({ activity: toActivityPayload(activity, { includeSamples: true }) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
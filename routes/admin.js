@@ -0,0 +1,92 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const { ROLES, requireRole } = require('../middleware/authorize');
+const User = require('../models/User');
+
+const router = express.Router();
+
+function ensureValid(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function toAdminUser(user) {
+  return {
+    id: user._id.toString(),
+    email: user.email,
+    name: user.name || '',
+    nickname: user.nickname || '',
+    avatarUrl: user.avatarUrl || null,
+    role: user.role || 'user',
+    totalKmLifetime: user.totalKmLifetime || 0,
+    level: user.level || 1,
+    lastHealthSyncAt: user.lastHealthSyncAt || null,
+    createdAt: user.createdAt,
+  };
+}
+
+// List users (protected - admin)
+// Query: q (email, name or nickname prefix), role, limit (1-100, default 30)
+router.get('/users', authMiddleware, requireRole('admin'), [
+  query('q').optional().trim().isLength({ min: 1, max: 100 }),
+  query('role').optional().isIn(ROLES),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+], async (req, res) => {
+  try {
+    if (!ensureValid(req, res)) return;
+
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.q) {
+      const escaped = req.query.q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const prefix = { $regex: `^${escaped}`, $options: 'i' };
+      filter.$or = [{ email: prefix }, { name: prefix }, { nickname: prefix }];
+    }
+
+    const users = await User.find(filter)
+      .select('email name nickname avatarUrl role totalKmLifetime level lastHealthSyncAt createdAt')
+      .sort({ createdAt: -1 })
+      .limit(Number(req.query.limit || 30));
+
+    res.json({ users: users.map(toAdminUser) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Change a user's role (protected - admin)
+// Body: { role: user|organizer|admin }
+router.put('/users/:id/role', authMiddleware, requireRole('admin'), [
+  param('id').isMongoId(),
+  body('role').isIn(ROLES),
+], async (req, res) => {
+  try {
+    if (!ensureValid(req, res)) return;
+
+    if (req.params.id === req.userId.toString() && req.body.role !== 'admin') {
+      return res.status(400).json({ message: 'You cannot remove your own admin role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true },
+    );
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    console.log(`👮 [ADMIN] ${req.userId} set role of ${user._id} to ${user.role}`);
+
+    res.json({ message: 'Role updated', user: toAdminUser(user) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,17 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const crypto = require('crypto');
 const User = require('../models/User');
+const Notification = require('../models/Notification');
 const authMiddleware = require('../middleware/auth');
 const uploadToS3 = require('../utils/awsUpload');
+const { isValidTimeZone } = require('../utils/timeZones');
+const { SYNC_MERGE_POLICIES, SYNC_SOURCES, resolveMergePolicy } = require('../utils/syncSources');
+const { levelFromXp, progressionFromUser, xpHistory } = require('../utils/progression');
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const XP_PER_KM = 10;
 
 function sanitizeNicknameSeed(seed) {
   const cleaned = String(seed || '')
@@ -32,38 +35,23 @@ async function generateUniqueNickname(seed) {
   return `${base}${Date.now().toString().slice(-4)}`.slice(0, 24);
 }
 
-function xpForLevel(level) {
-  if (level <= 1) return 0;
-  return Math.floor(100 * Math.pow(level - 1, 1.5));
-}
-
-function levelFromXp(totalXp) {
-  let level = 1;
-  while (totalXp >= xpForLevel(level + 1)) {
-    level += 1;
-  }
-  return level;
-}
-
-function progressionFromUser(user) {
-  const totalXp = Number(user.totalXp || 0);
-  const level = Number(user.level || levelFromXp(totalXp));
-  const currentLevelXp = xpForLevel(level);
-  const nextLevelXp = xpForLevel(level + 1);
-  const needed = Math.max(1, nextLevelXp - currentLevelXp);
-  const inLevelXp = totalXp - currentLevelXp;
-
-  return {
-    level,
-    totalXp,
-    totalKmLifetime: Number((user.totalKmLifetime || 0).toFixed(2)),
-    xpPerKm: XP_PER_KM,
-    currentLevelXp,
-    nextLevelXp,
-    inLevelXp,
-    xpToNextLevel: Math.max(0, nextLevelXp - totalXp),
-    progress: Number((inLevelXp / needed).toFixed(4)),
-  };
+// Attach a push token to the user (moving it away from any other account
+// that registered it on the same phone) and save.
+async function registerDevice(user, { token, platform, appVersion }) {
+  await User.updateMany(
+    { _id: { $ne: user._id }, 'devices.token': token },
+    { $pull: { devices: { token } } },
+  );
+
+  user.devices = (user.devices || []).filter((d) => d.token !== token);
+  user.devices.push({
+    token,
+    platform,
+    transport: platform === 'ios' ? 'apns' : 'fcm',
+    appVersion,
+    lastSeenAt: new Date(),
+  });
+  await user.save();
 }
 
 // Generate JWT token
@@ -168,7 +156,8 @@ router.post('/register', [
         email: user.email,
         name: user.name,
         nickname: user.nickname,
-        avatarUrl: user.avatarUrl
+        avatarUrl: user.avatarUrl,
+        role: user.role
       }
     });
   } catch (error) {
@@ -261,7 +250,8 @@ router.post('/login', [
         email: user.email,
         name: user.name,
         nickname: user.nickname,
-        avatarUrl: user.avatarUrl
+        avatarUrl: user.avatarUrl,
+        role: user.role
       }
     });
   } catch (error) {
@@ -348,6 +338,16 @@ router.post('/apple/mobile', async (req, res) => {
       if (shouldSave) await user.save();
     }
 
+    // Optional APNs token sent along with Apple sign in.
+    const deviceToken = req.body?.deviceToken?.toString();
+    if (deviceToken) {
+      await registerDevice(user, {
+        token: deviceToken,
+        platform: 'ios',
+        appVersion: req.body?.appVersion?.toString(),
+      });
+    }
+
     const token = generateToken(user._id);
     const duration = Date.now() - startTime;
     console.log(`✅ Apple sign in OK in ${duration}ms (user: ${user._id})`);
@@ -361,6 +361,7 @@ router.post('/apple/mobile', async (req, res) => {
         name: user.name,
         nickname: user.nickname,
         avatarUrl: user.avatarUrl,
+        role: user.role,
       },
     });
   } catch (error) {
@@ -392,7 +393,8 @@ router.get('/me', authMiddleware, async (req, res) => {
 });
 
 // Get progression (protected route)
-// Also syncs XP if totalKmLifetime > 0 but totalXp is 0 (fixes users who had km before XP logic)
+// Read-only: drift between km and XP is fixed by the reconcile-progression
+// job (jobs/progression.js).
 router.get('/progression', authMiddleware, async (req, res) => {
   try {
     const user = await User.findById(req.userId).select(
@@ -402,22 +404,207 @@ router.get('/progression', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const totalKm = Number(user.totalKmLifetime || 0);
-    const currentXp = Number(user.totalXp || 0);
-    const expectedXp = Math.floor(totalKm * XP_PER_KM);
+    res.json({
+      progression: progressionFromUser(user),
+    });
+  } catch (error) {
+    console.error('Get progression error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// XP ledger (protected route)
+// Query: days (1-366, default 30) covered by the daily/weekly XP totals,
+// in the user's time zone; limit (1-100, default 50) ledger entries, newest
+// first; before=<ISO date> for paging.
+router.get('/progression/history', authMiddleware, [
+  query('days').optional().isInt({ min: 1, max: 366 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('before').optional().isISO8601(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    if (totalKm > 0 && currentXp < expectedXp) {
-      user.totalXp = expectedXp;
-      user.level = levelFromXp(expectedXp);
-      await user.save();
-      console.log(`[PROGRESSION] Synced XP for user ${req.userId}: ${currentXp} -> ${expectedXp} (from ${totalKm} km)`);
+    const user = await User.findById(req.userId).select('totalKmLifetime totalXp level timeZone');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
+    const timeZone = user.timeZone || 'UTC';
+    const history = await xpHistory(user._id, {
+      days: Number(req.query.days || 30),
+      limit: Number(req.query.limit || 50),
+      before: req.query.before ? new Date(req.query.before) : null,
+      timeZone,
+    });
+
     res.json({
       progression: progressionFromUser(user),
+      timeZone,
+      ...history,
     });
   } catch (error) {
-    console.error('Get progression error:', error);
+    console.error('Get progression history error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Register a push device (protected route)
+// Re-registering an existing token refreshes it.
+router.post('/devices', authMiddleware, [
+  body('token').isString().trim().isLength({ min: 8, max: 4096 }),
+  body('platform').isIn(['ios', 'android']),
+  body('appVersion').optional().isString().trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, platform, appVersion } = req.body;
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    await registerDevice(user, { token, platform, appVersion });
+
+    console.log(`📱 [AUTH] Device registered for user ${req.userId} (${platform})`);
+    res.status(201).json({ message: 'Device registered', devices: user.devices.length });
+  } catch (error) {
+    console.error('Register device error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Unregister a push device (protected route), e.g. on logout
+router.delete('/devices/:token', authMiddleware, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.userId },
+      { $pull: { devices: { token: req.params.token } } },
+    );
+    res.json({ message: 'Device removed', removed: (result.modifiedCount || 0) > 0 });
+  } catch (error) {
+    console.error('Remove device error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get notification preferences (protected route)
+router.get('/notification-preferences', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json({ preferences: user.notificationPreferences });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update notification preferences (protected route)
+// Body: { push?, types?: { <type>: boolean }, quietHours?: { enabled, start, end, timeZone } }
+router.put('/notification-preferences', authMiddleware, [
+  body('push').optional().isBoolean(),
+  body('types').optional().isObject().custom((types) => {
+    // Keys become map keys: only known types (never `$...` or dotted keys).
+    const unknown = Object.keys(types).filter((type) => !Notification.NOTIFICATION_TYPES.includes(type));
+    if (unknown.length) throw new Error(`Unknown notification types: ${unknown.join(', ')}`);
+    return true;
+  }),
+  body('types.*').optional().isBoolean(),
+  body('quietHours.enabled').optional().isBoolean(),
+  body('quietHours.start').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  body('quietHours.end').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  body('quietHours.timeZone').optional().custom(isValidTimeZone).withMessage('Unknown time zone'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const prefs = user.notificationPreferences;
+    const { push, types, quietHours } = req.body;
+    if (push !== undefined) prefs.push = push;
+    if (types) {
+      for (const [type, enabled] of Object.entries(types)) {
+        prefs.types.set(type, enabled);
+      }
+    }
+    if (quietHours) {
+      for (const key of ['enabled', 'start', 'end', 'timeZone']) {
+        if (quietHours[key] !== undefined) prefs.quietHours[key] = quietHours[key];
+      }
+    }
+    await user.save();
+
+    res.json({ message: 'Notification preferences updated', preferences: user.notificationPreferences });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get Health sync merge preferences (protected route)
+router.get('/health-sync-preferences', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('healthSync');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const { policy, preferredSource } = resolveMergePolicy(user);
+    res.json({ preferences: { mergePolicy: policy, preferredSource } });
+  } catch (error) {
+    console.error('Get Health sync preferences error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update Health sync merge preferences (protected route)
+// Body: { mergePolicy?: max|preferred|sum, preferredSource?: source id|null }
+// Applies to days synced from now on.
+router.put('/health-sync-preferences', authMiddleware, [
+  body('mergePolicy').optional().isIn(SYNC_MERGE_POLICIES),
+  body('preferredSource').optional({ nullable: true }).isIn(SYNC_SOURCES),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { mergePolicy, preferredSource } = req.body;
+    if (mergePolicy !== undefined) user.healthSync.mergePolicy = mergePolicy;
+    if (preferredSource !== undefined) user.healthSync.preferredSource = preferredSource || null;
+    const resolved = resolveMergePolicy(user);
+    if (resolved.policy === 'preferred' && !resolved.preferredSource) {
+      return res.status(400).json({ message: 'The preferred policy needs a preferredSource' });
+    }
+    await user.save();
+
+    res.json({
+      message: 'Health sync preferences updated',
+      preferences: { mergePolicy: resolved.policy, preferredSource: resolved.preferredSource },
+    });
+  } catch (error) {
+    console.error('Update Health sync preferences error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -426,7 +613,8 @@ router.get('/progression', authMiddleware, async (req, res) => {
 router.put('/profile', authMiddleware, [
   body('name').optional().trim(),
   body('email').optional().isEmail().normalizeEmail(),
-  body('nickname').optional().trim().isLength({ min: 3, max: 24 }).matches(/^[a-z0-9._]+$/)
+  body('nickname').optional().trim().isLength({ min: 3, max: 24 }).matches(/^[a-z0-9._]+$/),
+  body('timeZone').optional().custom(isValidTimeZone).withMessage('Unknown time zone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -434,10 +622,11 @@ router.put('/profile', authMiddleware, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, nickname, avatar, mimeType } = req.body;
+    const { name, email, nickname, timeZone, avatar, mimeType } = req.body;
     const updateData = {};
 
     if (name) updateData.name = name;
+    if (timeZone) updateData.timeZone = timeZone;
     if (email) {
       // Check if email is already taken by another user
       const existingUser = await User.findOne({ email, _id: { $ne: req.userId } });
@@ -0,0 +1,111 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const Notification = require('../models/Notification');
+
+const router = express.Router();
+
+function ensureValid(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function toNotificationPayload(notification) {
+  return {
+    id: notification._id.toString(),
+    type: notification.type,
+    title: notification.title,
+    body: notification.body || '',
+    data: notification.data || {},
+    read: Boolean(notification.readAt),
+    readAt: notification.readAt || null,
+    createdAt: notification.createdAt,
+  };
+}
+
+// List notifications, newest first.
+// Query: unreadOnly=true, limit (1-100, default 30), before=<ISO date> for paging.
+router.get('/', authMiddleware, [
+  query('unreadOnly').optional().isBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('before').optional().isISO8601(),
+], async (req, res) => {
+  try {
+    if (!ensureValid(req, res)) return;
+
+    const filter = { user: req.userId };
+    if (String(req.query.unreadOnly) === 'true') filter.readAt = null;
+    if (req.query.before) filter.createdAt = { $lt: new Date(req.query.before) };
+
+    const limit = Number(req.query.limit || 30);
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ user: req.userId, readAt: null }),
+    ]);
+
+    res.json({
+      notifications: notifications.map(toNotificationPayload),
+      unreadCount,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Unread badge count.
+router.get('/unread-count', authMiddleware, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.userId, readAt: null });
+    res.json({ unreadCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Mark all as read (or only the given ids).
+router.post('/read', authMiddleware, [
+  body('ids').optional().isArray({ max: 500 }),
+  body('ids.*').isMongoId(),
+], async (req, res) => {
+  try {
+    if (!ensureValid(req, res)) return;
+
+    const filter = { user: req.userId, readAt: null };
+    if (Array.isArray(req.body.ids)) filter._id = { $in: req.body.ids };
+
+    const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    const unreadCount = await Notification.countDocuments({ user: req.userId, readAt: null });
+
+    res.json({ message: 'Notifications marked as read', updated: result.modifiedCount || 0, unreadCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Mark one as read.
+router.post('/:id/read', authMiddleware, [
+  param('id').isMongoId(),
+], async (req, res) => {
+  try {
+    if (!ensureValid(req, res)) return;
+
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.userId });
+    if (!notification) return res.status(404).json({ message: 'Notification not found' });
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    const unreadCount = await Notification.countDocuments({ user: req.userId, readAt: null });
+
+    res.json({ notification: toNotificationPayload(notification), unreadCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,494 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Race = require('../models/Race');
+const RaceTemplate = require('../models/RaceTemplate');
+const Activity = require('../models/Activity');
+const authMiddleware = require('../middleware/auth');
+const {
+  loadUserRole,
+  requireRole,
+  canManageRace,
+  canOwnRace,
+} = require('../middleware/authorize');
+const uploadToS3 = require('../utils/awsUpload');
+const { RACE_FORMATS } = require('../utils/raceFinish');
+const { enrichRaceDerivedFields } = require('../utils/raceEnrichment');
+const { areFriends } = require('../utils/friends');
+const { isValidTimeZone } = require('../utils/timeZones');
+const {
+  occurrenceEnd,
+  scheduleTemplate,
+  templateFieldsFromRace,
+  autoEnrollUser,
+  spawnRaceFromTemplate,
+  spawnNextRace,
+} = require('../utils/raceTemplates');
+
+const router = express.Router();
+
+// Fields a template can be created or updated with (besides image).
+const TEMPLATE_FIELDS = [
+  'name',
+  'description',
+  'startPoint',
+  'endPoint',
+  'checkpoints',
+  'format',
+  'streakThresholdKm',
+  'allowedActivityTypes',
+  'activityMultipliers',
+  'teams',
+  'teamBalanceMaxGap',
+  'allowRejoin',
+  'visibility',
+  'maxParticipants',
+  'recurrence',
+  'active',
+];
+
+const COORDINATE_FIELDS = ['startPoint', 'endPoint', 'checkpoints'];
+
+function ensureValid(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('❌ [TEMPLATES] Validation failed:', errors.array());
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+// Validators shared by create and update. On create, the route fields are
+// required unless the template is copied from a race (fromRaceId).
+function templateValidators({ create }) {
+  const route = (chain) => (create ? chain.if(body('fromRaceId').not().exists()) : chain.optional());
+  const hasRecurrence = body('recurrence').isObject();
+  return [
+    route(body('name')).notEmpty().trim(),
+    route(body('startPoint.latitude')).isFloat(),
+    route(body('startPoint.longitude')).isFloat(),
+    route(body('endPoint.latitude')).isFloat(),
+    route(body('endPoint.longitude')).isFloat(),
+    body('checkpoints').optional().isArray({ max: 23 }),
+    body('checkpoints.*.latitude').isFloat(),
+    body('checkpoints.*.longitude').isFloat(),
+    body('format').optional().isIn(RACE_FORMATS),
+    body('streakThresholdKm').optional().isFloat({ min: 0 }),
+    body('teams').optional().isArray({ max: 20 }),
+    body('teams.*.name').trim().notEmpty(),
+    body('teams.*.maxMembers').optional({ nullable: true }).isInt({ min: 1 }),
+    body('teamBalanceMaxGap').optional({ nullable: true }).isInt({ min: 0 }),
+    body('allowRejoin').optional().isBoolean(),
+    body('visibility').optional().isIn(Race.VISIBILITIES),
+    body('maxParticipants').optional({ nullable: true }).isInt({ min: 1 }),
+    body('allowedActivityTypes').optional().isArray({ min: 1 }),
+    body('allowedActivityTypes.*').isIn(Activity.ACTIVITY_TYPES),
+    body('activityMultipliers').optional().isObject(),
+    body('activityMultipliers.*').isFloat({ min: 0, max: 10 }),
+    body('active').optional().isBoolean(),
+    body('recurrence').optional({ nullable: true }).isObject(),
+    body('recurrence.frequency').if(hasRecurrence).isIn(['weekly', 'monthly']),
+    body('recurrence.interval').if(hasRecurrence).optional().isInt({ min: 1, max: 12 }),
+    body('recurrence.dayOfWeek').if(body('recurrence.frequency').equals('weekly')).isInt({ min: 0, max: 6 }),
+    body('recurrence.dayOfMonth').if(body('recurrence.frequency').equals('monthly')).isInt({ min: 1, max: 28 }),
+    body('recurrence.startTime').if(hasRecurrence).optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+    body('recurrence.durationDays').if(hasRecurrence).isInt({ min: 1, max: 366 }),
+    body('recurrence.timeZone').if(hasRecurrence).custom(isValidTimeZone).withMessage('Unknown time zone'),
+    body('recurrence.leadDays').if(hasRecurrence).optional().isInt({ min: 0, max: 60 }),
+    body('recurrence.until').if(hasRecurrence).optional({ nullable: true }).isISO8601(),
+  ];
+}
+
+function toPoint(point) {
+  return {
+    latitude: Number(point.latitude),
+    longitude: Number(point.longitude),
+    ...(point.address && { address: point.address }),
+  };
+}
+
+function toRecurrence(rule) {
+  if (!rule) return null;
+  return {
+    frequency: rule.frequency,
+    interval: rule.interval != null ? Number(rule.interval) : 1,
+    dayOfWeek: rule.frequency === 'weekly' ? Number(rule.dayOfWeek) : null,
+    dayOfMonth: rule.frequency === 'monthly' ? Number(rule.dayOfMonth) : null,
+    startTime: rule.startTime || '00:00',
+    durationDays: Number(rule.durationDays),
+    timeZone: rule.timeZone,
+    leadDays: rule.leadDays != null ? Number(rule.leadDays) : 3,
+    until: rule.until ? new Date(rule.until) : null,
+  };
+}
+
+// Template fields present in the request body, normalized for the model.
+function fieldsFromBody(reqBody) {
+  const fields = {};
+  for (const field of TEMPLATE_FIELDS) {
+    const value = reqBody[field];
+    if (value === undefined) continue;
+    switch (field) {
+      case 'startPoint':
+      case 'endPoint':
+        fields[field] = toPoint(value);
+        break;
+      case 'checkpoints':
+        fields[field] = (value || []).map(toPoint);
+        break;
+      case 'teams':
+        fields[field] = (value || []).map((t) => ({
+          name: t.name,
+          maxMembers: t.maxMembers != null ? Number(t.maxMembers) : null,
+        }));
+        break;
+      case 'streakThresholdKm':
+        fields[field] = Number(value);
+        break;
+      case 'teamBalanceMaxGap':
+      case 'maxParticipants':
+        fields[field] = value == null ? null : Number(value);
+        break;
+      case 'allowRejoin':
+      case 'active':
+        fields[field] = String(value) === 'true';
+        break;
+      case 'allowedActivityTypes':
+        fields[field] = [...new Set(value)];
+        break;
+      case 'activityMultipliers':
+        fields[field] = Object.fromEntries(
+          Activity.ACTIVITY_TYPES
+            .filter((type) => value[type] != null)
+            .map((type) => [type, Number(value[type])]),
+        );
+        break;
+      case 'recurrence':
+        fields[field] = toRecurrence(value);
+        break;
+      default:
+        fields[field] = value;
+    }
+  }
+  return fields;
+}
+
+async function uploadImage(image, mimeType) {
+  if (!image) return undefined;
+  if (String(image).startsWith('http')) return image;
+  try {
+    return await uploadToS3(image, 'race', mimeType || '');
+  } catch (err) {
+    console.warn('⚠️  [TEMPLATES] S3 upload failed:', err?.message);
+    return undefined;
+  }
+}
+
+// Whether the caller may see the template and auto-enroll in its races:
+// managers, anyone for public templates, friends of the creator for
+// friends-only ones, and participants of races it already spawned.
+async function canAutoEnroll(req, template) {
+  if (canManageRace(req, template)) return true;
+  if (!template.visibility || template.visibility === 'public') return true;
+  if (template.visibility === 'friends'
+    && await areFriends(template.createdBy.toString(), req.userId)) {
+    return true;
+  }
+  const spawned = await Race.findOne({
+    template: template._id,
+    'participants.user': req.userId,
+  }).setOptions({ withDeleted: true }).select('_id');
+  return Boolean(spawned);
+}
+
+// Template as returned to clients; only managers see who auto-enrolls.
+function toTemplatePayload(template, req) {
+  const payload = template.toJSON();
+  const userId = req.userId.toString();
+  payload.autoEnrolled = (template.autoEnroll || []).some((id) => id.toString() === userId);
+  payload.autoEnrollCount = (template.autoEnroll || []).length;
+  if (!canManageRace(req, template)) delete payload.autoEnroll;
+  return payload;
+}
+
+// Create a race template (protected - organizers and admins)
+// Body: template fields, optionally with fromRaceId to copy the route,
+// enrichment, image and rules of an existing race.
+router.post('/', authMiddleware, requireRole('organizer'), [
+  body('fromRaceId').optional().isMongoId(),
+  ...templateValidators({ create: true }),
+], async (req, res) => {
+  try {
+    console.log(`\n🧩 [TEMPLATES] Creating template (user ${req.userId})`);
+    if (!ensureValid(req, res)) return;
+
+    let fields = {};
+    if (req.body.fromRaceId) {
+      const race = await Race.findById(req.body.fromRaceId);
+      if (!race) return res.status(404).json({ message: 'Race not found' });
+      if (!canManageRace(req, race)) {
+        return res.status(403).json({ message: 'Not authorized to copy this race' });
+      }
+      fields = templateFieldsFromRace(race);
+    }
+
+    const overrides = fieldsFromBody(req.body);
+    if (COORDINATE_FIELDS.some((field) => overrides[field] !== undefined)) {
+      // The copied route no longer matches; enrichment rebuilds it.
+      delete fields.routePolyline;
+      delete fields.routeDistanceKm;
+    }
+    const imageUrl = await uploadImage(req.body.image, req.body.mimeType);
+
+    const template = new RaceTemplate({
+      ...fields,
+      ...overrides,
+      ...(imageUrl && { imageUrl }),
+      createdBy: req.userId,
+    });
+
+    try {
+      await enrichRaceDerivedFields(template);
+    } catch (e) {
+      console.warn('⚠️  [TEMPLATES] Enrichment skipped:', e.message || e.toString());
+    }
+    scheduleTemplate(template);
+    await template.save();
+
+    console.log(`✅ [TEMPLATES] Template ${template._id} created (next start: ${template.nextStartAt?.toISOString() || 'none'})`);
+    res.status(201).json({
+      message: 'Race template created',
+      template: toTemplatePayload(template, req),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('❌ [TEMPLATES] Error creating template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List templates (protected)
+// Managed templates (all for admins), or with autoEnrolled=true the ones
+// the caller auto-enrolls in.
+router.get('/', authMiddleware, loadUserRole, [
+  query('autoEnrolled').optional().isBoolean(),
+], async (req, res) => {
+  try {
+    if (!ensureValid(req, res)) return;
+
+    let filter;
+    if (req.query.autoEnrolled === 'true') {
+      filter = { autoEnroll: req.userId };
+    } else if (req.userRole === 'admin') {
+      filter = {};
+    } else {
+      filter = { $or: [{ createdBy: req.userId }, { organizers: req.userId }] };
+    }
+
+    const templates = await RaceTemplate.find(filter).sort({ createdAt: -1 });
+    res.json({ templates: templates.map((t) => toTemplatePayload(t, req)) });
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Error listing templates:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get a template (protected - managers and users who may auto-enroll)
+router.get('/:id', authMiddleware, loadUserRole, async (req, res) => {
+  try {
+    const template = await RaceTemplate.findById(req.params.id)
+      .populate('lastSpawnedRace', 'name startDate endDate status');
+    if (!template) return res.status(404).json({ message: 'Template not found' });
+    if (!await canAutoEnroll(req, template)) {
+      return res.status(403).json({ message: 'Not authorized to view this template' });
+    }
+
+    res.json({ template: toTemplatePayload(template, req) });
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Error fetching template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update a template (protected - template organizers)
+// Races already spawned keep their configuration. Changing the recurrence
+// or pausing/resuming restarts the schedule from now.
+router.put('/:id', authMiddleware, loadUserRole, templateValidators({ create: false }), async (req, res) => {
+  try {
+    if (!ensureValid(req, res)) return;
+
+    const template = await RaceTemplate.findById(req.params.id);
+    if (!template) return res.status(404).json({ message: 'Template not found' });
+    if (!canManageRace(req, template)) {
+      return res.status(403).json({ message: 'Not authorized to update this template' });
+    }
+
+    const { image, mimeType, ...updates } = req.body;
+    const unknown = Object.keys(updates).filter((field) => !TEMPLATE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: 'These fields cannot be edited', fields: unknown });
+    }
+
+    const fields = fieldsFromBody(updates);
+    template.set(fields);
+    if (COORDINATE_FIELDS.some((field) => fields[field] !== undefined)) {
+      template.routePolyline = undefined;
+      template.routeDistanceKm = null;
+      try {
+        await enrichRaceDerivedFields(template);
+      } catch (e) {
+        console.warn('⚠️  [TEMPLATES] Enrichment skipped:', e.message || e.toString());
+      }
+    }
+    if (image !== undefined) {
+      const imageUrl = await uploadImage(image, mimeType);
+      if (imageUrl) template.imageUrl = imageUrl;
+    }
+    if (fields.recurrence !== undefined || fields.active !== undefined) {
+      scheduleTemplate(template);
+    }
+
+    await template.save();
+    console.log(`✅ [TEMPLATES] Template ${template._id} updated: ${Object.keys(fields).join(', ') || 'image'}`);
+    res.json({ message: 'Race template updated', template: toTemplatePayload(template, req) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('❌ [TEMPLATES] Error updating template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete a template (protected - template creator or admin)
+// Races it already spawned are kept.
+router.delete('/:id', authMiddleware, loadUserRole, async (req, res) => {
+  try {
+    const template = await RaceTemplate.findById(req.params.id);
+    if (!template) return res.status(404).json({ message: 'Template not found' });
+    if (!canOwnRace(req, template)) {
+      return res.status(403).json({ message: 'Not authorized to delete this template' });
+    }
+
+    await RaceTemplate.deleteOne({ _id: template._id });
+    console.log(`🗑️  [TEMPLATES] Template ${template._id} deleted by ${req.userId}`);
+    res.json({ message: 'Race template deleted' });
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Error deleting template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Spawn a race from a template now (protected - template organizers)
+// Body: startDate and endDate, or nothing to spawn the next scheduled
+// occurrence early. With a recurrence, endDate defaults to durationDays
+// after startDate.
+router.post('/:id/spawn', authMiddleware, loadUserRole, [
+  body('startDate').optional().isISO8601(),
+  body('endDate').optional().isISO8601(),
+], async (req, res) => {
+  try {
+    if (!ensureValid(req, res)) return;
+
+    const template = await RaceTemplate.findById(req.params.id);
+    if (!template) return res.status(404).json({ message: 'Template not found' });
+    if (!canManageRace(req, template)) {
+      return res.status(403).json({ message: 'Not authorized to spawn races from this template' });
+    }
+
+    const now = new Date();
+    let result;
+    if (req.body.startDate) {
+      const startDate = new Date(req.body.startDate);
+      let endDate = req.body.endDate ? new Date(req.body.endDate) : null;
+      if (!endDate && template.recurrence) endDate = occurrenceEnd(template.recurrence, startDate);
+      if (!endDate) return res.status(400).json({ message: 'End date is required' });
+      if (endDate <= startDate) return res.status(400).json({ message: 'End date must be after start date' });
+      if (endDate <= now) return res.status(400).json({ message: 'End date must be in the future' });
+
+      result = await spawnRaceFromTemplate(template, startDate, endDate, now);
+      await template.save();
+    } else {
+      if (!template.nextStartAt) {
+        return res.status(400).json({ message: 'This template has no scheduled race; send startDate' });
+      }
+      result = await spawnNextRace(template, now, { early: true });
+      if (!result) return res.status(409).json({ message: 'The next race has already been spawned' });
+    }
+
+    const race = await Race.findById(result.race._id)
+      .populate('createdBy', 'email name avatarUrl');
+
+    console.log(`✅ [TEMPLATES] Spawned race ${race._id} from template ${template._id} (${result.enrolled.length} enrolled, ${result.waitlisted.length} waitlisted)`);
+    res.status(201).json({
+      message: 'Race created from template',
+      race,
+      enrolled: result.enrolled.length,
+      waitlisted: result.waitlisted.length,
+      nextStartAt: template.nextStartAt,
+      ...(result.race.joinCode && { joinCode: result.race.joinCode }),
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({ message: 'A race from this template already starts at that time' });
+    }
+    console.error('❌ [TEMPLATES] Error spawning race:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Auto-enroll in every new race from the template (protected)
+// Also enrolls the caller in the latest spawned race if it has not started.
+router.post('/:id/auto-enroll', authMiddleware, loadUserRole, async (req, res) => {
+  try {
+    const template = await RaceTemplate.findById(req.params.id);
+    if (!template) return res.status(404).json({ message: 'Template not found' });
+    if (!await canAutoEnroll(req, template)) {
+      return res.status(403).json({ message: 'Not authorized to join races from this template' });
+    }
+
+    template.autoEnroll.addToSet(req.userId);
+    await template.save();
+
+    const now = new Date();
+    let upcoming = null;
+    const race = template.lastSpawnedRace ? await Race.findById(template.lastSpawnedRace) : null;
+    if (race && race.startDate > now) {
+      const status = await autoEnrollUser(race, req.userId, now);
+      if (status !== 'skipped') await race.save();
+      upcoming = { raceId: race._id.toString(), status };
+    }
+
+    console.log(`✅ [TEMPLATES] User ${req.userId} auto-enrolls in template ${template._id}`);
+    res.json({
+      message: 'Auto-enrollment enabled',
+      autoEnrolled: true,
+      nextStartAt: template.nextStartAt,
+      upcoming,
+    });
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Error enabling auto-enrollment:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Stop auto-enrolling (protected). Races already joined are not left.
+router.delete('/:id/auto-enroll', authMiddleware, async (req, res) => {
+  try {
+    const template = await RaceTemplate.findById(req.params.id);
+    if (!template) return res.status(404).json({ message: 'Template not found' });
+
+    template.autoEnroll.pull(req.userId);
+    await template.save();
+
+    console.log(`✅ [TEMPLATES] User ${req.userId} stopped auto-enrolling in template ${template._id}`);
+    res.json({ message: 'Auto-enrollment disabled', autoEnrolled: false });
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Error disabling auto-enrollment:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,43 +2,67 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Race = require('../models/Race');
 const User = require('../models/User');
+const Activity = require('../models/Activity');
+const HealthSyncFlag = require('../models/HealthSyncFlag');
+const RaceAudit = require('../models/RaceAudit');
+const RaceInvite = require('../models/RaceInvite');
 const authMiddleware = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  loadUserRole,
+  loadOptionalUserRole,
+  requireRole,
+  canManageRace,
+  canOwnRace,
+} = require('../middleware/authorize');
 const uploadToS3 = require('../utils/awsUpload');
+const {
+  RACE_FORMATS,
+  asUserId,
+  asIsoDayString,
+  buildFinishStatePayload,
+  refreshFinishResolution,
+  runFinishEffects,
+  syncFinishResolution,
+  syncFinishResolutionForRaces,
+} = require('../utils/raceFinish');
+const {
+  buildRouteGeometry,
+  locateOnRoute,
+  buildRaceLeaderboard,
+  publishLeaderboardDelta,
+} = require('../utils/raceLeaderboard');
+const {
+  getParticipant,
+  MULTI_RACE_PARTICIPATION,
+  syncDayTotals,
+  correctDayTotal,
+  reviewHealthFlag,
+  toRaceSyncResult,
+} = require('../utils/raceProgress');
+const { planRaceEdits, applyRaceEdits } = require('../utils/raceEdits');
+const {
+  generateJoinCode,
+  normalizeJoinCode,
+  visibleRacesFilter,
+  checkRaceAccess,
+  accessDeniedPayload,
+} = require('../utils/raceAccess');
+const { promoteWaitlist, rewardPromotedInviters } = require('../utils/raceWaitlist');
+const { enrichRaceDerivedFields } = require('../utils/raceEnrichment');
+const { DAY_KEY_PATTERN, isValidTimeZone } = require('../utils/timeZones');
+const { CLIENT_SYNC_SOURCES, SYNC_SOURCES, DEFAULT_SYNC_SOURCE } = require('../utils/syncSources');
+const { subscribeToRace } = require('../utils/raceEvents');
+const { isConcurrentUpdate } = require('../utils/transactions');
+const { notify, notifyWaitlistPromoted } = require('../utils/notifications');
 
 const router = express.Router();
-const XP_PER_KM = 10;
-const FINISH_CONFIRMATION_WINDOW_MS = Number(
-  process.env.FINISH_CONFIRMATION_WINDOW_MS || 90_000,
-);
-
-function xpForLevel(level) {
-  if (level <= 1) return 0;
-  return Math.floor(100 * Math.pow(level - 1, 1.5));
-}
 
-function levelFromXp(totalXp) {
-  let level = 1;
-  while (totalXp >= xpForLevel(level + 1)) {
-    level += 1;
-  }
-  return level;
-}
-
-function progressionFromXp(totalXp) {
-  const level = levelFromXp(totalXp);
-  const currentLevelXp = xpForLevel(level);
-  const nextLevelXp = xpForLevel(level + 1);
-  const needed = Math.max(1, nextLevelXp - currentLevelXp);
-  const inLevelXp = totalXp - currentLevelXp;
-  return {
-    level,
-    totalXp,
-    currentLevelXp,
-    nextLevelXp,
-    inLevelXp,
-    xpToNextLevel: Math.max(0, nextLevelXp - totalXp),
-    progress: Number((inLevelXp / needed).toFixed(4)),
-  };
+// A save refused because the race changed meanwhile (e.g. waitlisted users
+// promoted into spots concurrent joins took, see models/Race.js): nothing
+// was written, so the client can retry.
+function raceChanged(res) {
+  return res.status(409).json({ message: 'The race changed meanwhile; try again', code: 'race_changed' });
 }
 
 async function findOngoingParticipation(userId, excludeRaceId = null) {
@@ -60,324 +84,21 @@ async function findOngoingParticipation(userId, excludeRaceId = null) {
   return Race.findOne(query).select('_id name startDate endDate');
 }
 
-function toRaceLeaderboardEntry(participant, raceDistance) {
-  const userDoc =
-    participant.user && typeof participant.user === 'object'
-      ? participant.user
-      : null;
-  const rawUserId = userDoc?._id || participant.user;
-  const userId = rawUserId ? rawUserId.toString() : '';
-  const totalDistance = Number(participant.totalDistance || 0);
-  const safeRaceDistance = Number(raceDistance || 0);
-  const progress =
-    safeRaceDistance > 0
-      ? Math.min(Math.max(totalDistance / safeRaceDistance, 0), 1)
-      : 0;
-
-  return {
-    userId,
-    user: participant.user,
-    name: (userDoc && (userDoc.name || userDoc.nickname || userDoc.email)) || 'Participant',
-    totalDistance,
-    progress: Number(progress.toFixed(4)),
-    distanceRemaining: Number(Math.max(0, safeRaceDistance - totalDistance).toFixed(3)),
-    status: participant.status,
-    completedAt: participant.completedAt || null,
-    joinedAt: participant.joinedAt || null,
-    dailyDistances: participant.dailyDistances || [],
-  };
-}
-
-function compareRaceLeaderboardEntries(a, b) {
-  if (b.totalDistance !== a.totalDistance) {
-    return b.totalDistance - a.totalDistance;
-  }
-
-  const aCompleted = a.status === 'completed';
-  const bCompleted = b.status === 'completed';
-  if (aCompleted !== bCompleted) {
-    return aCompleted ? -1 : 1;
-  }
-
-  const aCompletedAt = a.completedAt ? new Date(a.completedAt).getTime() : Number.POSITIVE_INFINITY;
-  const bCompletedAt = b.completedAt ? new Date(b.completedAt).getTime() : Number.POSITIVE_INFINITY;
-  if (aCompletedAt !== bCompletedAt) {
-    return aCompletedAt - bCompletedAt;
-  }
-
-  const aJoinedAt = a.joinedAt ? new Date(a.joinedAt).getTime() : Number.POSITIVE_INFINITY;
-  const bJoinedAt = b.joinedAt ? new Date(b.joinedAt).getTime() : Number.POSITIVE_INFINITY;
-  if (aJoinedAt !== bJoinedAt) {
-    return aJoinedAt - bJoinedAt;
-  }
-
-  return (a.name || '').localeCompare(b.name || '');
-}
-
-function buildRaceLeaderboard(race) {
-  const raceDistance = race.calculateRaceDistance();
-  const entries = (race.participants || [])
-    .map((participant) => toRaceLeaderboardEntry(participant, raceDistance))
-    .sort(compareRaceLeaderboardEntries)
-    .map((entry, index) => ({
-      ...entry,
-      position: index + 1,
-    }));
-
-  return {
-    raceDistance,
-    leaderboard: entries,
-  };
-}
-
-function asUserId(value) {
-  if (!value) return '';
-  if (typeof value === 'string') return value;
-  if (typeof value === 'object' && value._id) return value._id.toString();
-  if (typeof value.toString === 'function') return value.toString();
-  return '';
-}
-
-function pickEarliestCompletedParticipant(race) {
-  let earliest = null;
-  for (const participant of race.participants || []) {
-    if (participant.status !== 'completed' || !participant.completedAt) continue;
-    if (!earliest) {
-      earliest = participant;
-      continue;
-    }
-
-    const currentMs = new Date(participant.completedAt).getTime();
-    const earliestMs = new Date(earliest.completedAt).getTime();
-    if (currentMs < earliestMs) {
-      earliest = participant;
-      continue;
-    }
-
-    if (currentMs === earliestMs) {
-      const currentUserId = asUserId(participant.user);
-      const earliestUserId = asUserId(earliest.user);
-      if (currentUserId && earliestUserId && currentUserId < earliestUserId) {
-        earliest = participant;
-      }
-    }
-  }
-  return earliest;
-}
-
-function buildFinishStatePayload(race) {
-  const resolution = race.finishResolution || {};
-  const finalWinnerUserId = asUserId(resolution.finalWinner);
-  const provisionalWinnerUserId = asUserId(resolution.provisionalWinner);
-  const status = finalWinnerUserId
-    ? 'final'
-    : provisionalWinnerUserId
-      ? 'provisional'
-      : 'none';
-
-  return {
-    status,
-    winnerUserId: finalWinnerUserId || provisionalWinnerUserId || null,
-    provisionalWinnerUserId: provisionalWinnerUserId || null,
-    provisionalAt: resolution.provisionalAt || null,
-    confirmationWindowEndsAt: resolution.confirmationWindowEndsAt || null,
-    finalWinnerUserId: finalWinnerUserId || null,
-    finalizedAt: resolution.finalizedAt || null,
-    confirmationWindowMs: FINISH_CONFIRMATION_WINDOW_MS,
-  };
-}
-
-function refreshFinishResolution(race, now = new Date()) {
-  const resolution = race.finishResolution || {};
-  const earliest = pickEarliestCompletedParticipant(race);
-  const nowMs = now.getTime();
-  let changed = false;
-
-  if (!earliest) {
-    if (
-      resolution.provisionalWinner ||
-      resolution.provisionalAt ||
-      resolution.confirmationWindowEndsAt ||
-      resolution.finalWinner ||
-      resolution.finalizedAt
-    ) {
-      resolution.provisionalWinner = null;
-      resolution.provisionalAt = null;
-      resolution.confirmationWindowEndsAt = null;
-      resolution.finalWinner = null;
-      resolution.finalizedAt = null;
-      changed = true;
-    }
-    race.finishResolution = resolution;
-    return { changed, finishState: buildFinishStatePayload(race) };
-  }
-
-  const winnerUserId = asUserId(earliest.user);
-  const winnerAt = new Date(earliest.completedAt);
-  const provisionalWinnerUserId = asUserId(resolution.provisionalWinner);
-  const finalWinnerUserId = asUserId(resolution.finalWinner);
-
-  // If historical data changed and final winner is no longer earliest,
-  // reopen arbitration and resolve again.
-  if (finalWinnerUserId && finalWinnerUserId !== winnerUserId) {
-    resolution.finalWinner = null;
-    resolution.finalizedAt = null;
-    changed = true;
-  }
-
-  if (provisionalWinnerUserId !== winnerUserId) {
-    resolution.provisionalWinner = earliest.user;
-    resolution.provisionalAt = winnerAt;
-    resolution.confirmationWindowEndsAt = new Date(
-      nowMs + FINISH_CONFIRMATION_WINDOW_MS,
-    );
-    resolution.finalWinner = null;
-    resolution.finalizedAt = null;
-    changed = true;
-  } else {
-    const provisionalAtMs = resolution.provisionalAt
-      ? new Date(resolution.provisionalAt).getTime()
-      : 0;
-    if (provisionalAtMs !== winnerAt.getTime()) {
-      resolution.provisionalAt = winnerAt;
-      changed = true;
-    }
-    if (!resolution.confirmationWindowEndsAt) {
-      resolution.confirmationWindowEndsAt = new Date(
-        nowMs + FINISH_CONFIRMATION_WINDOW_MS,
-      );
-      changed = true;
-    }
-  }
-
-  if (
-    !resolution.finalWinner &&
-    resolution.confirmationWindowEndsAt &&
-    nowMs >= new Date(resolution.confirmationWindowEndsAt).getTime()
-  ) {
-    resolution.finalWinner = earliest.user;
-    resolution.finalizedAt = now;
-    changed = true;
-  }
-
-  race.finishResolution = resolution;
-  return { changed, finishState: buildFinishStatePayload(race) };
-}
-
-async function syncFinishResolution(race, now = new Date()) {
-  const result = refreshFinishResolution(race, now);
-  if (result.changed) {
-    await race.save();
-  }
-  return result.finishState;
-}
-
-async function syncFinishResolutionForRaces(races, now = new Date()) {
-  for (const race of races) {
-    const result = refreshFinishResolution(race, now);
-    if (result.changed) {
-      await race.save();
-    }
-  }
-}
-
-const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
-
-function requireGoogleKey() {
-  if (!GOOGLE_MAPS_API_KEY) {
-    throw new Error('Missing GOOGLE_MAPS_API_KEY in server environment');
-  }
-}
-
-async function fetchJsonWithTimeout(url, timeoutMs = 8000) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, { signal: controller.signal });
-    const text = await res.text();
-    let data;
-    try {
-      data = JSON.parse(text);
-    } catch (_) {
-      data = { raw: text };
-    }
-    if (!res.ok) {
-      const msg = (data && data.message) ? data.message : `HTTP ${res.status}`;
-      throw new Error(`Google API error: ${msg}`);
-    }
-    return data;
-  } finally {
-    clearTimeout(timeout);
-  }
-}
-
-async function reverseGeocodePlaceName(lat, lng) {
-  requireGoogleKey();
-  const url =
-    `https://maps.googleapis.com/maps/api/geocode/json?latlng=${lat},${lng}&key=${GOOGLE_MAPS_API_KEY}`;
-  const data = await fetchJsonWithTimeout(url, 7000);
-  if (!data || data.status !== 'OK' || !Array.isArray(data.results) || data.results.length === 0) {
-    return null;
-  }
-  const first = data.results[0];
-  const components = Array.isArray(first.address_components) ? first.address_components : [];
-  let locality = null;
-  let sublocality = null;
-  let admin2 = null;
-  for (const comp of components) {
-    const types = Array.isArray(comp.types) ? comp.types : [];
-    const name = comp.long_name || '';
-    if (types.includes('locality')) locality = name;
-    if (types.includes('sublocality') || types.includes('sublocality_level_1')) sublocality = sublocality || name;
-    if (types.includes('administrative_area_level_2')) admin2 = name;
-  }
-  const formatted = (first.formatted_address || '').split(',')[0]?.trim() || null;
-  return locality || sublocality || admin2 || formatted;
-}
-
-async function fetchDirectionsOverviewPolyline(startLat, startLng, endLat, endLng) {
-  requireGoogleKey();
-  const url =
-    `https://maps.googleapis.com/maps/api/directions/json?origin=${startLat},${startLng}&destination=${endLat},${endLng}&key=${GOOGLE_MAPS_API_KEY}`;
-  const data = await fetchJsonWithTimeout(url, 10000);
-  if (!data || data.status !== 'OK' || !Array.isArray(data.routes) || data.routes.length === 0) {
-    return null;
-  }
-  const route = data.routes[0] || {};
-  const poly = route.overview_polyline && route.overview_polyline.points;
-  return typeof poly === 'string' && poly.length > 0 ? poly : null;
-}
-
-async function enrichRaceDerivedFields(raceDoc) {
-  // Place names
-  if (!raceDoc.startPoint?.address) {
-    const name = await reverseGeocodePlaceName(raceDoc.startPoint.latitude, raceDoc.startPoint.longitude);
-    if (name) raceDoc.startPoint.address = name;
-  }
-  if (!raceDoc.endPoint?.address) {
-    const name = await reverseGeocodePlaceName(raceDoc.endPoint.latitude, raceDoc.endPoint.longitude);
-    if (name) raceDoc.endPoint.address = name;
-  }
-
-  // Route polyline
-  if (!raceDoc.routePolyline) {
-    const poly = await fetchDirectionsOverviewPolyline(
-      raceDoc.startPoint.latitude,
-      raceDoc.startPoint.longitude,
-      raceDoc.endPoint.latitude,
-      raceDoc.endPoint.longitude,
-    );
-    if (poly) raceDoc.routePolyline = poly;
-  }
-}
-
-// Get all races
-router.get('/', async (req, res) => {
+// Get all races (public; signed-in users also see the private races they
+// have access to)
+// Query: status, includeArchived=true to also list archived races
+router.get('/', authMiddleware.optional, loadOptionalUserRole, async (req, res) => {
   try {
     console.log('\n📋 [RACES] Fetching all races');
     
     const { status } = req.query;
-    const query = status ? { status } : {};
+    const query = {
+      ...(status && { status }),
+      ...await visibleRacesFilter({ userId: req.userId, role: req.userRole }),
+    };
+    if (req.query.includeArchived !== 'true') {
+      query.archivedAt = null;
+    }
     
     const races = await Race.find(query)
       .populate('participants.user', 'email name nickname avatarUrl')
@@ -404,7 +125,7 @@ router.get('/', async (req, res) => {
 });
 
 // Global leaderboard (protected)
-// Aggregates total KM, race participations, and wins (first finisher by completedAt)
+// Aggregates total KM, race participations, and wins (finalized winner, resolved per race format)
 router.get('/leaderboard', authMiddleware, async (req, res) => {
   try {
     console.log('\n🏆 [RACES] Fetching GLOBAL leaderboard');
@@ -440,12 +161,15 @@ router.get('/leaderboard', authMiddleware, async (req, res) => {
           totalKm: 0,
           races: 0,
           wins: 0,
+          winsByFormat: {},
         };
 
         prev.totalKm += Number(p.totalDistance || 0);
         prev.races += 1;
         if (winnerUserId && userId === winnerUserId) {
+          const format = race.format || 'point_to_point';
           prev.wins += 1;
+          prev.winsByFormat[format] = (prev.winsByFormat[format] || 0) + 1;
         }
 
         // keep the first non-empty name/email/avatarUrl
@@ -473,7 +197,7 @@ router.get('/leaderboard', authMiddleware, async (req, res) => {
 });
 
 // Current user stats (protected)
-// Returns: races participated, wins, total KM, and win rate.
+// Returns: races participated, races completed, wins, total KM, and win rate.
 router.get('/my-stats', authMiddleware, async (req, res) => {
   try {
     console.log(`\n📈 [RACES] Fetching stats for user: ${req.userId}`);
@@ -485,6 +209,7 @@ router.get('/my-stats', authMiddleware, async (req, res) => {
     await syncFinishResolutionForRaces(races, new Date());
 
     let racesParticipated = 0;
+    let racesCompleted = 0;
     let wins = 0;
     let totalKm = 0;
     let name = 'Participant';
@@ -500,6 +225,15 @@ router.get('/my-stats', authMiddleware, async (req, res) => {
       racesParticipated += 1;
       totalKm += Number(myParticipant.totalDistance || 0);
 
+      // Completion is measured against the road distance shown on the map.
+      const raceDistance = race.calculateRaceDistance();
+      if (
+        myParticipant.status === 'completed' ||
+        (raceDistance > 0 && Number(myParticipant.totalDistance || 0) >= raceDistance)
+      ) {
+        racesCompleted += 1;
+      }
+
       if ((myParticipant.user && myParticipant.user.name) && name === 'Participant') {
         name = myParticipant.user.name;
       } else if ((myParticipant.user && myParticipant.user.email) && name === 'Participant') {
@@ -520,6 +254,7 @@ router.get('/my-stats', authMiddleware, async (req, res) => {
       userId: req.userId,
       name,
       racesParticipated,
+      racesCompleted,
       wins,
       totalKm: Number(totalKm.toFixed(2)),
       winRate: Number(winRate.toFixed(1)),
@@ -533,27 +268,78 @@ router.get('/my-stats', authMiddleware, async (req, res) => {
   }
 });
 
-// Get race by ID
-router.get('/:id', async (req, res) => {
+// Deleted races that can still be restored (protected - own races; admins see all)
+router.get('/deleted', authMiddleware, loadUserRole, async (req, res) => {
+  try {
+    const now = new Date();
+    const query = {
+      deletedAt: { $ne: null, $gt: new Date(now.getTime() - Race.RESTORE_WINDOW_MS) },
+    };
+    if (req.userRole !== 'admin') {
+      query.createdBy = req.userId;
+    }
+
+    const races = await Race.find(query)
+      .select('name description imageUrl startDate endDate status deletedAt deletedBy createdBy')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      races: races.map((race) => ({
+        ...race.toObject(),
+        restorableUntil: race.restorableUntil(),
+      })),
+    });
+  } catch (error) {
+    console.error('❌ [RACES] Error fetching deleted races:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get race by ID (public races; private ones need access, see utils/raceAccess.js)
+// Query: code - join code, for join_code races
+router.get('/:id', authMiddleware.optional, loadOptionalUserRole, async (req, res) => {
   try {
     console.log(`\n📋 [RACES] Fetching race: ${req.params.id}`);
     
     const race = await Race.findById(req.params.id)
+      .select('+joinCode')
       .populate('participants.user', 'email name nickname avatarUrl')
-      .populate('createdBy', 'email name avatarUrl');
+      .populate('createdBy', 'email name avatarUrl')
+      .populate('organizers', 'email name nickname avatarUrl');
     
     if (!race) {
       console.log(`❌ [RACES] Race not found: ${req.params.id}`);
       return res.status(404).json({ message: 'Race not found' });
     }
+
+    const denied = await checkRaceAccess(race, { userId: req.userId, role: req.userRole }, {
+      joinCode: req.query.code,
+    });
+    if (denied) {
+      return res.status(403).json(accessDeniedPayload(denied));
+    }
     
     console.log(`✅ [RACES] Race found: ${race.name}`);
     
     await syncFinishResolution(race, new Date());
 
     const raceObj = race.toObject();
+    if (!canManageRace(req, race)) {
+      delete raceObj.joinCode;
+      // Others only see how long the waitlist is, and their own place on it.
+      raceObj.waitlistCount = (raceObj.waitlist || []).length;
+      raceObj.waitlistPosition = req.userId ? race.waitlistPosition(req.userId) : 0;
+      delete raceObj.waitlist;
+    }
     raceObj.distance = race.calculateRaceDistance();
     raceObj.finishState = buildFinishStatePayload(race);
+
+    // Server-side map markers so every client places participants the same way.
+    const route = buildRouteGeometry(race);
+    raceObj.participants = (raceObj.participants || []).map((p) => ({
+      ...p,
+      ...locateOnRoute(route, p.totalDistance, raceObj.distance),
+    }));
     
     res.json({ race: raceObj });
   } catch (error) {
@@ -562,13 +348,30 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create new race (protected - admin only)
-router.post('/', authMiddleware, [
+// Create new race (protected - organizers and admins)
+router.post('/', authMiddleware, requireRole('organizer'), [
   body('name').notEmpty().trim(),
   body('startPoint.latitude').isFloat(),
   body('startPoint.longitude').isFloat(),
   body('endPoint.latitude').isFloat(),
   body('endPoint.longitude').isFloat(),
+  body('checkpoints').optional().isArray({ max: 23 }),
+  body('checkpoints.*.latitude').isFloat(),
+  body('checkpoints.*.longitude').isFloat(),
+  body('format').optional().isIn(RACE_FORMATS),
+  body('streakThresholdKm').optional().isFloat({ min: 0 }),
+  body('teams').optional().isArray({ max: 20 }),
+  body('teams.*.name').trim().notEmpty(),
+  body('teams.*.maxMembers').optional({ nullable: true }).isInt({ min: 1 }),
+  body('teamBalanceMaxGap').optional({ nullable: true }).isInt({ min: 0 }),
+  body('allowRejoin').optional().isBoolean(),
+  body('visibility').optional().isIn(Race.VISIBILITIES),
+  body('maxParticipants').optional({ nullable: true }).isInt({ min: 1 }),
+  body('registrationClosesAt').optional({ nullable: true }).isISO8601(),
+  body('allowedActivityTypes').optional().isArray({ min: 1 }),
+  body('allowedActivityTypes.*').isIn(Activity.ACTIVITY_TYPES),
+  body('activityMultipliers').optional().isObject(),
+  body('activityMultipliers.*').isFloat({ min: 0, max: 10 }),
   body('startDate').isISO8601(),
   body('endDate').isISO8601(),
 ], async (req, res) => {
@@ -584,7 +387,31 @@ router.post('/', authMiddleware, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, startPoint, endPoint, startDate, endDate, image, mimeType } = req.body;
+    const {
+      name,
+      description,
+      startPoint,
+      endPoint,
+      checkpoints,
+      format,
+      streakThresholdKm,
+      teams,
+      teamBalanceMaxGap,
+      allowRejoin,
+      visibility,
+      maxParticipants,
+      registrationClosesAt,
+      allowedActivityTypes,
+      activityMultipliers,
+      startDate,
+      endDate,
+      image,
+      mimeType,
+    } = req.body;
+
+    if (registrationClosesAt && new Date(registrationClosesAt) > new Date(endDate)) {
+      return res.status(400).json({ message: 'Registration must close before the end date' });
+    }
 
     let imageUrl;
     if (image) {
@@ -602,6 +429,11 @@ router.post('/', authMiddleware, [
     console.log(`📝 [RACES] Race name: ${name}`);
     console.log(`📍 [RACES] Start: (${startPoint.latitude}, ${startPoint.longitude})`);
     console.log(`📍 [RACES] End: (${endPoint.latitude}, ${endPoint.longitude})`);
+    console.log(`📍 [RACES] Checkpoints: ${(checkpoints || []).length}`);
+    console.log(`🏷️  [RACES] Format: ${format || 'point_to_point'}`);
+    console.log(`👥 [RACES] Teams: ${(teams || []).length}`);
+    console.log(`🏃 [RACES] Activity types: ${(allowedActivityTypes || Activity.ACTIVITY_TYPES).join(', ')}`);
+    console.log(`🔒 [RACES] Visibility: ${visibility || 'public'}`);
     console.log(`📅 [RACES] Start date: ${startDate}`);
     console.log(`📅 [RACES] End date: ${endDate}`);
 
@@ -610,6 +442,31 @@ router.post('/', authMiddleware, [
       description,
       startPoint,
       endPoint,
+      checkpoints: (checkpoints || []).map((c) => ({
+        latitude: c.latitude,
+        longitude: c.longitude,
+        ...(c.address && { address: c.address }),
+      })),
+      ...(format && { format }),
+      ...(streakThresholdKm != null && { streakThresholdKm: Number(streakThresholdKm) }),
+      teams: (teams || []).map((t) => ({
+        name: t.name,
+        maxMembers: t.maxMembers != null ? Number(t.maxMembers) : null,
+      })),
+      ...(teamBalanceMaxGap != null && { teamBalanceMaxGap: Number(teamBalanceMaxGap) }),
+      ...(allowRejoin != null && { allowRejoin: String(allowRejoin) === 'true' }),
+      ...(visibility && { visibility }),
+      ...(visibility === 'join_code' && { joinCode: generateJoinCode() }),
+      ...(maxParticipants != null && { maxParticipants: Number(maxParticipants) }),
+      ...(registrationClosesAt && { registrationClosesAt: new Date(registrationClosesAt) }),
+      ...(allowedActivityTypes && { allowedActivityTypes: [...new Set(allowedActivityTypes)] }),
+      ...(activityMultipliers && {
+        activityMultipliers: Object.fromEntries(
+          Activity.ACTIVITY_TYPES
+            .filter((type) => activityMultipliers[type] != null)
+            .map((type) => [type, Number(activityMultipliers[type])]),
+        ),
+      }),
       startDate: new Date(startDate),
       endDate: new Date(endDate),
       createdBy: req.userId,
@@ -625,6 +482,7 @@ router.post('/', authMiddleware, [
     }
 
     await race.save();
+    await RaceAudit.record(race._id, req.userId, 'create');
     
     const raceDistance = race.calculateRaceDistance();
     console.log(`📏 [RACES] Race distance: ${raceDistance.toFixed(2)} km`);
@@ -641,7 +499,8 @@ router.post('/', authMiddleware, [
     res.status(201).json({
       message: 'Race created successfully',
       race: populatedRace,
-      distance: raceDistance
+      distance: raceDistance,
+      ...(race.joinCode && { joinCode: race.joinCode }),
     });
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -652,13 +511,16 @@ router.post('/', authMiddleware, [
   }
 });
 
-// Enrich an existing race with derived fields (protected)
-router.post('/:id/enrich', authMiddleware, async (req, res) => {
+// Enrich an existing race with derived fields (protected - race organizers)
+router.post('/:id/enrich', authMiddleware, loadUserRole, async (req, res) => {
   try {
     console.log(`\n🧠 [RACES] Enriching race ${req.params.id}`);
 
     const race = await Race.findById(req.params.id);
     if (!race) return res.status(404).json({ message: 'Race not found' });
+    if (!canManageRace(req, race)) {
+      return res.status(403).json({ message: 'Not authorized to update this race' });
+    }
 
     await enrichRaceDerivedFields(race);
     await race.save();
@@ -675,17 +537,37 @@ router.post('/:id/enrich', authMiddleware, async (req, res) => {
 });
 
 // Join race (protected)
-router.post('/:id/join', authMiddleware, async (req, res) => {
+// Body: { teamId?, joinCode? } - team races auto-assign the smallest team
+// when teamId is omitted; joinCode is needed for join_code races.
+// When the race is full the user is put on its waitlist (202).
+// Errors carry a `code` (e.g. registration_closed, team_full).
+router.post('/:id/join', authMiddleware, loadUserRole, [
+  body('teamId').optional().isMongoId(),
+  body('joinCode').optional().isString().trim().isLength({ max: 32 }),
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     console.log(`\n👤 [RACES] User ${req.userId} joining race ${req.params.id}`);
     
-    const race = await Race.findById(req.params.id);
+    let race = await Race.findById(req.params.id).select('+joinCode');
     
     if (!race) {
       console.log(`❌ [RACES] Race not found: ${req.params.id}`);
       return res.status(404).json({ message: 'Race not found' });
     }
 
+    const denied = await checkRaceAccess(race, { userId: req.userId, role: req.userRole }, {
+      joinCode: req.body?.joinCode,
+    });
+    if (denied) {
+      console.log(`❌ [RACES] Join denied: ${denied}`);
+      return res.status(403).json(accessDeniedPayload(denied));
+    }
+
     // Check if race is still open for joining
     const now = new Date();
     if (now > race.endDate) {
@@ -693,7 +575,9 @@ router.post('/:id/join', authMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Race has ended' });
     }
 
-    const conflictingRace = await findOngoingParticipation(req.userId, race._id);
+    const conflictingRace = MULTI_RACE_PARTICIPATION
+      ? null
+      : await findOngoingParticipation(req.userId, race._id);
     if (conflictingRace) {
       return res.status(400).json({
         message: `You can participate in only one race at a time. Leave or finish "${conflictingRace.name}" first.`,
@@ -706,7 +590,31 @@ router.post('/:id/join', authMiddleware, async (req, res) => {
       });
     }
 
-    await race.addParticipant(req.userId);
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        await race.addParticipant(req.userId, { teamId: req.body?.teamId, now });
+        break;
+      } catch (error) {
+        // Concurrent joins took the spot (capacity guard): retry on the
+        // stored race, which may now be full.
+        if (isConcurrentUpdate(error) && attempt < 3) {
+          race = await Race.findById(race._id);
+          if (!race) return res.status(404).json({ message: 'Race not found' });
+          continue;
+        }
+        if (Race.joinErrorCode(error) !== 'race_full') throw error;
+
+        const position = race.addToWaitlist(req.userId, { teamId: req.body?.teamId, now });
+        await race.save();
+        console.log(`⏳ [RACES] Race is full; user waitlisted at position ${position}`);
+        return res.status(202).json({
+          message: 'Race is full. You are on the waitlist.',
+          code: 'waitlisted',
+          waitlisted: true,
+          position,
+        });
+      }
+    }
     
     console.log(`✅ [RACES] User joined race successfully`);
     
@@ -719,9 +627,68 @@ router.post('/:id/join', authMiddleware, async (req, res) => {
     });
   } catch (error) {
     console.error('❌ [RACES] Error joining race:', error);
-    if (error.message === 'User is already a participant') {
-      return res.status(400).json({ message: error.message });
+    if (isConcurrentUpdate(error)) return raceChanged(res);
+    if (Race.isJoinError(error)) {
+      return res.status(400).json({ message: error.message, code: Race.joinErrorCode(error) });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Leave race (protected)
+// Marks the participant withdrawn: they drop out of the leaderboard and
+// winner selection. Whether they may join again is up to race.allowRejoin.
+// The freed spot goes to the first user on the waitlist. Waitlisted users
+// leave the waitlist instead.
+router.post('/:id/leave', authMiddleware, async (req, res) => {
+  try {
+    console.log(`\n🚪 [RACES] User ${req.userId} leaving race ${req.params.id}`);
+
+    const race = await Race.findById(req.params.id);
+    if (!race) {
+      console.log(`❌ [RACES] Race not found: ${req.params.id}`);
+      return res.status(404).json({ message: 'Race not found' });
+    }
+
+    const now = new Date();
+    if (now > race.endDate) {
+      return res.status(400).json({ message: 'Race has ended' });
+    }
+
+    const participant = getParticipant(race, req.userId);
+    if ((!participant || participant.status === 'withdrawn') && race.removeFromWaitlist(req.userId)) {
+      await race.save();
+      console.log(`✅ [RACES] User ${req.userId} left the waitlist of race ${race._id}`);
+      return res.json({ message: 'You left the waitlist', raceId: race._id });
+    }
+
+    const leaderboardBefore = buildRaceLeaderboard(race).leaderboard;
+    try {
+      race.withdrawParticipant(req.userId, now);
+    } catch (error) {
+      if (!Race.isLeaveError(error)) throw error;
+      return res.status(400).json({ message: error.message, code: error.code });
     }
+
+    const promoted = await promoteWaitlist(race, now);
+    const { effects: finishEffects } = refreshFinishResolution(race, now);
+    await race.save();
+    runFinishEffects(finishEffects);
+    publishLeaderboardDelta(race, leaderboardBefore);
+    await notifyWaitlistPromoted(race, promoted);
+    await rewardPromotedInviters(race, promoted);
+
+    console.log(`✅ [RACES] User ${req.userId} left race ${race._id}${promoted.length ? ` (promoted ${promoted.join(', ')})` : ''}`);
+
+    res.json({
+      message: 'You left the race',
+      raceId: race._id,
+      canRejoin: Boolean(race.allowRejoin),
+      finishState: buildFinishStatePayload(race),
+    });
+  } catch (error) {
+    console.error('❌ [RACES] Error leaving race:', error);
+    if (isConcurrentUpdate(error)) return raceChanged(res);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -733,25 +700,33 @@ router.put('/:id/distance', authMiddleware, async (req, res) => {
   });
 });
 
-function asIsoDayString(dateLike) {
-  const d = new Date(dateLike);
-  if (Number.isNaN(d.getTime())) return null;
-  return d.toISOString().split('T')[0];
-}
-
-function getParticipant(race, userId) {
-  return race.participants.find(
-    (p) => p.user.toString() === userId.toString(),
-  );
-}
-
 // HealthKit sync (protected)
-// Accepts per-day totals and applies them to the user's most-recent active race participation.
+// Accepts per-day totals and applies them to the user's most-recent active race participation,
+// to every active race when multi-race participation is enabled, or to the given raceIds.
+// A day may be split by activityType (run, walk, cycle); untyped totals are
+// HealthKit walking+running distance and count as run.
+// Each day is a localDate (YYYY-MM-DD in the user's calendar) or a date; a
+// date-time is bucketed into the user's local day. timeZone (the device's
+// zone) updates the user's stored zone.
+// source identifies the health platform (healthkit, health_connect, garmin,
+// strava or fitbit; default healthkit); each source's days are kept apart
+// and combined by the user's merge policy. Send an Idempotency-Key header
+// (or idempotencyKey) so retries are applied once.
 router.post('/health/sync', authMiddleware, [
   body('days').isArray({ min: 1, max: 60 }),
-  body('days.*.date').isISO8601(),
+  body('source').optional().isIn(CLIENT_SYNC_SOURCES),
+  body('idempotencyKey').optional().isString(),
+  // Checked per item: a .if() on days.*.localDate would look at the whole array.
+  body('days.*').custom((day) => (day?.localDate === undefined) !== (day?.date === undefined))
+    .withMessage('Each day needs exactly one of localDate or date'),
+  body('days.*.localDate').optional().matches(DAY_KEY_PATTERN).isISO8601({ strict: true }),
+  body('days.*.date').optional().isISO8601(),
   body('days.*.distanceKm').isFloat({ min: 0 }),
-], async (req, res) => {
+  body('timeZone').optional().custom(isValidTimeZone).withMessage('Unknown time zone'),
+  body('days.*.activityType').optional().isIn(Activity.ACTIVITY_TYPES),
+  body('raceIds').optional().isArray({ min: 1, max: 20 }),
+  body('raceIds.*').isMongoId(),
+], idempotent('health_sync'), async (req, res) => {
   const startTime = Date.now();
 
   try {
@@ -762,164 +737,263 @@ router.post('/health/sync', authMiddleware, [
 
     const now = new Date();
     const days = Array.isArray(req.body.days) ? req.body.days : [];
+    const source = req.body.source || DEFAULT_SYNC_SOURCE;
 
-    // Find active races where user is participant (by date range, not stored status).
-    const activeRaces = await Race.find({
-      'participants.user': req.userId,
-      startDate: { $lte: now },
-      endDate: { $gte: now },
-    });
-
-    if (!activeRaces.length) {
-      return res.json({
-        message: 'No active race participation found',
-        applied: false,
-        deltaKm: 0,
-      });
+    const user = await User.findById(req.userId).select('timeZone');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (req.body.timeZone && req.body.timeZone !== user.timeZone) {
+      console.log(`🌍 [RACES] User ${req.userId} time zone: ${user.timeZone} -> ${req.body.timeZone}`);
+      user.timeZone = req.body.timeZone;
+      await user.save();
     }
 
-    // Pick race with latest joinedAt.
-    let selectedRace = null;
-    let latestJoinedAt = null;
-    for (const r of activeRaces) {
-      const p = getParticipant(r, req.userId);
-      if (!p) continue;
-      const joinedAt = p.joinedAt ? new Date(p.joinedAt) : null;
-      if (!joinedAt || Number.isNaN(joinedAt.getTime())) continue;
-      if (!latestJoinedAt || joinedAt > latestJoinedAt) {
-        latestJoinedAt = joinedAt;
-        selectedRace = r;
+    // One total per day and type; a day sent twice keeps its highest value.
+    const incomingByKey = new Map();
+    for (const item of days) {
+      const dayKey = item.localDate || asIsoDayString(item.date, user.timeZone);
+      if (!dayKey) continue;
+      const distanceKm = Number(item.distanceKm || 0);
+      if (!Number.isFinite(distanceKm) || distanceKm < 0) continue;
+      const activityType = item.activityType || 'run';
+      const key = `${dayKey}:${activityType}`;
+      if (distanceKm >= (incomingByKey.get(key)?.distanceKm ?? -1)) {
+        incomingByKey.set(key, { dayKey, activityType, distanceKm });
       }
     }
-
-    if (!selectedRace) {
+    const incomingDays = [...incomingByKey.values()];
+
+    const raceIds = Array.isArray(req.body.raceIds) ? [...new Set(req.body.raceIds.map(String))] : null;
+    const result = await syncDayTotals(req.userId, incomingDays, {
+      now,
+      raceIds,
+      source,
+      syncId: req.idempotencyKey || null,
+    });
+    if (!result.applied) {
       return res.json({
         message: 'No active race participation found',
         applied: false,
-        deltaKm: 0,
+        races: [],
       });
     }
 
-    const race = selectedRace;
-    const participant = getParticipant(race, req.userId);
-    if (!participant) {
-      return res.json({
-        message: 'No active race participation found',
-        applied: false,
-        deltaKm: 0,
-      });
+    const duration = Date.now() - startTime;
+    for (const r of result.races) {
+      console.log(
+        `✅ [RACES] Health sync (${source}) applied to race ${r.race._id} for user ${req.userId} (${r.deltaKm >= 0 ? '+' : ''}${r.deltaKm.toFixed(2)} km)`,
+      );
     }
+    console.log(`✅ [RACES] Health sync for user ${req.userId} done in ${duration}ms`);
 
-    // Map existing daily entries by ISO day.
-    const existingByDay = new Map();
-    for (const entry of participant.dailyDistances || []) {
-      const key = asIsoDayString(entry.date);
-      if (!key) continue;
-      existingByDay.set(key, entry);
+    const syncedIds = new Set(result.races.map((r) => r.race._id.toString()));
+    res.json({
+      message: 'Health sync applied',
+      applied: true,
+      races: result.races.map(toRaceSyncResult),
+      ...(raceIds && { skippedRaceIds: raceIds.filter((id) => !syncedIds.has(id)) }),
+      lifetimeDeltaKm: Number(result.rawDeltaKm.toFixed(3)),
+      lastHealthSyncAt: result.lastHealthSyncAt,
+      progression: result.progression,
+      timeZone: user.timeZone,
+      source,
+    });
+  } catch (error) {
+    console.error('❌ [RACES] Error syncing Health data:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+const CORRECTION_ERRORS = {
+  no_value: [404, 'No synced distance from this source for that day'],
+  not_lower: [400, 'A correction can only lower a synced distance'],
+  race_finished: [409, 'Distance cannot be corrected once you finished the race; ask the organizer'],
+};
+
+// Correct a synced day downward (protected)
+// Body: localDate (or date), activityType (default run), source (default
+// healthkit), distanceKm (the right total for that source), reason, raceIds.
+// Applies to the user's sync races where the source holds more than
+// distanceKm; the km taken off stay off when the source re-syncs the same
+// total. Recorded in each race's history.
+router.post('/health/corrections', authMiddleware, [
+  body('localDate').optional().matches(DAY_KEY_PATTERN).isISO8601({ strict: true }),
+  body('date').if(body('localDate').not().exists()).isISO8601(),
+  body('activityType').optional().isIn(Activity.ACTIVITY_TYPES),
+  body('source').optional().isIn(SYNC_SOURCES),
+  body('distanceKm').isFloat({ min: 0 }),
+  body('reason').isString().trim().isLength({ min: 3, max: 500 }),
+  body('raceIds').optional().isArray({ min: 1, max: 20 }),
+  body('raceIds.*').isMongoId(),
+  body('idempotencyKey').optional().isString(),
+], idempotent('health_correction'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    let deltaKm = 0;
-    for (const item of days) {
-      const dayKey = asIsoDayString(item.date);
-      if (!dayKey) continue;
+    const user = await User.findById(req.userId).select('timeZone');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
-      const incoming = Number(item.distanceKm || 0);
-      if (!Number.isFinite(incoming) || incoming < 0) continue;
+    const correction = {
+      dayKey: req.body.localDate || asIsoDayString(req.body.date, user.timeZone),
+      activityType: req.body.activityType || 'run',
+      source: req.body.source || DEFAULT_SYNC_SOURCE,
+      distanceKm: Number(req.body.distanceKm),
+      reason: req.body.reason,
+    };
+    const raceIds = Array.isArray(req.body.raceIds) ? [...new Set(req.body.raceIds.map(String))] : null;
+    const result = await correctDayTotal(req.userId, correction, { now: new Date(), raceIds });
+    if (result.error) {
+      const [status, message] = CORRECTION_ERRORS[result.error];
+      return res.status(status).json({ message, code: result.error });
+    }
 
-      const existing = existingByDay.get(dayKey);
-      const oldDistance = Number(existing?.distance || 0);
-      const newDistance = Math.max(oldDistance, incoming); // never move backwards
+    for (const r of result.races) {
+      console.log(
+        `✏️  [RACES] User ${req.userId} corrected ${correction.dayKey} ${correction.activityType} (${correction.source}) in race ${r.race._id}: ${r.fromKm.toFixed(2)} -> ${correction.distanceKm.toFixed(2)} km`,
+      );
+    }
 
-      if (!existing) {
-        participant.dailyDistances.push({
-          date: new Date(dayKey),
-          distance: newDistance,
-        });
-      } else {
-        existing.distance = newDistance;
-      }
+    res.json({
+      message: 'Distance corrected',
+      date: correction.dayKey,
+      activityType: correction.activityType,
+      source: correction.source,
+      races: result.races.map((r) => ({
+        ...toRaceSyncResult({ ...r, flaggedDays: [] }),
+        fromKm: Number(r.fromKm.toFixed(3)),
+      })),
+      lifetimeDeltaKm: Number(result.rawDeltaKm.toFixed(3)),
+      progression: result.progression,
+    });
+  } catch (error) {
+    console.error('❌ [RACES] Error correcting Health data:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-      const gained = Math.max(0, newDistance - oldDistance);
-      if (gained > 0) {
-        deltaKm += gained;
-      }
+// List quarantined Health sync days for a race (protected - race organizers)
+// Query: status=pending|approved|rejected (default pending)
+router.get('/:id/flags', authMiddleware, loadUserRole, async (req, res) => {
+  try {
+    const race = await Race.findById(req.params.id).select('createdBy organizers name');
+    if (!race) {
+      return res.status(404).json({ message: 'Race not found' });
+    }
+    if (!canManageRace(req, race)) {
+      return res.status(403).json({ message: 'Not authorized to review this race' });
     }
 
-    // Recompute participant totalDistance from entries (safe).
-    participant.totalDistance = Number(
-      (participant.dailyDistances || []).reduce((sum, d) => sum + Number(d.distance || 0), 0),
-    );
+    const status = ['pending', 'approved', 'rejected'].includes(req.query.status)
+      ? req.query.status
+      : 'pending';
+    const flags = await HealthSyncFlag.find({ race: race._id, status })
+      .populate('user', 'email name nickname avatarUrl')
+      .sort({ createdAt: -1 })
+      .limit(200);
 
-    // Completion check.
-    const raceDistance = race.calculateRaceDistance();
-    if (participant.totalDistance >= raceDistance && participant.status === 'active') {
-      participant.status = 'completed';
-      participant.completedAt = new Date();
+    res.json({ flags });
+  } catch (error) {
+    console.error('❌ [RACES] Error fetching flags:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+const FLAG_REVIEW_ERRORS = {
+  not_found: [404, 'Flag not found'],
+  already_reviewed: [400, 'Flag already reviewed'],
+  own_flag: [403, 'You cannot review your own flags'],
+  not_participant: [400, 'User is no longer a participant'],
+};
+
+// Approve or reject a quarantined Health sync day (protected - race organizers)
+// Approving applies the day exactly like a Health sync would.
+router.post('/:id/flags/:flagId/review', authMiddleware, loadUserRole, [
+  body('action').isIn(['approve', 'reject']),
+  body('note').optional().isString().trim().isLength({ max: 500 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const finishState = refreshFinishResolution(race, now).finishState;
-    await race.save();
+    const race = await Race.findById(req.params.id);
+    if (!race) {
+      return res.status(404).json({ message: 'Race not found' });
+    }
+    if (!canManageRace(req, race)) {
+      return res.status(403).json({ message: 'Not authorized to review this race' });
+    }
 
-    let progression = null;
-    let lastHealthSyncAt = null;
-    if (deltaKm > 0) {
-      const user = await User.findById(req.userId);
-      if (user) {
-        user.totalKmLifetime = Number(
-          ((Number(user.totalKmLifetime || 0)) + deltaKm).toFixed(2),
-        );
-        const xpGain = Math.floor(deltaKm * XP_PER_KM);
-        user.totalXp = Number(user.totalXp || 0) + xpGain;
-        user.level = levelFromXp(user.totalXp);
-        user.lastHealthSyncAt = now;
-        lastHealthSyncAt = user.lastHealthSyncAt;
-        await user.save();
-        progression = progressionFromXp(user.totalXp);
-      }
-    } else {
-      // Still store sync time to avoid repeating expensive reads.
-      const user = await User.findById(req.userId).select('lastHealthSyncAt');
-      if (user) {
-        user.lastHealthSyncAt = now;
-        lastHealthSyncAt = user.lastHealthSyncAt;
-        await user.save();
-      }
+    let flag = await HealthSyncFlag.findOne({ _id: req.params.flagId, race: race._id });
+    if (!flag) {
+      return res.status(404).json({ message: 'Flag not found' });
+    }
+    if (flag.status !== 'pending') {
+      return res.status(400).json({ message: 'Flag already reviewed' });
     }
 
-    const duration = Date.now() - startTime;
-    console.log(
-      `✅ [RACES] Health sync applied to race ${race._id} for user ${req.userId} (+${deltaKm.toFixed(2)} km) in ${duration}ms`,
-    );
+    const result = await reviewHealthFlag(race._id, flag._id, {
+      action: req.body.action,
+      reviewerId: req.userId,
+      note: req.body.note,
+    });
+    if (result.error) {
+      const [status, message] = FLAG_REVIEW_ERRORS[result.error];
+      return res.status(status).json({ message });
+    }
+    const { deltaKm } = result;
+    flag = result.flag;
+
+    await notify(flag.user, {
+      type: 'health_flag_reviewed',
+      title: `Distance ${flag.status}`,
+      body: `${flag.distanceKm.toFixed(2)} km on ${flag.day} was ${flag.status} in "${race.name}".`,
+      data: { raceId: race._id.toString(), flagId: flag._id.toString(), status: flag.status },
+    });
+
+    console.log(`🚩 [RACES] Flag ${flag._id} ${flag.status} by ${req.userId} (+${deltaKm.toFixed(2)} km)`);
 
     res.json({
-      message: 'Health sync applied',
-      applied: true,
-      raceId: race._id,
+      message: `Flag ${flag.status}`,
+      flag,
       deltaKm: Number(deltaKm.toFixed(3)),
-      lastHealthSyncAt,
-      progression,
-      finishState,
+      finishState: buildFinishStatePayload(result.race),
     });
   } catch (error) {
-    console.error('❌ [RACES] Error syncing Health data:', error);
+    console.error('❌ [RACES] Error reviewing flag:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // Get race leaderboard
-router.get('/:id/leaderboard', async (req, res) => {
+router.get('/:id/leaderboard', authMiddleware.optional, loadOptionalUserRole, async (req, res) => {
   try {
     console.log(`\n🏆 [RACES] Fetching leaderboard for race ${req.params.id}`);
     
     const race = await Race.findById(req.params.id)
+      .select('+joinCode')
       .populate('participants.user', 'email name nickname avatarUrl');
     
     if (!race) {
       return res.status(404).json({ message: 'Race not found' });
     }
 
+    const denied = await checkRaceAccess(race, { userId: req.userId, role: req.userRole }, {
+      joinCode: req.query.code,
+    });
+    if (denied) {
+      return res.status(403).json(accessDeniedPayload(denied));
+    }
+
     await syncFinishResolution(race, new Date());
-    const { raceDistance, leaderboard } = buildRaceLeaderboard(race);
+    const { raceDistance, leaderboard, teamLeaderboard } = buildRaceLeaderboard(race);
     
     console.log(`✅ [RACES] Leaderboard generated with ${leaderboard.length} participants`);
     
@@ -929,10 +1003,20 @@ router.get('/:id/leaderboard', async (req, res) => {
         name: race.name,
         distance: raceDistance,
         status: race.status,
+        format: race.format || 'point_to_point',
         participantsCount: race.participants.length,
+        checkpoints: (race.checkpoints || []).map((checkpoint, index) => ({
+          id: checkpoint._id.toString(),
+          index,
+          latitude: checkpoint.latitude,
+          longitude: checkpoint.longitude,
+          address: checkpoint.address || null,
+          distanceKm: Number(checkpoint.distanceKm || 0),
+        })),
         finishState: buildFinishStatePayload(race),
       },
-      leaderboard
+      leaderboard,
+      teamLeaderboard,
     });
   } catch (error) {
     console.error('❌ [RACES] Error fetching leaderboard:', error);
@@ -940,43 +1024,390 @@ router.get('/:id/leaderboard', async (req, res) => {
   }
 });
 
-// Update race (protected - admin only)
-router.put('/:id', authMiddleware, async (req, res) => {
+// Live race updates (protected), as Server-Sent Events.
+// Events: snapshot (full leaderboard on connect), leaderboard (entries that
+// moved after a Health sync) and finishState (provisional -> final).
+router.get('/:id/stream', authMiddleware, loadUserRole, async (req, res) => {
+  try {
+    const race = await Race.findById(req.params.id)
+      .select('+joinCode')
+      .populate('participants.user', 'email name nickname avatarUrl');
+    if (!race) {
+      return res.status(404).json({ message: 'Race not found' });
+    }
+
+    const denied = await checkRaceAccess(race, { userId: req.userId, role: req.userRole }, {
+      joinCode: req.query.code,
+    });
+    if (denied) {
+      return res.status(403).json(accessDeniedPayload(denied));
+    }
+
+    console.log(`\n📡 [RACES] User ${req.userId} subscribed to race ${race._id}`);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+
+    let eventId = 0;
+    const send = (type, data) => {
+      eventId += 1;
+      res.write(`id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const finishState = await syncFinishResolution(race, new Date());
+    const { raceDistance, leaderboard, teamLeaderboard } = buildRaceLeaderboard(race);
+    send('snapshot', {
+      raceId: race._id.toString(),
+      raceDistance,
+      leaderboard,
+      teamLeaderboard,
+      finishState,
+    });
+
+    const unsubscribe = subscribeToRace(race._id, (event) => send(event.type, event.data));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25_000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      console.log(`📴 [RACES] User ${req.userId} left race stream ${race._id}`);
+    });
+  } catch (error) {
+    console.error('❌ [RACES] Error opening race stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error', error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Add a co-organizer (protected - race creator and admins)
+// Body: { userId }
+router.post('/:id/organizers', authMiddleware, loadUserRole, [
+  body('userId').isMongoId(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const race = await Race.findById(req.params.id);
+    if (!race) {
+      return res.status(404).json({ message: 'Race not found' });
+    }
+    if (!canOwnRace(req, race)) {
+      return res.status(403).json({ message: 'Not authorized to manage organizers' });
+    }
+
+    const user = await User.findById(req.body.userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (race.isOrganizer(user._id)) {
+      return res.status(400).json({ message: 'User is already an organizer' });
+    }
+
+    race.organizers.push(user._id);
+    await race.save();
+    await RaceAudit.record(race._id, req.userId, 'add_organizer', [
+      { field: 'organizers', from: null, to: user._id.toString() },
+    ]);
+
+    console.log(`✅ [RACES] User ${user._id} added as organizer of race ${race._id}`);
+
+    const populated = await Race.findById(race._id).populate('organizers', 'email name nickname avatarUrl');
+    res.json({ message: 'Organizer added', organizers: populated.organizers });
+  } catch (error) {
+    console.error('❌ [RACES] Error adding organizer:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Remove a co-organizer (protected - race creator and admins)
+router.delete('/:id/organizers/:userId', authMiddleware, loadUserRole, async (req, res) => {
+  try {
+    const race = await Race.findById(req.params.id);
+    if (!race) {
+      return res.status(404).json({ message: 'Race not found' });
+    }
+    if (!canOwnRace(req, race)) {
+      return res.status(403).json({ message: 'Not authorized to manage organizers' });
+    }
+
+    const before = race.organizers.length;
+    race.organizers = race.organizers.filter((o) => o.toString() !== req.params.userId);
+    if (race.organizers.length === before) {
+      return res.status(404).json({ message: 'Organizer not found' });
+    }
+    await race.save();
+    await RaceAudit.record(race._id, req.userId, 'remove_organizer', [
+      { field: 'organizers', from: req.params.userId, to: null },
+    ]);
+
+    console.log(`✅ [RACES] User ${req.params.userId} removed as organizer of race ${race._id}`);
+
+    res.json({ message: 'Organizer removed' });
+  } catch (error) {
+    console.error('❌ [RACES] Error removing organizer:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Remove a participant from the race (protected - race organizers and admins)
+// Same effect as the participant leaving: they are marked withdrawn.
+router.delete('/:id/participants/:userId', authMiddleware, loadUserRole, async (req, res) => {
+  try {
+    const race = await Race.findById(req.params.id);
+    if (!race) {
+      return res.status(404).json({ message: 'Race not found' });
+    }
+    if (!canManageRace(req, race)) {
+      return res.status(403).json({ message: 'Not authorized to manage participants' });
+    }
+
+    const now = new Date();
+    const leaderboardBefore = buildRaceLeaderboard(race).leaderboard;
+    const previousStatus = getParticipant(race, req.params.userId)?.status || null;
+    try {
+      race.withdrawParticipant(req.params.userId, now);
+    } catch (error) {
+      if (!Race.isLeaveError(error)) throw error;
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+
+    const promoted = await promoteWaitlist(race, now);
+    const { effects: finishEffects } = refreshFinishResolution(race, now);
+    await race.save();
+    runFinishEffects(finishEffects);
+    await RaceAudit.record(race._id, req.userId, 'remove_participant', [
+      { field: `participants.${req.params.userId}.status`, from: previousStatus, to: 'withdrawn' },
+    ]);
+    publishLeaderboardDelta(race, leaderboardBefore);
+    await notifyWaitlistPromoted(race, promoted);
+    await rewardPromotedInviters(race, promoted);
+
+    console.log(`✅ [RACES] User ${req.params.userId} removed from race ${race._id} by ${req.userId}`);
+
+    res.json({
+      message: 'Participant removed',
+      finishState: buildFinishStatePayload(race),
+    });
+  } catch (error) {
+    console.error('❌ [RACES] Error removing participant:', error);
+    if (isConcurrentUpdate(error)) return raceChanged(res);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Find a join_code race by its code (protected), e.g. from a shared link.
+// Join it with POST /:id/join { joinCode }.
+router.get('/join-code/:code', authMiddleware, async (req, res) => {
+  try {
+    const race = await Race.findOne({
+      visibility: 'join_code',
+      joinCode: normalizeJoinCode(req.params.code),
+    }).populate('createdBy', 'name avatarUrl');
+    if (!race) {
+      return res.status(404).json({ message: 'Invalid join code' });
+    }
+
+    res.json({
+      race: {
+        id: race._id,
+        name: race.name,
+        description: race.description || '',
+        imageUrl: race.imageUrl || null,
+        startDate: race.startDate,
+        endDate: race.endDate,
+        status: race.status,
+        format: race.format || 'point_to_point',
+        distance: race.calculateRaceDistance(),
+        participantsCount: race.participants.filter((p) => p.status !== 'withdrawn').length,
+        createdBy: race.createdBy,
+      },
+    });
+  } catch (error) {
+    console.error('❌ [RACES] Error looking up join code:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Generate a new join code (protected - race creator and admins).
+// The previous code stops working.
+router.post('/:id/join-code', authMiddleware, loadUserRole, async (req, res) => {
+  try {
+    const race = await Race.findById(req.params.id).select('+joinCode');
+    if (!race) {
+      return res.status(404).json({ message: 'Race not found' });
+    }
+    if (!canOwnRace(req, race)) {
+      return res.status(403).json({ message: 'Not authorized to manage join codes' });
+    }
+    if (race.visibility !== 'join_code') {
+      return res.status(400).json({ message: 'Race does not use a join code' });
+    }
+
+    race.joinCode = generateJoinCode();
+    await race.save();
+    // The codes themselves stay out of the audit log.
+    await RaceAudit.record(race._id, req.userId, 'rotate_join_code');
+
+    console.log(`🔑 [RACES] Join code rotated for race ${race._id}`);
+
+    res.json({ message: 'Join code generated', joinCode: race.joinCode });
+  } catch (error) {
+    console.error('❌ [RACES] Error rotating join code:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Race edit history (protected - race organizers and admins)
+// Query: before (ISO date, for paging), limit (1-100, default 50)
+router.get('/:id/history', authMiddleware, loadUserRole, async (req, res) => {
+  try {
+    const race = await Race.findById(req.params.id).select('createdBy organizers');
+    if (!race) {
+      return res.status(404).json({ message: 'Race not found' });
+    }
+    if (!canManageRace(req, race)) {
+      return res.status(403).json({ message: 'Not authorized to view this race history' });
+    }
+
+    const query = { race: race._id };
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && !Number.isNaN(before.getTime())) {
+      query.createdAt = { $lt: before };
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+    const history = await RaceAudit.find(query)
+      .populate('actor', 'email name nickname avatarUrl')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({ history });
+  } catch (error) {
+    console.error('❌ [RACES] Error fetching race history:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update race (protected - race organizers and admins)
+// Only the fields in utils/raceEdits.js may change; the route, scoring and
+// start date are frozen once the race has started.
+router.put('/:id', authMiddleware, loadUserRole, [
+  body('name').optional().trim().notEmpty(),
+  body('description').optional({ nullable: true }).isString(),
+  body('startPoint').optional().isObject(),
+  body('startPoint.latitude').if(body('startPoint').exists()).isFloat({ min: -90, max: 90 }),
+  body('startPoint.longitude').if(body('startPoint').exists()).isFloat({ min: -180, max: 180 }),
+  body('endPoint').optional().isObject(),
+  body('endPoint.latitude').if(body('endPoint').exists()).isFloat({ min: -90, max: 90 }),
+  body('endPoint.longitude').if(body('endPoint').exists()).isFloat({ min: -180, max: 180 }),
+  body('checkpoints').optional().isArray({ max: 23 }),
+  body('checkpoints.*.latitude').isFloat({ min: -90, max: 90 }),
+  body('checkpoints.*.longitude').isFloat({ min: -180, max: 180 }),
+  body('format').optional().isIn(RACE_FORMATS),
+  body('streakThresholdKm').optional().isFloat({ min: 0 }),
+  body('teamBalanceMaxGap').optional({ nullable: true }).isInt({ min: 0 }),
+  body('allowRejoin').optional().isBoolean(),
+  body('visibility').optional().isIn(Race.VISIBILITIES),
+  body('maxParticipants').optional({ nullable: true }).isInt({ min: 1 }),
+  body('registrationClosesAt').optional({ nullable: true }).isISO8601(),
+  body('allowedActivityTypes').optional().isArray({ min: 1 }),
+  body('allowedActivityTypes.*').isIn(Activity.ACTIVITY_TYPES),
+  body('activityMultipliers').optional().isObject(),
+  body('activityMultipliers.*').isFloat({ min: 0, max: 10 }),
+  body('plausibility').optional().isObject(),
+  body(['plausibility.maxKmPerDay', 'plausibility.maxKmPerHour', 'plausibility.minJumpKm'])
+    .optional({ nullable: true }).isFloat({ min: 0 }),
+  body('plausibility.jumpWindowHours').optional({ nullable: true }).isFloat({ min: 1, max: 168 }),
+  body(['plausibility.allowDaysOutsideWindow', 'plausibility.allowDaysBeforeJoin'])
+    .optional({ nullable: true }).isBoolean(),
+  body('startDate').optional().isISO8601(),
+  body('endDate').optional().isISO8601(),
+], async (req, res) => {
   try {
     console.log(`\n✏️  [RACES] Updating race ${req.params.id}`);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      console.log('❌ [RACES] Validation failed:', errors.array());
+      return res.status(400).json({ errors: errors.array() });
+    }
     
-    const race = await Race.findById(req.params.id);
+    const race = await Race.findById(req.params.id).select('+joinCode');
     
     if (!race) {
       return res.status(404).json({ message: 'Race not found' });
     }
 
-    // Only creator can update
-    if (race.createdBy.toString() !== req.userId.toString()) {
+    if (!canManageRace(req, race)) {
       return res.status(403).json({ message: 'Not authorized to update this race' });
     }
 
-    const updates = { ...req.body };
-    const { image, mimeType } = updates;
-    delete updates.image;
-    delete updates.mimeType;
+    const { image, mimeType, ...updates } = req.body;
+    const now = new Date();
+    const plan = planRaceEdits(race, updates, now);
+    if (plan.error) {
+      console.log(`❌ [RACES] Edit rejected: ${plan.error} (${plan.fields.join(', ')})`);
+      return res.status(400).json({ message: plan.error, fields: plan.fields });
+    }
 
     if (image) {
+      let imageUrl = null;
       if (String(image).startsWith('http')) {
-        race.imageUrl = image;
+        imageUrl = image;
       } else {
         try {
-          race.imageUrl = await uploadToS3(image, 'race', mimeType || '');
+          imageUrl = await uploadToS3(image, 'race', mimeType || '');
         } catch (err) {
           console.warn('⚠️  [RACES] S3 upload failed:', err?.message);
         }
       }
+      if (imageUrl && imageUrl !== race.imageUrl) {
+        plan.changes.push({ field: 'imageUrl', from: race.imageUrl || null, to: imageUrl });
+      }
     }
 
-    Object.assign(race, updates);
-    await race.save();
+    let promoted = [];
+    if (plan.changes.length > 0) {
+      applyRaceEdits(race, plan);
+
+      // A moved route needs fresh place names, polyline and road distance.
+      if (plan.coordinatesChanged) {
+        try {
+          await enrichRaceDerivedFields(race);
+        } catch (e) {
+          console.warn('⚠️  [RACES] Enrichment skipped:', e.message || e.toString());
+        }
+        race.refreshRouteDistance();
+        race.refreshCheckpointDistances();
+      }
+
+      // Switching to join_code issues a code; switching away retires it.
+      if (race.visibility === 'join_code' && !race.joinCode) {
+        race.joinCode = generateJoinCode();
+      } else if (race.visibility !== 'join_code') {
+        race.joinCode = null;
+      }
+
+      // A higher (or removed) cap lets waitlisted users in.
+      promoted = await promoteWaitlist(race, now);
+
+      await race.save();
+      await RaceAudit.record(race._id, req.userId, 'update', plan.changes);
+      await notifyWaitlistPromoted(race, promoted);
+      await rewardPromotedInviters(race, promoted);
+    }
     
-    console.log(`✅ [RACES] Race updated successfully`);
+    console.log(`✅ [RACES] Race updated successfully (${plan.changes.map((c) => c.field).join(', ') || 'no changes'})`);
     
     const updatedRace = await Race.findById(req.params.id)
       .populate('participants.user', 'email name nickname avatarUrl')
@@ -984,16 +1415,25 @@ router.put('/:id', authMiddleware, async (req, res) => {
 
     res.json({
       message: 'Race updated successfully',
-      race: updatedRace
+      race: updatedRace,
+      distance: race.calculateRaceDistance(),
+      changes: plan.changes,
+      promotedFromWaitlist: promoted,
+      ...(race.joinCode && { joinCode: race.joinCode }),
     });
   } catch (error) {
     console.error('❌ [RACES] Error updating race:', error);
+    if (isConcurrentUpdate(error)) return raceChanged(res);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Delete race (protected - admin only)
-router.delete('/:id', authMiddleware, async (req, res) => {
+// Delete race (protected - race creator and admins)
+// Races that have ended or have a final winner are archived instead, so
+// their results stay in participants' stats. Other races are soft-deleted:
+// pending invites expire right away and the race can be restored until the
+// purge job (jobs/raceLifecycle.js) removes it and its image.
+router.delete('/:id', authMiddleware, loadUserRole, async (req, res) => {
   try {
     console.log(`\n🗑️  [RACES] Deleting race ${req.params.id}`);
     
@@ -1003,20 +1443,86 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Race not found' });
     }
 
-    // Only creator can delete
-    if (race.createdBy.toString() !== req.userId.toString()) {
+    if (!canOwnRace(req, race)) {
       return res.status(403).json({ message: 'Not authorized to delete this race' });
     }
 
-    await Race.findByIdAndDelete(req.params.id);
+    const now = new Date();
+    if (race.hasResults(now)) {
+      if (race.archivedAt) {
+        return res.status(400).json({ message: 'Race is already archived' });
+      }
+      race.archivedAt = now;
+      await race.save();
+      await RaceAudit.record(race._id, req.userId, 'archive', [
+        { field: 'archivedAt', from: null, to: now.toISOString() },
+      ]);
+
+      console.log(`🗄️  [RACES] Race ${race._id} has results; archived instead of deleted`);
+
+      return res.json({ message: 'Race archived', archived: true });
+    }
+
+    race.softDelete(req.userId, now);
+    await race.save();
+    const invites = await RaceInvite.updateMany(
+      { race: race._id, status: 'pending' },
+      { $set: { status: 'expired', respondedAt: now } },
+    );
+    await RaceAudit.record(race._id, req.userId, 'delete', [
+      { field: 'deletedAt', from: null, to: now.toISOString() },
+    ]);
     
-    console.log(`✅ [RACES] Race deleted successfully`);
+    console.log(`✅ [RACES] Race deleted successfully (${invites.modifiedCount || 0} invites expired)`);
     
-    res.json({ message: 'Race deleted successfully' });
+    res.json({
+      message: 'Race deleted successfully',
+      archived: false,
+      restorableUntil: race.restorableUntil(),
+    });
   } catch (error) {
     console.error('❌ [RACES] Error deleting race:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+// Restore a deleted race (protected - race creator and admins)
+// Invites that expired with the delete stay expired.
+router.post('/:id/restore', authMiddleware, loadUserRole, async (req, res) => {
+  try {
+    const race = await Race.findById(req.params.id).setOptions({ withDeleted: true });
+    if (!race) {
+      return res.status(404).json({ message: 'Race not found' });
+    }
+    if (!canOwnRace(req, race)) {
+      return res.status(403).json({ message: 'Not authorized to restore this race' });
+    }
+    if (!race.deletedAt) {
+      return res.status(400).json({ message: 'Race is not deleted' });
+    }
+    if (new Date() > race.restorableUntil()) {
+      return res.status(410).json({ message: 'The restore window for this race has passed' });
+    }
+
+    const deletedAt = race.deletedAt;
+    race.deletedAt = null;
+    race.deletedBy = null;
+    await race.save();
+    await RaceAudit.record(race._id, req.userId, 'restore', [
+      { field: 'deletedAt', from: deletedAt.toISOString(), to: null },
+    ]);
+
+    console.log(`♻️  [RACES] Race ${race._id} restored by ${req.userId}`);
+
+    const restored = await Race.findById(race._id)
+      .populate('participants.user', 'email name nickname avatarUrl')
+      .populate('createdBy', 'email name avatarUrl');
+
+    res.json({ message: 'Race restored', race: restored });
+  } catch (error) {
+    console.error('❌ [RACES] Error restoring race:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
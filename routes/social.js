@@ -5,6 +5,11 @@ const User = require('../models/User');
 const Race = require('../models/Race');
 const FriendRequest = require('../models/FriendRequest');
 const RaceInvite = require('../models/RaceInvite');
+const { displayName, notify } = require('../utils/notifications');
+const { MULTI_RACE_PARTICIPATION } = require('../utils/raceProgress');
+const { areFriends } = require('../utils/friends');
+const { grantXp, inviteAcceptedGrant } = require('../utils/progression');
+const { isConcurrentUpdate } = require('../utils/transactions');
 
 const router = express.Router();
 
@@ -21,14 +26,6 @@ function normalizeNickname(nickname) {
   return String(nickname || '').trim().toLowerCase();
 }
 
-async function areFriends(userIdA, userIdB) {
-  const accepted = await FriendRequest.findOne({ status: 'accepted' }).or([
-    { fromUser: userIdA, toUser: userIdB },
-    { fromUser: userIdB, toUser: userIdA },
-  ]);
-  return Boolean(accepted);
-}
-
 function toPublicUser(user) {
   if (!user) return null;
   return {
@@ -121,6 +118,14 @@ router.post('/friends/request', authMiddleware, [
       reversePending.status = 'accepted';
       reversePending.respondedAt = new Date();
       await reversePending.save();
+
+      const me = await User.findById(fromUserId).select('name email nickname');
+      await notify(toUser._id, {
+        type: 'friend_request_response',
+        title: 'Friend request accepted',
+        body: `${displayName(me)} accepted your friend request.`,
+        data: { requestId: reversePending._id.toString(), fromUserId: fromUserId.toString(), status: 'accepted' },
+      });
       return res.json({ message: 'Friend request accepted automatically', autoAccepted: true });
     }
 
@@ -134,6 +139,13 @@ router.post('/friends/request', authMiddleware, [
       .populate('fromUser', 'name email nickname')
       .populate('toUser', 'name email nickname');
 
+    await notify(toUser._id, {
+      type: 'friend_request',
+      title: 'New friend request',
+      body: `${displayName(populated.fromUser)} wants to be your friend.`,
+      data: { requestId: created._id.toString(), fromUserId: fromUserId.toString() },
+    });
+
     res.status(201).json({ message: 'Friend request sent', request: populated });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -215,6 +227,14 @@ router.post('/friends/requests/:id/respond', authMiddleware, [
     request.respondedAt = new Date();
     await request.save();
 
+    const responder = await User.findById(req.userId).select('name email nickname');
+    await notify(request.fromUser, {
+      type: 'friend_request_response',
+      title: `Friend request ${request.status}`,
+      body: `${displayName(responder)} ${request.status} your friend request.`,
+      data: { requestId: request._id.toString(), fromUserId: req.userId.toString(), status: request.status },
+    });
+
     res.json({ message: `Friend request ${request.status}` });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -237,8 +257,7 @@ router.post('/races/:raceId/invites', authMiddleware, [
     const inviterIsParticipant = race.participants.some(
       (p) => p.user.toString() === inviterId.toString(),
     );
-    const inviterIsCreator = race.createdBy.toString() === inviterId.toString();
-    if (!inviterIsParticipant && !inviterIsCreator) {
+    if (!inviterIsParticipant && !race.isOrganizer(inviterId)) {
       return res.status(403).json({ message: 'Join race before sending invites' });
     }
 
@@ -251,14 +270,19 @@ router.post('/races/:raceId/invites', authMiddleware, [
       return res.status(400).json({ message: 'You can invite only accepted friends' });
     }
 
-    const alreadyParticipant = race.participants.some(
+    const existingParticipant = race.participants.find(
       (p) => p.user.toString() === friendId.toString(),
     );
-    if (alreadyParticipant) {
+    if (existingParticipant && existingParticipant.status !== 'withdrawn') {
       return res.status(400).json({ message: 'User is already a participant' });
     }
+    if (existingParticipant && !race.allowRejoin) {
+      return res.status(400).json({ message: 'User left this race and rejoining is not allowed' });
+    }
 
-    const conflictingRace = await findOngoingParticipation(friendId, race._id);
+    const conflictingRace = MULTI_RACE_PARTICIPATION
+      ? null
+      : await findOngoingParticipation(friendId, race._id);
     if (conflictingRace) {
       return res.status(400).json({
         message: `User can participate in only one race at a time (currently in "${conflictingRace.name}").`,
@@ -268,6 +292,9 @@ router.post('/races/:raceId/invites', authMiddleware, [
     if (new Date() > race.endDate) {
       return res.status(400).json({ message: 'Race has ended' });
     }
+    if (race.isRegistrationClosed()) {
+      return res.status(400).json({ message: 'Registration is closed', code: 'registration_closed' });
+    }
 
     const existingPending = await RaceInvite.findOne({
       race: race._id,
@@ -291,6 +318,13 @@ router.post('/races/:raceId/invites', authMiddleware, [
       .populate('fromUser', 'name email nickname')
       .populate('toUser', 'name email nickname');
 
+    await notify(friendId, {
+      type: 'race_invite',
+      title: 'Race invite',
+      body: `${displayName(populated.fromUser)} invited you to "${race.name}".`,
+      data: { inviteId: invite._id.toString(), raceId: race._id.toString(), fromUserId: inviterId.toString() },
+    });
+
     res.status(201).json({ message: 'Race invite sent', invite: populated });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -324,6 +358,31 @@ router.get('/race-invites', authMiddleware, async (req, res) => {
   }
 });
 
+async function notifyInviteResponse(invite, responderId, raceName) {
+  const responder = await User.findById(responderId).select('name email nickname');
+  await notify(invite.fromUser, {
+    type: 'race_invite_response',
+    title: `Race invite ${invite.status}`,
+    body: `${displayName(responder)} ${invite.status} your invite${raceName ? ` to "${raceName}"` : ''}.`,
+    data: {
+      inviteId: invite._id.toString(),
+      raceId: invite.race.toString(),
+      fromUserId: responderId.toString(),
+      status: invite.status,
+    },
+  });
+}
+
+// XP for the inviter once the invitee joined the race. Like notifications,
+// a failure here must not fail the response.
+async function rewardInviter(invite) {
+  try {
+    await grantXp(invite.fromUser, inviteAcceptedGrant(invite));
+  } catch (error) {
+    console.warn(`⚠️  [SOCIAL] Invite XP for user ${invite.fromUser} failed:`, error.message);
+  }
+}
+
 // Accept/reject race invite
 router.post('/race-invites/:id/respond', authMiddleware, [
   body('action').isIn(['accept', 'reject']),
@@ -345,6 +404,7 @@ router.post('/race-invites/:id/respond', authMiddleware, [
       invite.status = 'rejected';
       invite.respondedAt = new Date();
       await invite.save();
+      await notifyInviteResponse(invite, req.userId);
       return res.json({ message: 'Invite rejected' });
     }
 
@@ -364,10 +424,12 @@ router.post('/race-invites/:id/respond', authMiddleware, [
     }
 
     const alreadyParticipant = race.participants.some(
-      (p) => p.user.toString() === req.userId.toString(),
+      (p) => p.user.toString() === req.userId.toString() && p.status !== 'withdrawn',
     );
     if (!alreadyParticipant) {
-      const conflictingRace = await findOngoingParticipation(req.userId, race._id);
+      const conflictingRace = MULTI_RACE_PARTICIPATION
+        ? null
+        : await findOngoingParticipation(req.userId, race._id);
       if (conflictingRace) {
         invite.status = 'expired';
         invite.respondedAt = new Date();
@@ -376,15 +438,61 @@ router.post('/race-invites/:id/respond', authMiddleware, [
           message: `You can participate in only one race at a time. Finish "${conflictingRace.name}" first.`,
         });
       }
-      await race.addParticipant(req.userId);
+      try {
+        await race.addParticipant(req.userId);
+      } catch (error) {
+        if (!Race.isJoinError(error)) throw error;
+        const code = Race.joinErrorCode(error);
+        if (code !== 'race_full') {
+          if (code === 'registration_closed') {
+            invite.status = 'expired';
+            invite.respondedAt = new Date();
+            await invite.save();
+          }
+          return res.status(400).json({ message: error.message, code });
+        }
+
+        // Full race: the accepted invite holds a place on the waitlist.
+        let position = race.waitlistPosition(req.userId);
+        if (!position) {
+          try {
+            position = race.addToWaitlist(req.userId);
+          } catch (waitlistError) {
+            if (!Race.isJoinError(waitlistError)) throw waitlistError;
+            return res.status(400).json({ message: waitlistError.message, code: Race.joinErrorCode(waitlistError) });
+          }
+          await race.save();
+        }
+
+        invite.status = 'accepted';
+        invite.respondedAt = new Date();
+        await invite.save();
+        // The inviter's XP waits until a spot frees up (see
+        // rewardPromotedInviters in utils/raceWaitlist.js).
+        await notifyInviteResponse(invite, req.userId, race.name);
+
+        return res.status(202).json({
+          message: 'Invite accepted. The race is full; you are on the waitlist.',
+          code: 'waitlisted',
+          waitlisted: true,
+          position,
+        });
+      }
     }
 
     invite.status = 'accepted';
     invite.respondedAt = new Date();
     await invite.save();
+    await notifyInviteResponse(invite, req.userId, race.name);
+    await rewardInviter(invite);
 
     res.json({ message: 'Invite accepted. You joined the race.' });
   } catch (error) {
+    // The last spot was taken concurrently (see models/Race.js); nothing
+    // was written, so the invite is still pending.
+    if (isConcurrentUpdate(error)) {
+      return res.status(409).json({ message: 'The race changed meanwhile; try again', code: 'race_changed' });
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
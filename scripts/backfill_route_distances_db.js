@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Backfills Race.routeDistanceKm from the stored routePolyline.
+ * Races without a polyline keep routeDistanceKm empty (haversine fallback).
+ *
+ * Examples:
+ *   node scripts/backfill_route_distances_db.js --dry-run
+ *   node scripts/backfill_route_distances_db.js --race-id 67c123... --force
+ */
+
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Race = require('../models/Race');
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+function parseArgs(argv) {
+  const out = { _: [] };
+  for (let i = 2; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      out._.push(arg);
+      continue;
+    }
+    if (arg.includes('=')) {
+      const [rawKey, ...rest] = arg.slice(2).split('=');
+      out[rawKey] = rest.join('=');
+      continue;
+    }
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith('--')) {
+      out[key] = true;
+      continue;
+    }
+    out[key] = next;
+    i += 1;
+  }
+  return out;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const raceId = String(args['race-id'] || '').trim();
+  const force = Boolean(args.force);
+  const dryRun = Boolean(args['dry-run']);
+
+  if (!process.env.MONGODB_URI) {
+    throw new Error('Missing MONGODB_URI in server/.env');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const query = raceId ? { _id: raceId } : {};
+  if (!force) {
+    query.$or = [
+      { routeDistanceKm: { $exists: false } },
+      { routeDistanceKm: null },
+    ];
+  }
+
+  const races = await Race.find(query);
+  const updated = [];
+  let withoutPolyline = 0;
+
+  for (const race of races) {
+    if (!race.routePolyline) {
+      withoutPolyline += 1;
+      continue;
+    }
+
+    const straightKm = race.calculateStraightLineDistance();
+    const routeKm = race.refreshRouteDistance();
+    if (routeKm == null) {
+      withoutPolyline += 1;
+      continue;
+    }
+
+    // Participants marked completed against the old straight-line distance
+    // are reported, not reverted.
+    const completedShort = race.participants.filter(
+      (p) => p.status === 'completed' && Number(p.totalDistance || 0) < routeKm,
+    ).length;
+
+    updated.push({
+      raceId: race._id.toString(),
+      name: race.name,
+      straightLineKm: Number(straightKm.toFixed(3)),
+      routeDistanceKm: Number(routeKm.toFixed(3)),
+      completedBelowRouteDistance: completedShort,
+    });
+
+    if (!dryRun) {
+      await race.save();
+    }
+  }
+
+  console.log(
+    JSON.stringify(
+      {
+        scannedRaces: races.length,
+        updatedRaces: updated.length,
+        racesWithoutPolyline: withoutPolyline,
+        races: updated,
+        dryRun,
+      },
+      null,
+      2,
+    ),
+  );
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error(`Fatal: ${error?.message || String(error)}`);
+  try {
+    await mongoose.disconnect();
+  } catch (_) {}
+  process.exitCode = 1;
+});
@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+/**
+ * Moves day keys written before local-time bucketing (UTC days) to each
+ * user's local calendar (User.timeZone):
+ * - race dailyDistances and pending HealthSyncFlags. Health sync clients
+ *   sent each day as the instant of local midnight, so a UTC key maps to
+ *   the local day whose midnight falls on it (Europe/Bucharest: the next
+ *   day; zones behind UTC: the same day). Days that end up on the same key
+ *   are merged per sync source with the "never move backwards" rule (max
+ *   per type), then combined by the user's merge policy.
+ * - Activity.day, recomputed exactly from startTime.
+ *
+ * Only keys before --before (the first day written in local time, i.e. the
+ * deploy day) are moved. Each user is migrated once (User.dayKeysMigratedAt).
+ * Users still on UTC are skipped and left unmarked, so a later run migrates
+ * them once they have a zone; --default-time-zone gives them one now.
+ *
+ * Examples:
+ *   node scripts/rekey_daily_distances_db.js --before 2026-10-20 --dry-run
+ *   node scripts/rekey_daily_distances_db.js --before 2026-10-20 --default-time-zone Europe/Bucharest
+ *   node scripts/rekey_daily_distances_db.js --before 2026-10-20 --user-id 67c123...
+ */
+
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Race = require('../models/Race');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const HealthSyncFlag = require('../models/HealthSyncFlag');
+const { ACTIVITY_TYPES } = require('../models/Activity');
+const {
+  DEFAULT_SYNC_SOURCE,
+  combineSources,
+  resolveMergePolicy,
+  sourceKm,
+} = require('../utils/syncSources');
+const {
+  DAY_KEY_PATTERN,
+  isValidTimeZone,
+  localDayKey,
+  shiftDayKey,
+  zonedTimeToUtc,
+} = require('../utils/timeZones');
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+function parseArgs(argv) {
+  const out = { _: [] };
+  for (let i = 2; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      out._.push(arg);
+      continue;
+    }
+    if (arg.includes('=')) {
+      const [rawKey, ...rest] = arg.slice(2).split('=');
+      out[rawKey] = rest.join('=');
+      continue;
+    }
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith('--')) {
+      out[key] = true;
+      continue;
+    }
+    out[key] = next;
+    i += 1;
+  }
+  return out;
+}
+
+// Local day whose midnight (in timeZone) falls on the UTC day `utcKey`.
+function localDayForUtcKey(utcKey, timeZone) {
+  for (const offset of [0, 1, -1]) {
+    const candidate = shiftDayKey(utcKey, offset);
+    const [year, month, day] = candidate.split('-').map(Number);
+    const midnight = zonedTimeToUtc({ year, month, day }, timeZone);
+    if (midnight.toISOString().slice(0, 10) === utcKey) return candidate;
+  }
+  return utcKey;
+}
+
+function entryActivities(entry) {
+  const activities = Object.fromEntries(
+    ACTIVITY_TYPES.map((type) => [type, Number(entry.activities?.[type] || 0)]),
+  );
+  // Days stored before activity types existed count as running.
+  if (ACTIVITY_TYPES.every((type) => activities[type] === 0) && Number(entry.distance || 0) > 0) {
+    activities.run = Number(entry.distance);
+  }
+  return activities;
+}
+
+// A day's sources as plain objects; a day stored before sources existed
+// becomes the default source's.
+function entrySources(entry) {
+  const sources = (entry.sources || []).map((s) => {
+    const plain = typeof s.toObject === 'function' ? s.toObject() : s;
+    return {
+      ...plain,
+      reported: { ...entryActivities({}), ...plain.reported },
+      adjustments: { ...entryActivities({}), ...plain.adjustments },
+    };
+  });
+  const activities = entryActivities(entry);
+  if (sources.length === 0 && ACTIVITY_TYPES.some((type) => activities[type] > 0)) {
+    sources.push({ source: DEFAULT_SYNC_SOURCE, reported: activities, adjustments: entryActivities({}) });
+  }
+  return sources;
+}
+
+// Merges what the same source reported for two days landing on one key:
+// the higher total per type, with corrections kept so it counts the higher
+// of the two corrected values.
+function mergeSource(target, other) {
+  for (const type of ACTIVITY_TYPES) {
+    const counted = Math.max(sourceKm(target, type), sourceKm(other, type));
+    target.reported[type] = Math.max(target.reported[type], other.reported[type]);
+    target.adjustments[type] = target.reported[type] - counted;
+  }
+  if (other.updatedAt && (!target.updatedAt || other.updatedAt > target.updatedAt)) {
+    target.lastSyncId = other.lastSyncId;
+    target.updatedAt = other.updatedAt;
+  }
+}
+
+// Re-keys one participant's dailyDistances; returns the number of moved days.
+function rekeyParticipant(race, participant, timeZone, before, merge) {
+  const byKey = new Map();
+  let moved = 0;
+
+  for (const entry of participant.dailyDistances || []) {
+    const key = localDayKey(entry.date);
+    const newKey = key < before ? localDayForUtcKey(key, timeZone) : key;
+    if (newKey !== key) moved += 1;
+
+    const sources = entrySources(entry);
+    const existing = byKey.get(newKey);
+    if (!existing) {
+      byKey.set(newKey, { date: new Date(newKey), sources });
+      continue;
+    }
+    for (const source of sources) {
+      const same = existing.sources.find((s) => s.source === source.source);
+      if (same) mergeSource(same, source);
+      else existing.sources.push(source);
+    }
+  }
+
+  if (moved > 0) {
+    participant.dailyDistances = [...byKey.values()]
+      .map((day) => {
+        const activities = combineSources(day.sources, merge);
+        return { ...day, activities, distance: race.creditedDayDistance(activities) };
+      })
+      .sort((a, b) => a.date - b.date);
+    participant.totalDistance = participant.dailyDistances
+      .reduce((sum, d) => sum + Number(d.distance || 0), 0);
+  }
+  return moved;
+}
+
+async function migrateUser(user, { before, dryRun }) {
+  const timeZone = user.timeZone || 'UTC';
+  const report = {
+    userId: user._id.toString(),
+    timeZone,
+    races: 0,
+    raceDays: 0,
+    activities: 0,
+    flags: 0,
+    flagConflicts: 0,
+  };
+  if (timeZone === 'UTC') return report;
+
+  const merge = resolveMergePolicy(user);
+  const races = await Race.find({ 'participants.user': user._id }).setOptions({ withDeleted: true });
+  for (const race of races) {
+    const participant = race.participants.find((p) => p.user.toString() === user._id.toString());
+    const moved = rekeyParticipant(race, participant, timeZone, before, merge);
+    if (moved === 0) continue;
+    report.races += 1;
+    report.raceDays += moved;
+    if (!dryRun) await race.save();
+  }
+
+  const activities = await Activity.find({ user: user._id, day: { $lt: before } }).select('startTime day');
+  for (const activity of activities) {
+    const day = localDayKey(activity.startTime, timeZone);
+    if (day === activity.day) continue;
+    report.activities += 1;
+    if (!dryRun) await Activity.updateOne({ _id: activity._id }, { $set: { day } });
+  }
+
+  const flags = await HealthSyncFlag.find({ user: user._id, status: 'pending', day: { $lt: before } });
+  for (const flag of flags) {
+    const day = localDayForUtcKey(flag.day, timeZone);
+    if (day === flag.day) continue;
+    const conflict = await HealthSyncFlag.findOne({
+      _id: { $ne: flag._id },
+      race: flag.race,
+      user: flag.user,
+      day,
+      activityType: flag.activityType,
+      status: 'pending',
+    }).select('_id');
+    if (conflict) {
+      // Left on its old day for an organizer to review.
+      report.flagConflicts += 1;
+      continue;
+    }
+    report.flags += 1;
+    if (!dryRun) await HealthSyncFlag.updateOne({ _id: flag._id }, { $set: { day } });
+  }
+
+  return report;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const before = String(args.before || '').trim();
+  const userId = String(args['user-id'] || '').trim();
+  const defaultTimeZone = String(args['default-time-zone'] || '').trim();
+  const dryRun = Boolean(args['dry-run']);
+
+  if (!DAY_KEY_PATTERN.test(before)) {
+    throw new Error('Pass --before YYYY-MM-DD (the first day already keyed in local time)');
+  }
+  if (defaultTimeZone && !isValidTimeZone(defaultTimeZone)) {
+    throw new Error(`Unknown time zone: ${defaultTimeZone}`);
+  }
+  if (!process.env.MONGODB_URI) {
+    throw new Error('Missing MONGODB_URI in server/.env');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const query = { dayKeysMigratedAt: null };
+  if (userId) query._id = userId;
+  const users = await User.find(query).select('timeZone healthSync dayKeysMigratedAt');
+
+  const reports = [];
+  let assignedTimeZone = 0;
+  let skippedUtc = 0;
+  for (const user of users) {
+    if (defaultTimeZone && (!user.timeZone || user.timeZone === 'UTC')) {
+      user.timeZone = defaultTimeZone;
+      assignedTimeZone += 1;
+    }
+    if (!user.timeZone || user.timeZone === 'UTC') {
+      skippedUtc += 1;
+      continue;
+    }
+    const report = await migrateUser(user, { before, dryRun });
+    if (report.raceDays || report.activities || report.flags || report.flagConflicts) {
+      reports.push(report);
+    }
+    if (!dryRun) {
+      user.dayKeysMigratedAt = new Date();
+      await user.save();
+    }
+  }
+
+  console.log(
+    JSON.stringify(
+      {
+        before,
+        scannedUsers: users.length,
+        assignedTimeZone,
+        skippedUtc,
+        migratedUsers: reports.length,
+        users: reports,
+        dryRun,
+      },
+      null,
+      2,
+    ),
+  );
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error(`Fatal: ${error?.message || String(error)}`);
+  try {
+    await mongoose.disconnect();
+  } catch (_) {}
+  process.exitCode = 1;
+});
@@ -163,11 +163,7 @@ async function joinRace(baseUrl, raceId, token) {
   }
 
   const message = extractMessage(res.data);
-  if (
-    res.status === 400 &&
-    typeof message === 'string' &&
-    message.toLowerCase().includes('already a participant')
-  ) {
+  if (res.status === 400 && res.data?.code === 'already_participant') {
     return { state: 'already_joined', message };
   }
 
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Sets user roles directly in the database (e.g. to bootstrap the first
+ * admin), and can promote everyone who already created a race to organizer
+ * so they keep being able to create races.
+ *
+ * Examples:
+ *   node scripts/set_user_roles_db.js --email admin@example.com --role admin
+ *   node scripts/set_user_roles_db.js --promote-race-creators --dry-run
+ */
+
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Race = require('../models/Race');
+const User = require('../models/User');
+const { ROLES } = require('../middleware/authorize');
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+function parseArgs(argv) {
+  const out = { _: [] };
+  for (let i = 2; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      out._.push(arg);
+      continue;
+    }
+    if (arg.includes('=')) {
+      const [rawKey, ...rest] = arg.slice(2).split('=');
+      out[rawKey] = rest.join('=');
+      continue;
+    }
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith('--')) {
+      out[key] = true;
+      continue;
+    }
+    out[key] = next;
+    i += 1;
+  }
+  return out;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const email = String(args.email || '').trim().toLowerCase();
+  const role = String(args.role || '').trim();
+  const promoteCreators = Boolean(args['promote-race-creators']);
+  const dryRun = Boolean(args['dry-run']);
+
+  if (!email && !promoteCreators) {
+    throw new Error('Pass --email <email> --role <role> and/or --promote-race-creators');
+  }
+  if (email && !ROLES.includes(role)) {
+    throw new Error(`--role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (!process.env.MONGODB_URI) {
+    throw new Error('Missing MONGODB_URI in server/.env');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = { dryRun };
+
+  if (email) {
+    const user = await User.findOne({ email });
+    if (!user) throw new Error(`User not found: ${email}`);
+    result.user = { id: user._id.toString(), email, from: user.role || 'user', to: role };
+    if (!dryRun) {
+      user.role = role;
+      await user.save();
+    }
+  }
+
+  if (promoteCreators) {
+    const creatorIds = await Race.distinct('createdBy');
+    const filter = { _id: { $in: creatorIds }, role: { $in: [null, 'user'] } };
+    const toPromote = await User.find(filter).select('email');
+    result.promotedCreators = toPromote.map((u) => u.email);
+    if (!dryRun && toPromote.length) {
+      await User.updateMany(filter, { $set: { role: 'organizer' } });
+    }
+  }
+
+  console.log(JSON.stringify(result, null, 2));
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error(`Fatal: ${error?.message || String(error)}`);
+  try {
+    await mongoose.disconnect();
+  } catch (_) {}
+  process.exitCode = 1;
+});
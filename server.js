@@ -5,7 +5,14 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const raceRoutes = require('./routes/races');
+const raceTemplateRoutes = require('./routes/raceTemplates');
 const socialRoutes = require('./routes/social');
+const notificationRoutes = require('./routes/notifications');
+const activityRoutes = require('./routes/activities');
+const adminRoutes = require('./routes/admin');
+const jobs = require('./jobs');
+const { startScheduler } = require('./utils/scheduler');
+const { detectTransactionSupport } = require('./utils/transactions');
 
 const app = express();
 
@@ -45,7 +52,11 @@ app.use((req, res, next) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/races', raceRoutes);
+app.use('/api/race-templates', raceTemplateRoutes);
 app.use('/api/social', socialRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/activities', activityRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -57,9 +68,11 @@ const PORT = process.env.PORT || 3000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/racegm';
 
 mongoose.connect(MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('\n✅ Connected to MongoDB');
     console.log(`📊 Database: ${MONGODB_URI.split('/').pop()}`);
+    const transactions = await detectTransactionSupport();
+    console.log(`🔒 Transactions: ${transactions ? 'on' : 'off (standalone server or MONGODB_TRANSACTIONS=false)'}`);
     app.listen(PORT, () => {
       console.log(`\n🚀 Server is running on port ${PORT}`);
       console.log(`🌐 API Base URL: http://localhost:${PORT}/api`);
@@ -70,6 +83,13 @@ mongoose.connect(MONGODB_URI)
       console.log(`   POST   /api/auth/login`);
       console.log(`   GET    /api/auth/me`);
       console.log(`   GET    /api/auth/progression`);
+      console.log(`   GET    /api/auth/progression/history`);
+      console.log(`   POST   /api/auth/devices`);
+      console.log(`   DELETE /api/auth/devices/:token`);
+      console.log(`   GET    /api/auth/notification-preferences`);
+      console.log(`   PUT    /api/auth/notification-preferences`);
+      console.log(`   GET    /api/auth/health-sync-preferences`);
+      console.log(`   PUT    /api/auth/health-sync-preferences`);
       console.log(`   PUT    /api/auth/profile`);
       console.log(`   PUT    /api/auth/change-password`);
       console.log(`\n🤝 Social:`);
@@ -81,17 +101,57 @@ mongoose.connect(MONGODB_URI)
       console.log(`   POST   /api/social/races/:raceId/invites`);
       console.log(`   GET    /api/social/race-invites`);
       console.log(`   POST   /api/social/race-invites/:id/respond`);
+      console.log(`\n🔔 Notifications:`);
+      console.log(`   GET    /api/notifications`);
+      console.log(`   GET    /api/notifications/unread-count`);
+      console.log(`   POST   /api/notifications/read`);
+      console.log(`   POST   /api/notifications/:id/read`);
+      console.log(`\n🏃 Activities:`);
+      console.log(`   POST   /api/activities`);
+      console.log(`   POST   /api/activities/import`);
+      console.log(`   GET    /api/activities`);
+      console.log(`   GET    /api/activities/:id`);
       console.log(`\n🏁 Races:`);
       console.log(`   GET    /api/races`);
       console.log(`   GET    /api/races/my-stats`);
+      console.log(`   GET    /api/races/deleted`);
       console.log(`   GET    /api/races/:id`);
       console.log(`   POST   /api/races`);
       console.log(`   POST   /api/races/:id/join`);
+      console.log(`   POST   /api/races/:id/leave`);
+      console.log(`   GET    /api/races/join-code/:code`);
+      console.log(`   POST   /api/races/:id/join-code`);
+      console.log(`   POST   /api/races/:id/organizers`);
+      console.log(`   DELETE /api/races/:id/organizers/:userId`);
+      console.log(`   DELETE /api/races/:id/participants/:userId`);
       console.log(`   POST   /api/races/health/sync`);
+      console.log(`   POST   /api/races/health/corrections`);
       console.log(`   GET    /api/races/:id/leaderboard`);
+      console.log(`   GET    /api/races/:id/flags`);
+      console.log(`   POST   /api/races/:id/flags/:flagId/review`);
+      console.log(`   GET    /api/races/:id/stream   (SSE)`);
+      console.log(`   GET    /api/races/:id/history`);
       console.log(`   PUT    /api/races/:id`);
       console.log(`   DELETE /api/races/:id`);
+      console.log(`   POST   /api/races/:id/restore`);
+      console.log(`\n🧩 Race templates:`);
+      console.log(`   POST   /api/race-templates`);
+      console.log(`   GET    /api/race-templates`);
+      console.log(`   GET    /api/race-templates/:id`);
+      console.log(`   PUT    /api/race-templates/:id`);
+      console.log(`   DELETE /api/race-templates/:id`);
+      console.log(`   POST   /api/race-templates/:id/spawn`);
+      console.log(`   POST   /api/race-templates/:id/auto-enroll`);
+      console.log(`   DELETE /api/race-templates/:id/auto-enroll`);
+      console.log(`\n👮 Admin:`);
+      console.log(`   GET    /api/admin/users`);
+      console.log(`   PUT    /api/admin/users/:id/role`);
       console.log(`\n👀 Waiting for requests...\n`);
+
+      if (process.env.JOBS_ENABLED !== 'false') {
+        startScheduler(jobs);
+        console.log(`⏰ Background jobs: ${jobs.map((job) => job.name).join(', ')}`);
+      }
     });
   })
   .catch((error) => {
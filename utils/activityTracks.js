@@ -0,0 +1,237 @@
+// GPS track helpers for activity ingestion: parse GPX/TCX/FIT, clean up JSON
+// samples and measure a track.
+
+const { pathDistanceKm } = require('./geo');
+const { decodeFit } = require('./fit');
+
+const FILE_FORMATS = ['gpx', 'tcx', 'fit'];
+
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+  return match ? match[1] : null;
+}
+
+function readChildText(body, name) {
+  const match = body.match(new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([^<]*)</(?:\\w+:)?${name}>`));
+  return match ? match[1].trim() : null;
+}
+
+function matchElements(xml, name) {
+  const pattern = new RegExp(`<(?:\\w+:)?${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${name}>)`, 'g');
+  const out = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    out.push({ attributes: match[1], body: match[2] || '' });
+  }
+  return out;
+}
+
+/**
+ * Maps a sport/activity name from an export ("running", "Biking",
+ * "hiking", ...) to an activity type, or null when it isn't one we track.
+ */
+function activityTypeFromName(name) {
+  const value = String(name || '').toLowerCase();
+  if (value.includes('run')) return 'run';
+  if (value.includes('walk') || value.includes('hik')) return 'walk';
+  if (value.includes('cycl') || value.includes('bik') || value.includes('ride')) return 'cycle';
+  return null;
+}
+
+/**
+ * Drops samples without valid coordinates and returns the rest as
+ * { latitude, longitude, elevation, time }, sorted by time when every
+ * sample has one.
+ *
+ * @param {Array<object>} samples
+ * @returns {Array<{latitude: number, longitude: number, elevation: number|null, time: Date|null}>}
+ */
+function normalizeSamples(samples) {
+  const out = [];
+  for (const s of samples || []) {
+    const latitude = Number(s?.latitude);
+    const longitude = Number(s?.longitude);
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) continue;
+    if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) continue;
+
+    const elevation = s.elevation == null ? null : Number(s.elevation);
+    const time = s.time ? new Date(s.time) : null;
+    out.push({
+      latitude,
+      longitude,
+      elevation: Number.isFinite(elevation) ? elevation : null,
+      time: time && !Number.isNaN(time.getTime()) ? time : null,
+    });
+  }
+
+  if (out.length > 0 && out.every((s) => s.time)) {
+    out.sort((a, b) => a.time - b.time);
+  }
+  return out;
+}
+
+/**
+ * Extracts track points (<trkpt>, falling back to <rtept>) from a GPX
+ * document. Not a full XML parser; enough for device and app exports.
+ *
+ * @param {string} xml
+ * @returns {Array<{latitude: number, longitude: number, elevation: number|null, time: Date|null}>}
+ */
+function parseGpx(xml) {
+  if (typeof xml !== 'string' || xml.length === 0) return [];
+
+  const raw = [];
+  for (const tagName of ['trkpt', 'rtept']) {
+    for (const { attributes, body } of matchElements(xml, tagName)) {
+      raw.push({
+        latitude: readAttribute(attributes, 'lat'),
+        longitude: readAttribute(attributes, 'lon'),
+        elevation: readChildText(body, 'ele'),
+        time: readChildText(body, 'time'),
+      });
+    }
+    if (raw.length > 0) break;
+  }
+
+  return normalizeSamples(raw);
+}
+
+/**
+ * Distance and time span of a track.
+ *
+ * @param {Array<{latitude: number, longitude: number, time: Date|null}>} samples
+ * @returns {{distanceKm: number, startTime: Date|null, endTime: Date|null, durationSec: number|null}}
+ */
+function summarizeSamples(samples) {
+  const timed = samples.filter((s) => s.time);
+  const startTime = timed.length > 0 ? timed[0].time : null;
+  const endTime = timed.length > 0 ? timed[timed.length - 1].time : null;
+
+  return {
+    distanceKm: pathDistanceKm(samples),
+    startTime,
+    endTime,
+    durationSec: startTime && endTime ? Math.round((endTime - startTime) / 1000) : null,
+  };
+}
+
+/**
+ * Extracts trackpoints, lap distance and sport from a TCX document.
+ *
+ * @param {string} xml
+ * @returns {{samples: Array<object>, times: Date[], distanceKm: number|null, activityType: string|null}}
+ */
+function parseTcx(xml) {
+  const raw = [];
+  const times = [];
+  for (const { body } of matchElements(xml, 'Trackpoint')) {
+    const time = readChildText(body, 'Time');
+    if (time && !Number.isNaN(new Date(time).getTime())) times.push(new Date(time));
+    raw.push({
+      latitude: readChildText(body, 'LatitudeDegrees'),
+      longitude: readChildText(body, 'LongitudeDegrees'),
+      elevation: readChildText(body, 'AltitudeMeters'),
+      time,
+    });
+  }
+
+  // Lap totals, ignoring the per-trackpoint cumulative DistanceMeters.
+  let distanceM = null;
+  for (const { body } of matchElements(xml, 'Lap')) {
+    const lapMeters = Number(readChildText(body.replace(/<(?:\w+:)?Track\b[\s\S]*?<\/(?:\w+:)?Track>/g, ''), 'DistanceMeters'));
+    if (Number.isFinite(lapMeters)) distanceM = (distanceM || 0) + lapMeters;
+  }
+
+  const activity = matchElements(xml, 'Activity')[0];
+  return {
+    samples: normalizeSamples(raw),
+    times,
+    distanceKm: distanceM == null ? null : distanceM / 1000,
+    activityType: activity ? activityTypeFromName(readAttribute(activity.attributes, 'Sport')) : null,
+  };
+}
+
+/**
+ * Guesses the format of an uploaded file from its name, falling back to its
+ * content.
+ *
+ * @returns {string|null} 'gpx', 'tcx', 'fit' or null.
+ */
+function detectFileFormat(buffer, filename = '') {
+  const extension = String(filename).toLowerCase().split('.').pop();
+  if (FILE_FORMATS.includes(extension)) return extension;
+
+  if (buffer.length >= 12 && buffer.toString('ascii', 8, 12) === '.FIT') return 'fit';
+  const head = buffer.toString('utf8', 0, Math.min(buffer.length, 2048));
+  if (/<(?:\w+:)?TrainingCenterDatabase\b/.test(head)) return 'tcx';
+  if (/<(?:\w+:)?gpx\b/.test(head)) return 'gpx';
+  return null;
+}
+
+/**
+ * Parses an activity file into a common shape. Distance is the one recorded
+ * by the device when the file has it, else the length of the GPS track.
+ *
+ * @param {Buffer} buffer
+ * @param {string} format - 'gpx', 'tcx' or 'fit'.
+ * @returns {{samples: Array<object>, startTime: Date|null, endTime: Date|null, distanceKm: number, distanceSource: string, activityType: string|null}}
+ * @throws {Error} When the file cannot be decoded.
+ */
+function parseActivityFile(buffer, format) {
+  let samples;
+  let times;
+  let deviceDistanceKm = null;
+  let activityType = null;
+
+  if (format === 'fit') {
+    const { records, sessions } = decodeFit(buffer);
+    samples = normalizeSamples(records.filter((r) => r.latitude != null && r.longitude != null));
+    times = records.map((r) => r.time).filter(Boolean);
+    for (const session of sessions) {
+      if (session.startTime) times.push(session.startTime);
+      if (session.endTime) times.push(session.endTime);
+      if (session.distanceKm != null) deviceDistanceKm = (deviceDistanceKm || 0) + session.distanceKm;
+    }
+    if (deviceDistanceKm == null) {
+      const lastDistance = records.map((r) => r.distanceM).filter((m) => m != null).pop();
+      if (lastDistance != null) deviceDistanceKm = lastDistance / 1000;
+    }
+    activityType = sessions.map((s) => s.type).find(Boolean) || null;
+  } else if (format === 'tcx') {
+    const xml = buffer.toString('utf8');
+    const parsed = parseTcx(xml);
+    samples = parsed.samples;
+    times = parsed.times;
+    deviceDistanceKm = parsed.distanceKm;
+    activityType = parsed.activityType;
+  } else if (format === 'gpx') {
+    const xml = buffer.toString('utf8');
+    samples = parseGpx(xml);
+    times = samples.map((s) => s.time).filter(Boolean);
+    const track = matchElements(xml, 'trk')[0];
+    activityType = track ? activityTypeFromName(readChildText(track.body, 'type')) : null;
+  } else {
+    throw new Error(`Unsupported activity file format: ${format}`);
+  }
+
+  const sortedTimes = times.slice().sort((a, b) => a - b);
+  const hasDeviceDistance = deviceDistanceKm != null && deviceDistanceKm > 0;
+  return {
+    samples,
+    startTime: sortedTimes[0] || null,
+    endTime: sortedTimes[sortedTimes.length - 1] || null,
+    distanceKm: hasDeviceDistance ? deviceDistanceKm : pathDistanceKm(samples),
+    distanceSource: hasDeviceDistance ? 'device' : 'gps',
+    activityType,
+  };
+}
+
+module.exports = {
+  FILE_FORMATS,
+  normalizeSamples,
+  parseGpx,
+  summarizeSamples,
+  activityTypeFromName,
+  detectFileFormat,
+  parseActivityFile,
+};
@@ -227,7 +227,41 @@ const uploadToS3 = async (data, filename = '', mimeType = '') => {
 module.exports = uploadToS3;
 
 /**
- * Deletes an object from S3 given a full URL or key.
+ * Stores a file as-is (no image optimization) under a private key, for
+ * archiving originals such as imported activity files.
+ *
+ * @param {Buffer} buffer - File contents.
+ * @param {object} options
+ * @param {string} options.prefix - Key prefix, e.g. 'activities/<userId>'.
+ * @param {string} options.extension - File extension without the dot.
+ * @param {string} [options.contentType] - Stored Content-Type.
+ * @returns {Promise<string>} The S3 key.
+ */
+module.exports.archiveToS3 = async (buffer, { prefix, extension, contentType } = {}) => {
+  if (!s3Client || !bucketName) {
+    throw new Error(
+      'S3 not configured. Set S3_BUCKET_NAME, S3_REGION, S3_ACCESS_KEY, S3_SECRET_ACCESS_KEY in .env'
+    );
+  }
+
+  const key = `${prefix ? `${prefix.replace(/\/+$/, '')}/` : ''}${uuidv4()}-${Date.now()}.${extension || 'bin'}`;
+  try {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: bucketName,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType || mime.lookup(extension || '') || 'application/octet-stream',
+    }));
+    return key;
+  } catch (error) {
+    console.error('Error archiving to S3:', error);
+    throw new Error('Archive failed');
+  }
+};
+
+/**
+ * Deletes an object from S3 given a full URL or key. URLs that don't point
+ * at our bucket (e.g. images linked from elsewhere) are left alone.
  */
 module.exports.deleteFromS3 = async (urlOrKey) => {
   if (!s3Client || !bucketName) return false;
@@ -236,6 +270,7 @@ module.exports.deleteFromS3 = async (urlOrKey) => {
     let key = String(urlOrKey);
     if (key.startsWith('http')) {
       const u = new URL(key);
+      if (!u.hostname.startsWith(`${bucketName}.`)) return false;
       key = u.pathname.replace(/^\//, '');
     }
     if (!key) return false;
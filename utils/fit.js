@@ -0,0 +1,184 @@
+// Minimal decoder for Garmin FIT activity files. Only reads what activity
+// import needs: `record` messages (GPS samples) and `session` messages
+// (sport, totals). Developer fields and unknown messages are skipped.
+
+const FIT_EPOCH_SECONDS = 631065600; // 1989-12-31T00:00:00Z
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+const MESG_SESSION = 18;
+const MESG_RECORD = 20;
+
+// FIT sport enum -> activity type.
+const SPORT_TYPES = {
+  1: 'run',
+  2: 'cycle',
+  11: 'walk',
+  17: 'walk', // hiking
+};
+
+const INVALID = {
+  uint16: 0xffff,
+  uint32: 0xffffffff,
+  sint32: 0x7fffffff,
+};
+
+function readField(buffer, offset, size, littleEndian, kind) {
+  if (kind === 'uint8') {
+    return size >= 1 ? buffer.readUInt8(offset) : null;
+  }
+  if (kind === 'uint16') {
+    if (size !== 2) return null;
+    const v = littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    return v === INVALID.uint16 ? null : v;
+  }
+  if (size !== 4) return null;
+  if (kind === 'sint32') {
+    const v = littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset);
+    return v === INVALID.sint32 ? null : v;
+  }
+  const v = littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  return v === INVALID.uint32 ? null : v;
+}
+
+function fitTimeToDate(seconds) {
+  return seconds == null ? null : new Date((seconds + FIT_EPOCH_SECONDS) * 1000);
+}
+
+// field number -> [name, kind]
+const RECORD_FIELDS = {
+  253: ['timestamp', 'uint32'],
+  0: ['lat', 'sint32'],
+  1: ['lng', 'sint32'],
+  2: ['altitude', 'uint16'],
+  5: ['distance', 'uint32'],
+  78: ['enhancedAltitude', 'uint32'],
+};
+
+const SESSION_FIELDS = {
+  253: ['timestamp', 'uint32'],
+  2: ['startTime', 'uint32'],
+  5: ['sport', 'uint8'],
+  7: ['totalElapsedTime', 'uint32'],
+  9: ['totalDistance', 'uint32'],
+};
+
+/**
+ * Decodes a FIT file.
+ *
+ * @param {Buffer} buffer
+ * @returns {{records: Array<object>, sessions: Array<object>}} Records carry
+ *   { time, latitude, longitude, elevation, distanceM }; sessions carry
+ *   { startTime, endTime, type, elapsedSec, distanceKm }.
+ * @throws {Error} When the buffer is not a FIT file or is truncated.
+ */
+function decodeFit(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    throw new Error('Not a FIT file');
+  }
+  const headerSize = buffer.readUInt8(0);
+  if (headerSize < 12 || buffer.toString('ascii', 8, 12) !== '.FIT') {
+    throw new Error('Not a FIT file');
+  }
+  const dataEnd = headerSize + buffer.readUInt32LE(4);
+  if (dataEnd > buffer.length) {
+    throw new Error('FIT file is truncated');
+  }
+
+  const definitions = new Map();
+  const records = [];
+  const sessions = [];
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < dataEnd) {
+    const header = buffer.readUInt8(offset);
+    offset += 1;
+
+    let localType;
+    let compressedTimestamp = null;
+    if (header & 0x80) {
+      // Compressed timestamp header: 5-bit offset from the last timestamp.
+      localType = (header >> 5) & 0x03;
+      const timeOffset = header & 0x1f;
+      if (lastTimestamp != null) {
+        compressedTimestamp = (lastTimestamp & ~0x1f) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1f)) compressedTimestamp += 0x20;
+        lastTimestamp = compressedTimestamp;
+      }
+    } else if (header & 0x40) {
+      // Definition message.
+      localType = header & 0x0f;
+      const littleEndian = buffer.readUInt8(offset + 1) === 0;
+      const globalNum = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+      const fieldCount = buffer.readUInt8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i += 1) {
+        fields.push({ num: buffer.readUInt8(offset), size: buffer.readUInt8(offset + 1) });
+        offset += 3;
+      }
+      let developerSize = 0;
+      if (header & 0x20) {
+        const devCount = buffer.readUInt8(offset);
+        offset += 1;
+        for (let i = 0; i < devCount; i += 1) {
+          developerSize += buffer.readUInt8(offset + 1);
+          offset += 3;
+        }
+      }
+      definitions.set(localType, { globalNum, littleEndian, fields, developerSize });
+      if (offset > dataEnd) throw new Error('FIT file is truncated');
+      continue;
+    } else {
+      localType = header & 0x0f;
+    }
+
+    const definition = definitions.get(localType);
+    if (!definition) {
+      throw new Error(`FIT data message without definition (local type ${localType})`);
+    }
+
+    const known = definition.globalNum === MESG_RECORD
+      ? RECORD_FIELDS
+      : definition.globalNum === MESG_SESSION ? SESSION_FIELDS : null;
+    const values = {};
+    for (const field of definition.fields) {
+      if (offset + field.size > dataEnd) throw new Error('FIT file is truncated');
+      const spec = known && known[field.num];
+      if (spec) {
+        values[spec[0]] = readField(buffer, offset, field.size, definition.littleEndian, spec[1]);
+      }
+      offset += field.size;
+    }
+    offset += definition.developerSize;
+
+    if (values.timestamp != null) lastTimestamp = values.timestamp;
+    else if (compressedTimestamp != null) values.timestamp = compressedTimestamp;
+
+    if (definition.globalNum === MESG_RECORD) {
+      const altitude = values.enhancedAltitude ?? values.altitude;
+      records.push({
+        time: fitTimeToDate(values.timestamp),
+        latitude: values.lat == null ? null : values.lat * SEMICIRCLES_TO_DEGREES,
+        longitude: values.lng == null ? null : values.lng * SEMICIRCLES_TO_DEGREES,
+        elevation: altitude == null ? null : altitude / 5 - 500,
+        distanceM: values.distance == null ? null : values.distance / 100,
+      });
+    } else if (definition.globalNum === MESG_SESSION) {
+      sessions.push({
+        startTime: fitTimeToDate(values.startTime),
+        endTime: fitTimeToDate(values.timestamp),
+        type: SPORT_TYPES[values.sport] || null,
+        elapsedSec: values.totalElapsedTime == null ? null : values.totalElapsedTime / 1000,
+        distanceKm: values.totalDistance == null ? null : values.totalDistance / 100000,
+      });
+    }
+  }
+
+  return { records, sessions };
+}
+
+module.exports = {
+  decodeFit,
+};
@@ -0,0 +1,32 @@
+const FriendRequest = require('../models/FriendRequest');
+
+// Friendships are accepted FriendRequests, in either direction.
+
+async function areFriends(userIdA, userIdB) {
+  const accepted = await FriendRequest.findOne({ status: 'accepted' }).or([
+    { fromUser: userIdA, toUser: userIdB },
+    { fromUser: userIdB, toUser: userIdA },
+  ]);
+  return Boolean(accepted);
+}
+
+/**
+ * Ids of the user's friends.
+ *
+ * @param {string|ObjectId} userId
+ * @returns {Promise<Array<ObjectId>>}
+ */
+async function findFriendIds(userId) {
+  const accepted = await FriendRequest.find({ status: 'accepted' })
+    .or([{ fromUser: userId }, { toUser: userId }])
+    .select('fromUser toUser');
+
+  return accepted.map((request) => (
+    request.fromUser.toString() === userId.toString() ? request.toUser : request.fromUser
+  ));
+}
+
+module.exports = {
+  areFriends,
+  findFriendIds,
+};
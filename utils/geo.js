@@ -0,0 +1,168 @@
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(deg) {
+  return deg * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two { latitude, longitude } points, in km.
+ */
+function haversineKm(from, to) {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const deltaLat = toRadians(to.latitude - from.latitude);
+  const deltaLng = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
+            Math.cos(lat1) * Math.cos(lat2) *
+            Math.sin(deltaLng / 2) * Math.sin(deltaLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return EARTH_RADIUS_KM * c;
+}
+
+/**
+ * Decodes a Google encoded polyline into [{ latitude, longitude }].
+ * Returns an empty array for empty or malformed input.
+ *
+ * @param {string} encoded - Encoded polyline (e.g. Directions overview_polyline.points).
+ * @returns {Array<{latitude: number, longitude: number}>}
+ */
+function decodePolyline(encoded) {
+  if (typeof encoded !== 'string' || encoded.length === 0) return [];
+
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    const deltas = [];
+    for (let i = 0; i < 2; i += 1) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        if (index >= encoded.length) return [];
+        byte = encoded.charCodeAt(index) - 63;
+        index += 1;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      deltas.push((result & 1) ? ~(result >> 1) : (result >> 1));
+    }
+
+    lat += deltas[0];
+    lng += deltas[1];
+    points.push({ latitude: lat / 1e5, longitude: lng / 1e5 });
+  }
+
+  return points;
+}
+
+/**
+ * Sum of haversine segment lengths along a list of points, in km.
+ */
+function pathDistanceKm(points) {
+  let total = 0;
+  for (let i = 1; i < (points || []).length; i += 1) {
+    total += haversineKm(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+/**
+ * Running distance (km) from the first point to each point in the list.
+ */
+function cumulativeDistancesKm(points) {
+  const out = [];
+  let total = 0;
+  for (let i = 0; i < (points || []).length; i += 1) {
+    if (i > 0) total += haversineKm(points[i - 1], points[i]);
+    out.push(total);
+  }
+  return out;
+}
+
+// How close the path must come to a target for nearestPointIndex to settle
+// on that pass.
+const NEAR_POINT_TOLERANCE_KM = 0.5;
+
+/**
+ * Index of the point closest to `target`, searching from `fromIndex` on so
+ * that successive lookups stay ordered along the path. The first pass of
+ * the path within `toleranceKm` of the target wins: its closest point is
+ * returned as soon as the path moves away again, so a later pass (the
+ * return leg of an out-and-back route, a second lap) is never taken. When
+ * no point is that close, the closest point overall is returned.
+ *
+ * @param {Array<{latitude: number, longitude: number}>} points
+ * @param {{latitude: number, longitude: number}} target
+ * @param {number} [fromIndex]
+ * @param {object} [options]
+ * @param {number} [options.toleranceKm]
+ * @returns {number} -1 when there are no points to search.
+ */
+function nearestPointIndex(points, target, fromIndex = 0, { toleranceKm = NEAR_POINT_TOLERANCE_KM } = {}) {
+  let bestIndex = -1;
+  let bestKm = Number.POSITIVE_INFINITY;
+  for (let i = Math.max(0, fromIndex); i < (points || []).length; i += 1) {
+    const km = haversineKm(points[i], target);
+    if (bestKm <= toleranceKm && km > toleranceKm) break;
+    if (km < bestKm) {
+      bestKm = km;
+      bestIndex = i;
+    }
+  }
+  return bestIndex;
+}
+
+/**
+ * Road distance of an encoded polyline, in km. Returns null when the
+ * polyline cannot be decoded into at least one segment.
+ */
+function polylineDistanceKm(encoded) {
+  const points = decodePolyline(encoded);
+  if (points.length < 2) return null;
+  return pathDistanceKm(points);
+}
+
+/**
+ * Interpolated point at `distanceKm` along a list of points. Distances
+ * beyond either end are clamped to the first/last point.
+ *
+ * @param {Array<{latitude: number, longitude: number}>} points
+ * @param {number} distanceKm
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function pointAlongPath(points, distanceKm) {
+  if (!Array.isArray(points) || points.length === 0) return null;
+
+  let remaining = Math.max(0, Number(distanceKm) || 0);
+  for (let i = 1; i < points.length; i += 1) {
+    const from = points[i - 1];
+    const to = points[i];
+    const segmentKm = haversineKm(from, to);
+    if (segmentKm > 0 && remaining <= segmentKm) {
+      const t = remaining / segmentKm;
+      return {
+        latitude: from.latitude + (to.latitude - from.latitude) * t,
+        longitude: from.longitude + (to.longitude - from.longitude) * t,
+      };
+    }
+    remaining -= segmentKm;
+  }
+
+  const last = points[points.length - 1];
+  return { latitude: last.latitude, longitude: last.longitude };
+}
+
+module.exports = {
+  haversineKm,
+  decodePolyline,
+  pathDistanceKm,
+  cumulativeDistancesKm,
+  nearestPointIndex,
+  polylineDistanceKm,
+  pointAlongPath,
+};
@@ -0,0 +1,128 @@
+const Notification = require('../models/Notification');
+const { deliverPush } = require('./push');
+
+function displayName(user) {
+  if (!user) return 'Someone';
+  return user.nickname || user.name || user.email || 'Someone';
+}
+
+/**
+ * Stores an in-app notification for a user and pushes it to the user's
+ * registered devices. Never throws: a failed
+ * notification must not fail the request that triggered it.
+ *
+ * @param {string|ObjectId} userId - Recipient.
+ * @param {{type: string, title: string, body?: string, data?: object, dedupeKey?: string}} payload
+ * @returns {Promise<object|null>} The stored notification, or null.
+ */
+async function notify(userId, payload) {
+  if (!userId) return null;
+  try {
+    const doc = {
+      user: userId,
+      type: payload.type,
+      title: payload.title,
+      body: payload.body || '',
+      data: payload.data || {},
+    };
+
+    let notification;
+    if (payload.dedupeKey) {
+      const result = await Notification.findOneAndUpdate(
+        { dedupeKey: payload.dedupeKey },
+        { $setOnInsert: { ...doc, dedupeKey: payload.dedupeKey } },
+        { upsert: true, new: true, includeResultMetadata: true },
+      );
+      // Already delivered before.
+      if (result?.lastErrorObject?.updatedExisting) return null;
+      notification = result?.value || null;
+    } else {
+      notification = await Notification.create(doc);
+    }
+
+    if (notification) {
+      // Push delivery runs in the background; the in-app record is the source of truth.
+      deliverPush(notification).catch((error) => {
+        console.warn(`⚠️  [PUSH] Delivery failed for ${userId}:`, error.message);
+      });
+    }
+    return notification;
+  } catch (error) {
+    console.warn(`⚠️  [NOTIFY] Failed to notify ${userId} (${payload?.type}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Notifies everyone whose leaderboard position dropped below `userId`
+ * between two buildRaceLeaderboard() snapshots.
+ */
+async function notifyOvertaken(race, userId, before, after, overtaker) {
+  const uid = userId.toString();
+  const beforeById = new Map((before || []).map((e) => [e.userId, e]));
+  const afterById = new Map((after || []).map((e) => [e.userId, e]));
+  const meBefore = beforeById.get(uid);
+  const meAfter = afterById.get(uid);
+  if (!meBefore || !meAfter) return;
+
+  for (const [otherId, other] of beforeById) {
+    if (otherId === uid) continue;
+    const otherAfter = afterById.get(otherId);
+    if (!otherAfter) continue;
+    if (other.position < meBefore.position && otherAfter.position > meAfter.position) {
+      await notify(otherId, {
+        type: 'overtaken',
+        title: 'You were overtaken',
+        body: `${displayName(overtaker)} passed you in "${race.name}".`,
+        data: { raceId: race._id.toString(), byUserId: uid, position: otherAfter.position },
+      });
+    }
+  }
+}
+
+/**
+ * Notifies the final winner and the other participants once a race's
+ * winner is finalized. Safe to call repeatedly (deduped per race).
+ */
+async function notifyRaceWinnerFinalized(race, winnerUserId) {
+  if (!winnerUserId) return;
+  const raceId = race._id.toString();
+
+  for (const participant of race.participants || []) {
+    if (participant.status === 'withdrawn') continue;
+    const participantId = (participant.user?._id || participant.user).toString();
+    const isWinner = participantId === winnerUserId.toString();
+    await notify(participantId, {
+      type: isWinner ? 'race_won' : 'race_finished',
+      title: isWinner ? 'You won!' : 'Race finished',
+      body: isWinner
+        ? `You won "${race.name}".`
+        : `"${race.name}" has a final winner.`,
+      data: { raceId, winnerUserId: winnerUserId.toString() },
+      dedupeKey: `race_final:${raceId}:${winnerUserId}:${participantId}`,
+    });
+  }
+}
+
+/**
+ * Tells users they got a spot in a race they were waitlisted for.
+ */
+async function notifyWaitlistPromoted(race, userIds) {
+  const raceId = race._id.toString();
+  for (const userId of userIds || []) {
+    await notify(userId, {
+      type: 'race_waitlist_promoted',
+      title: 'You got a spot',
+      body: `A spot opened up in "${race.name}". You are now in the race.`,
+      data: { raceId },
+    });
+  }
+}
+
+module.exports = {
+  displayName,
+  notify,
+  notifyOvertaken,
+  notifyRaceWinnerFinalized,
+  notifyWaitlistPromoted,
+};
@@ -0,0 +1,136 @@
+// Plausibility rules for Health sync submissions. Defaults come from the
+// environment; a race can override any of them (Race.plausibility).
+
+const { localDayKey } = require('./timeZones');
+
+const DEFAULT_RULES = {
+  // Largest believable distance for a single day.
+  maxKmPerDay: Number(process.env.HEALTH_MAX_KM_PER_DAY || 100),
+  // Largest believable gain per hour, over a rolling window of
+  // jumpWindowHours that also counts km accepted by earlier syncs in it...
+  maxKmPerHour: Number(process.env.HEALTH_MAX_KM_PER_HOUR || 15),
+  jumpWindowHours: Number(process.env.HEALTH_JUMP_WINDOW_HOURS || 6),
+  // ...but always allow at least this much per window.
+  minJumpKm: Number(process.env.HEALTH_MIN_JUMP_KM || 15),
+  allowDaysOutsideWindow: process.env.HEALTH_ALLOW_DAYS_OUTSIDE_WINDOW === 'true',
+  allowDaysBeforeJoin: process.env.HEALTH_ALLOW_DAYS_BEFORE_JOIN === 'true',
+};
+
+function isoDay(dateLike, timeZone) {
+  const d = new Date(dateLike);
+  if (Number.isNaN(d.getTime())) return null;
+  return localDayKey(d, timeZone);
+}
+
+/**
+ * Effective rules for a race (race overrides win over defaults).
+ */
+function resolvePlausibilityRules(race) {
+  const overrides = (race && race.plausibility) || {};
+  const rules = { ...DEFAULT_RULES };
+  for (const key of Object.keys(DEFAULT_RULES)) {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      rules[key] = overrides[key];
+    }
+  }
+  return rules;
+}
+
+// Start of the rolling window the jump budget covers.
+function jumpWindowStart(rules, now) {
+  return new Date(now.getTime() - rules.jumpWindowHours * 3_600_000);
+}
+
+// Key of a day total in `existingByDay`: the ISO day, plus the activity type
+// when days are split by type.
+function screeningKey(day) {
+  return day.activityType ? `${day.dayKey}:${day.activityType}` : day.dayKey;
+}
+
+/**
+ * Splits incoming day totals into plausible ones (safe to apply) and
+ * suspicious ones (to be quarantined), with the reasons for each.
+ *
+ * @param {object} params
+ * @param {object} params.race - Race document.
+ * @param {object} params.participant - The syncing user's participant subdocument.
+ * @param {Array<{dayKey: string, activityType?: string, distanceKm: number}>} params.days - Incoming totals.
+ * @param {Map<string, number>} params.existingByDay - Stored distance per screeningKey().
+ * @param {number} [params.recentGainKm] - Km the user gained in the last
+ *   jumpWindowHours before this sync (see jumpWindowStart).
+ * @param {Date} params.now
+ * @param {string} [params.timeZone] - User's zone; the race window and join
+ *   day are compared in their local calendar.
+ * @returns {{accepted: Array, suspicious: Array}}
+ */
+function screenHealthDays({ race, participant, days, existingByDay, recentGainKm = 0, now, rules, timeZone = 'UTC' }) {
+  const effective = rules || resolvePlausibilityRules(race);
+  const windowFrom = isoDay(race.startDate, timeZone);
+  const windowTo = isoDay(race.endDate, timeZone);
+  const joinedKey = participant.joinedAt ? isoDay(participant.joinedAt, timeZone) : null;
+
+  // Shared by every sync in the window, so splitting km over many small
+  // syncs (or a first sync) gets no extra room.
+  const jumpBudgetKm = Math.max(effective.minJumpKm, effective.jumpWindowHours * effective.maxKmPerHour) -
+    Number(recentGainKm || 0);
+
+  // Each day's total across activity types once the incoming values are
+  // in: the daily cap applies to the day, not to each type.
+  const incoming = new Map(days.map((day) => [screeningKey(day), day.distanceKm]));
+  const dayTotals = new Map();
+  const addToDay = (key, km) => {
+    const dayKey = key.split(':')[0];
+    dayTotals.set(dayKey, (dayTotals.get(dayKey) || 0) + Number(km || 0));
+  };
+  for (const [key, km] of existingByDay) {
+    if (!incoming.has(key)) addToDay(key, km);
+  }
+  for (const [key, km] of incoming) addToDay(key, km);
+
+  const accepted = [];
+  const suspicious = [];
+  let gainedKm = 0;
+
+  const ordered = [...days].sort((a, b) => a.dayKey.localeCompare(b.dayKey));
+  for (const day of ordered) {
+    const previousKm = Number(existingByDay.get(screeningKey(day)) || 0);
+    const gain = Math.max(0, day.distanceKm - previousKm);
+    // Nothing new for this day: applying it is a no-op either way.
+    if (gain <= 0) {
+      accepted.push(day);
+      continue;
+    }
+
+    const reasons = [];
+    if (dayTotals.get(day.dayKey) > effective.maxKmPerDay) {
+      reasons.push('max_km_per_day');
+    }
+    if (!effective.allowDaysOutsideWindow && (day.dayKey < windowFrom || day.dayKey > windowTo)) {
+      reasons.push('outside_race_window');
+    }
+    if (!effective.allowDaysBeforeJoin && joinedKey && day.dayKey < joinedKey) {
+      reasons.push('before_joined_at');
+    }
+    if (gainedKm + gain > jumpBudgetKm) {
+      // Code kept from the per-sync budget, for clients and stored flags.
+      reasons.push('jump_since_last_sync');
+    }
+
+    if (reasons.length) {
+      suspicious.push({ ...day, previousDistanceKm: previousKm, reasons });
+    } else {
+      gainedKm += gain;
+      accepted.push(day);
+    }
+  }
+
+  return { accepted, suspicious };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  resolvePlausibilityRules,
+  jumpWindowStart,
+  screeningKey,
+  screenHealthDays,
+};
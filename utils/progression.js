@@ -0,0 +1,485 @@
+// Levels and XP: the level curve, every XP rule, and the XpEvent ledger
+// behind a user's totalXp. Grants go through recordXp/grantXp so the
+// ledger and the user's totals are written together.
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const XpEvent = require('../models/XpEvent');
+const { runInTransaction } = require('./transactions');
+const { localDayKey, shiftDayKey, zonedTimeToUtc } = require('./timeZones');
+
+const XP_PER_KM = 10;
+const RACE_FINISH_XP = 100;
+const RACE_WIN_XP = 250;
+// For the inviter, once per race and invitee.
+const INVITE_ACCEPTED_XP = 25;
+// A streak day has at least this many km synced (all activity types).
+const STREAK_MIN_KM = Number(process.env.XP_STREAK_MIN_KM || 1);
+// XP for reaching each length of a streak of days in a row.
+const STREAK_MILESTONES = [
+  { days: 3, xp: 30 },
+  { days: 7, xp: 100 },
+  { days: 14, xp: 200 },
+  { days: 30, xp: 500 },
+];
+
+function xpForLevel(level) {
+  if (level <= 1) return 0;
+  return Math.floor(100 * Math.pow(level - 1, 1.5));
+}
+
+function levelFromXp(totalXp) {
+  let level = 1;
+  while (totalXp >= xpForLevel(level + 1)) {
+    level += 1;
+  }
+  return level;
+}
+
+function progressionFromXp(totalXp) {
+  const level = levelFromXp(totalXp);
+  const currentLevelXp = xpForLevel(level);
+  const nextLevelXp = xpForLevel(level + 1);
+  const needed = Math.max(1, nextLevelXp - currentLevelXp);
+  const inLevelXp = totalXp - currentLevelXp;
+  return {
+    level,
+    totalXp,
+    currentLevelXp,
+    nextLevelXp,
+    inLevelXp,
+    xpToNextLevel: Math.max(0, nextLevelXp - totalXp),
+    progress: Number((inLevelXp / needed).toFixed(4)),
+  };
+}
+
+// Progression payload for a user (GET /api/auth/progression).
+function progressionFromUser(user) {
+  return {
+    ...progressionFromXp(Number(user.totalXp || 0)),
+    totalKmLifetime: Number((user.totalKmLifetime || 0).toFixed(2)),
+    xpPerKm: XP_PER_KM,
+  };
+}
+
+// XP earned by a lifetime km total. Km XP is granted as the change of this,
+// so fractions of a km carry over between syncs instead of being dropped.
+function xpForKm(totalKm) {
+  return Math.floor(Number(totalKm || 0) * XP_PER_KM + 1e-6);
+}
+
+// Grants for each XP rule: { reason, xp, km?, race?, dedupeKey?, details? }.
+
+function kmGrant(kmBefore, kmAfter) {
+  return {
+    reason: 'km',
+    xp: xpForKm(kmAfter) - xpForKm(kmBefore),
+    km: Number((kmAfter - kmBefore).toFixed(2)),
+  };
+}
+
+function raceFinishGrant(race) {
+  return {
+    reason: 'race_finish',
+    xp: RACE_FINISH_XP,
+    race: race._id,
+    dedupeKey: `race_finish:${race._id}`,
+  };
+}
+
+function raceWinGrant(race) {
+  return {
+    reason: 'race_win',
+    xp: RACE_WIN_XP,
+    race: race._id,
+    dedupeKey: `race_win:${race._id}`,
+  };
+}
+
+function inviteAcceptedGrant(invite) {
+  return {
+    reason: 'invite_accepted',
+    xp: INVITE_ACCEPTED_XP,
+    race: invite.race,
+    dedupeKey: `invite_accepted:${invite.race}:${invite.toUser}`,
+    details: { inviteId: invite._id.toString(), userId: invite.toUser.toString() },
+  };
+}
+
+// The day a streak grant's milestone was reached (older grants only have
+// the first day of their run).
+function streakReachedDay(details) {
+  return details.reachedDay || shiftDayKey(details.startDay, details.days - 1);
+}
+
+// A user's streak grants that were not taken back.
+function activeStreakEvents(userId, session) {
+  return XpEvent.find({ user: userId, reason: 'streak', xp: { $gt: 0 }, revokedAt: null })
+    .session(session);
+}
+
+/**
+ * Streak milestones reached by the runs of days in a row that contain any
+ * of `dayKeys`, keyed by the day each was reached. A milestone is granted
+ * once per run: a run already holding a grant for it (reached on one of its
+ * days) doesn't earn it again when it grows, forwards or backwards by
+ * syncing older days.
+ *
+ * @param {string} userId
+ * @param {Map<string, number>} kmByDay - Raw km per day key.
+ * @param {string[]} dayKeys - Days that just changed.
+ * @param {object} [options]
+ * @returns {Promise<Array>} Grants.
+ */
+async function streakGrants(userId, kmByDay, dayKeys, { session = null } = {}) {
+  const qualifies = (dayKey) => (kmByDay.get(dayKey) || 0) >= STREAK_MIN_KM;
+  const runs = [];
+  for (const dayKey of dayKeys) {
+    if (!qualifies(dayKey) || runs.some((run) => run.start <= dayKey && dayKey <= run.end)) continue;
+    let start = dayKey;
+    while (qualifies(shiftDayKey(start, -1))) start = shiftDayKey(start, -1);
+    let end = dayKey;
+    while (qualifies(shiftDayKey(end, 1))) end = shiftDayKey(end, 1);
+    runs.push({ start, end });
+  }
+  if (runs.length === 0) return [];
+
+  const granted = (await activeStreakEvents(userId, session)).map((event) => ({
+    days: event.details?.days,
+    reachedDay: streakReachedDay(event.details || {}),
+  }));
+  const grants = [];
+  for (const { start, end } of runs) {
+    for (const milestone of STREAK_MILESTONES) {
+      const reachedDay = shiftDayKey(start, milestone.days - 1);
+      if (reachedDay > end) break;
+      const held = granted.some((g) => g.days === milestone.days && start <= g.reachedDay && g.reachedDay <= end);
+      if (held) continue;
+      grants.push({
+        reason: 'streak',
+        xp: milestone.xp,
+        dedupeKey: `streak:${reachedDay}:${milestone.days}`,
+        details: { days: milestone.days, startDay: start, reachedDay },
+      });
+    }
+  }
+  return grants;
+}
+
+/**
+ * Takes back streak milestones that relied on one of `dayKeys` after it
+ * stopped counting as a streak day (a correction took km off it): returns a
+ * negative grant for each, and marks the original grant revoked so the
+ * milestone can be earned again. Only milestones whose days, from the run's
+ * first day to the day it was reached, include a changed day are affected.
+ *
+ * @param {string} userId
+ * @param {Map<string, number>} kmByDay - Raw km per day key.
+ * @param {string[]} dayKeys - Days that just went down.
+ * @param {object} [options]
+ * @returns {Promise<Array>} Grants.
+ */
+async function streakRevocations(userId, kmByDay, dayKeys, { session = null, now = new Date() } = {}) {
+  const lost = dayKeys.filter((dayKey) => (kmByDay.get(dayKey) || 0) < STREAK_MIN_KM);
+  if (lost.length === 0) return [];
+
+  const grants = [];
+  for (const event of await activeStreakEvents(userId, session)) {
+    const details = event.details || {};
+    const reachedDay = streakReachedDay(details);
+    if (!lost.some((dayKey) => details.startDay <= dayKey && dayKey <= reachedDay)) continue;
+
+    event.revokedAt = now;
+    event.dedupeKey = undefined;
+    await event.save({ session });
+    grants.push({
+      reason: 'streak',
+      xp: -event.xp,
+      dedupeKey: `streak_revoked:${event._id}`,
+      details: { days: details.days, startDay: details.startDay, reachedDay, revokes: event._id.toString() },
+    });
+  }
+  return grants;
+}
+
+/**
+ * Records a grant in the ledger and adds it to a loaded user's totalXp and
+ * level. Does not save the user. Grants worth no XP (unless
+ * options.recordZeroXp, e.g. to explain a km change), and one-off grants
+ * already made (same dedupeKey), are skipped.
+ *
+ * @param {object} user - User document, loaded with `session`.
+ * @param {object} grant - See the grant builders above.
+ * @param {object} [options]
+ * @returns {Promise<object|null>} The XpEvent, or null when skipped.
+ */
+async function recordXp(user, grant, { session = null, recordZeroXp = false } = {}) {
+  if (!grant.xp && !recordZeroXp) return null;
+  if (grant.dedupeKey) {
+    const granted = await XpEvent.exists({ user: user._id, dedupeKey: grant.dedupeKey }).session(session);
+    if (granted) return null;
+  }
+
+  const event = await new XpEvent({ user: user._id, ...grant }).save({ session });
+  user.totalXp = Math.max(0, Number(user.totalXp || 0) + grant.xp);
+  user.level = levelFromXp(user.totalXp);
+  return event;
+}
+
+/**
+ * Grants XP to a user: in the caller's transaction when `session` is given,
+ * otherwise in its own.
+ *
+ * @returns {Promise<object|null>} The user's progression after the grant,
+ *   or null when it was skipped.
+ */
+async function grantXp(userId, grant, { session = null } = {}) {
+  const apply = async (txSession) => {
+    const user = await User.findById(userId).select('totalXp level').session(txSession);
+    if (!user) return null;
+    const event = await recordXp(user, grant, { session: txSession });
+    if (!event) return null;
+    await user.save();
+    return progressionFromXp(user.totalXp);
+  };
+
+  if (session) return apply(session);
+  try {
+    return await runInTransaction(apply, { label: `${grant.reason} XP for user ${userId}` });
+  } catch (error) {
+    // The same one-off grant was made concurrently.
+    if (error?.code === 11000) return null;
+    throw error;
+  }
+}
+
+// Takes back a race result grant (finish or win XP) the user no longer
+// qualifies for: records the negative grant and marks the original revoked,
+// so it can be earned again.
+async function revokeRaceGrant(event, { session = null, now = new Date() } = {}) {
+  event.revokedAt = now;
+  event.dedupeKey = undefined;
+  await event.save({ session });
+  await grantXp(event.user, {
+    reason: event.reason,
+    xp: -event.xp,
+    race: event.race,
+    dedupeKey: `${event.reason}_revoked:${event._id}`,
+    details: { revokes: event._id.toString() },
+  }, { session });
+}
+
+/**
+ * Finish XP for everyone who finished a race with a final winner (reached
+ * the end of a point_to_point race, or logged distance in a time-boxed
+ * one), and win XP for the winner. Safe to call again: each grant is made
+ * once, and when the result changed (reviewed data changed the final
+ * winner) grants made before that no longer hold are taken back.
+ */
+async function awardRaceResults(race, winnerUserId, { session = null, now = new Date() } = {}) {
+  const winnerId = winnerUserId && winnerUserId.toString();
+  const timeBoxed = race.format === 'max_distance' || race.format === 'daily_streak';
+  const finishers = new Set();
+  for (const participant of race.participants || []) {
+    if (participant.status === 'withdrawn') continue;
+    const finished = participant.status === 'completed' ||
+      (timeBoxed && Number(participant.totalDistance || 0) > 0);
+    if (finished) finishers.add((participant.user?._id || participant.user).toString());
+  }
+
+  const held = await XpEvent.find({
+    race: race._id,
+    reason: { $in: ['race_finish', 'race_win'] },
+    xp: { $gt: 0 },
+    revokedAt: null,
+  }).session(session);
+  for (const event of held) {
+    const userId = event.user.toString();
+    const holds = event.reason === 'race_win' ? userId === winnerId : finishers.has(userId);
+    if (!holds) await revokeRaceGrant(event, { session, now });
+  }
+
+  for (const participant of race.participants || []) {
+    if (participant.status === 'withdrawn') continue;
+    const userId = (participant.user?._id || participant.user).toString();
+    if (finishers.has(userId)) {
+      await grantXp(userId, raceFinishGrant(race), { session });
+    }
+    if (userId === winnerId) {
+      await grantXp(userId, raceWinGrant(race), { session });
+    }
+  }
+}
+
+/**
+ * Km a user gained since `since`, from the km ledger: sync, review and
+ * activity gains. Km taken off and reconciliation fixes don't count, so a
+ * correction doesn't make room for more.
+ */
+async function kmGainedSince(userId, since, { session = null } = {}) {
+  const [row] = await XpEvent.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        reason: 'km',
+        km: { $gt: 0 },
+        createdAt: { $gte: since },
+        'details.reconciled': { $ne: true },
+      },
+    },
+    { $group: { _id: null, km: { $sum: '$km' } } },
+  ]).session(session);
+  return row ? row.km : 0;
+}
+
+/**
+ * XP and km in a user's ledger, in total and per reason.
+ *
+ * @returns {Promise<{xp: number, km: number, byReason: object}>} byReason:
+ *   { [reason]: { xp, km } }
+ */
+async function ledgerTotals(userId, { session = null } = {}) {
+  const rows = await XpEvent.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: '$reason', xp: { $sum: '$xp' }, km: { $sum: '$km' } } },
+  ]).session(session);
+
+  const totals = { xp: 0, km: 0, byReason: {} };
+  for (const row of rows) {
+    totals.xp += row.xp;
+    totals.km += row.km;
+    totals.byReason[row._id] = { xp: row.xp, km: row.km };
+  }
+  return totals;
+}
+
+function toXpEventPayload(event) {
+  return {
+    id: event._id.toString(),
+    reason: event.reason,
+    xp: event.xp,
+    km: Number(Number(event.km || 0).toFixed(2)),
+    race: event.race
+      ? { id: (event.race._id || event.race).toString(), name: event.race.name || null }
+      : null,
+    details: event.details || null,
+    createdAt: event.createdAt,
+  };
+}
+
+function emptyBucket(date) {
+  return { date, xp: 0, km: 0, events: 0, byReason: {} };
+}
+
+function addToBucket(bucket, { reason, xp, km, events }) {
+  bucket.xp += xp;
+  bucket.km = Number((bucket.km + km).toFixed(2));
+  bucket.events += events;
+  bucket.byReason[reason] = (bucket.byReason[reason] || 0) + xp;
+}
+
+// Monday of the week `dayKey` is in.
+function weekStartKey(dayKey) {
+  const weekday = new Date(dayKey).getUTCDay();
+  return shiftDayKey(dayKey, -((weekday + 6) % 7));
+}
+
+/**
+ * A user's XP ledger, newest first, with XP per day and per week (weeks
+ * start on Monday) over the last `days` days of their local calendar.
+ *
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {number} [options.days=30] - Days covered by the aggregates.
+ * @param {number} [options.limit=50] - Ledger entries returned.
+ * @param {Date} [options.before] - Only entries before this (paging).
+ * @param {string} [options.timeZone='UTC']
+ * @returns {Promise<object>} { events, nextBefore, daily, weekly }.
+ *   Buckets are { date, xp, km, events, byReason: { [reason]: xp } };
+ *   weekly buckets are dated by their Monday.
+ */
+async function xpHistory(userId, {
+  days = 30,
+  limit = 50,
+  before = null,
+  timeZone = 'UTC',
+  now = new Date(),
+} = {}) {
+  const filter = { user: userId };
+  if (before) filter.createdAt = { $lt: before };
+  const events = await XpEvent.find(filter)
+    .populate('race', 'name')
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit);
+
+  const lastDay = localDayKey(now, timeZone);
+  const firstDay = shiftDayKey(lastDay, -(days - 1));
+  const [year, month, day] = firstDay.split('-').map(Number);
+  const rows = await XpEvent.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        createdAt: { $gte: zonedTimeToUtc({ year, month, day }, timeZone) },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: timeZone } },
+          reason: '$reason',
+        },
+        xp: { $sum: '$xp' },
+        km: { $sum: '$km' },
+        events: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const daily = new Map();
+  const weekly = new Map();
+  for (let key = firstDay; key <= lastDay; key = shiftDayKey(key, 1)) {
+    daily.set(key, emptyBucket(key));
+    const week = weekStartKey(key);
+    if (!weekly.has(week)) weekly.set(week, emptyBucket(week));
+  }
+  for (const row of rows) {
+    const bucket = daily.get(row._id.day);
+    if (!bucket) continue;
+    const entry = { reason: row._id.reason, xp: row.xp, km: row.km, events: row.events };
+    addToBucket(bucket, entry);
+    addToBucket(weekly.get(weekStartKey(row._id.day)), entry);
+  }
+
+  return {
+    events: events.map(toXpEventPayload),
+    nextBefore: events.length === limit ? events[events.length - 1].createdAt : null,
+    daily: [...daily.values()],
+    weekly: [...weekly.values()],
+  };
+}
+
+module.exports = {
+  XP_PER_KM,
+  RACE_FINISH_XP,
+  RACE_WIN_XP,
+  INVITE_ACCEPTED_XP,
+  STREAK_MIN_KM,
+  STREAK_MILESTONES,
+  xpForLevel,
+  levelFromXp,
+  progressionFromXp,
+  progressionFromUser,
+  xpForKm,
+  kmGrant,
+  raceFinishGrant,
+  raceWinGrant,
+  inviteAcceptedGrant,
+  streakGrants,
+  streakRevocations,
+  recordXp,
+  grantXp,
+  awardRaceResults,
+  kmGainedSince,
+  ledgerTotals,
+  xpHistory,
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+
+const APNS_HOST_PRODUCTION = 'https://api.push.apple.com';
+const APNS_HOST_SANDBOX = 'https://api.sandbox.push.apple.com';
+// Apple rejects provider tokens older than an hour; refresh well before.
+const TOKEN_TTL_MS = 50 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+let _providerToken = null;
+let _providerTokenAt = 0;
+
+function readPrivateKey() {
+  if (process.env.APNS_PRIVATE_KEY) {
+    return process.env.APNS_PRIVATE_KEY.replace(/\\n/g, '\n');
+  }
+  if (process.env.APNS_PRIVATE_KEY_PATH) {
+    return fs.readFileSync(process.env.APNS_PRIVATE_KEY_PATH, 'utf8');
+  }
+  return null;
+}
+
+function topic() {
+  return process.env.APNS_BUNDLE_ID || process.env.IOS_BUNDLE_ID || 'com.racegm.ro';
+}
+
+function providerToken() {
+  const now = Date.now();
+  if (_providerToken && now - _providerTokenAt < TOKEN_TTL_MS) return _providerToken;
+
+  _providerToken = jwt.sign({}, readPrivateKey(), {
+    algorithm: 'ES256',
+    issuer: process.env.APNS_TEAM_ID,
+    header: { alg: 'ES256', kid: process.env.APNS_KEY_ID },
+  });
+  _providerTokenAt = now;
+  return _providerToken;
+}
+
+function postToApns(deviceToken, payload) {
+  const host = process.env.APNS_PRODUCTION === 'true' ? APNS_HOST_PRODUCTION : APNS_HOST_SANDBOX;
+
+  return new Promise((resolve, reject) => {
+    const client = http2.connect(host);
+    // Settles once and always closes the connection, whichever of
+    // end/error/timeout/close comes first.
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      client.close();
+      fn(value);
+    };
+    client.on('error', (error) => settle(reject, error));
+
+    const req = client.request({
+      ':method': 'POST',
+      ':path': `/3/device/${deviceToken}`,
+      authorization: `bearer ${providerToken()}`,
+      'apns-topic': topic(),
+      'apns-push-type': 'alert',
+      'content-type': 'application/json',
+    });
+
+    let status = 0;
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('response', (headers) => {
+      status = Number(headers[':status']);
+    });
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => settle(resolve, { status, body }));
+    req.on('error', (error) => settle(reject, error));
+    // The stream closed (e.g. reset by the server) before a full response.
+    req.on('close', () => settle(reject, new Error(`APNs stream closed without a response (status ${status || 'none'})`)));
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      req.close(http2.constants.NGHTTP2_CANCEL);
+      settle(reject, new Error(`APNs request timed out after ${REQUEST_TIMEOUT_MS} ms`));
+    });
+
+    req.end(JSON.stringify(payload));
+  });
+}
+
+// Apple Push Notification service over HTTP/2 with token (.p8) auth.
+module.exports = {
+  name: 'apns',
+
+  isConfigured() {
+    return Boolean(process.env.APNS_KEY_ID && process.env.APNS_TEAM_ID && readPrivateKey());
+  },
+
+  async send(device, message) {
+    const { status, body } = await postToApns(device.token, {
+      aps: {
+        alert: { title: message.title, body: message.body },
+        sound: 'default',
+        ...(Number.isFinite(message.badge) && { badge: message.badge }),
+      },
+      data: message.data || {},
+    });
+
+    if (status === 200) return { ok: true };
+
+    let reason = body;
+    try {
+      reason = JSON.parse(body).reason || body;
+    } catch (_) {}
+    return {
+      ok: false,
+      invalidToken: status === 410 || reason === 'BadDeviceToken' || reason === 'Unregistered',
+      error: `APNs ${status}: ${reason}`,
+    };
+  },
+};
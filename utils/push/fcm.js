@@ -0,0 +1,96 @@
+const jwt = require('jsonwebtoken');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+// Each request (token or send, response body included) gives up after this.
+const REQUEST_TIMEOUT_MS = 10000;
+
+let _accessToken = null;
+let _accessTokenExpiresAt = 0;
+
+function privateKey() {
+  return (process.env.FCM_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+}
+
+// OAuth2 access token from the service account (JWT bearer grant).
+async function accessToken() {
+  const now = Date.now();
+  if (_accessToken && now < _accessTokenExpiresAt - 60_000) return _accessToken;
+
+  const assertion = jwt.sign(
+    { scope: FCM_SCOPE },
+    privateKey(),
+    {
+      algorithm: 'RS256',
+      issuer: process.env.FCM_CLIENT_EMAIL,
+      audience: TOKEN_URL,
+      expiresIn: 3600,
+    },
+  );
+
+  const res = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion,
+    }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const data = await res.json();
+  if (!res.ok || !data.access_token) {
+    throw new Error(`FCM auth failed: ${data.error_description || data.error || res.status}`);
+  }
+
+  _accessToken = data.access_token;
+  _accessTokenExpiresAt = now + Number(data.expires_in || 3600) * 1000;
+  return _accessToken;
+}
+
+// Stringifies data values; FCM only accepts string maps.
+function toStringMap(data) {
+  const out = {};
+  for (const [key, value] of Object.entries(data || {})) {
+    if (value == null) continue;
+    out[key] = typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  return out;
+}
+
+// Firebase Cloud Messaging HTTP v1 API with a service account.
+module.exports = {
+  name: 'fcm',
+
+  isConfigured() {
+    return Boolean(process.env.FCM_PROJECT_ID && process.env.FCM_CLIENT_EMAIL && privateKey());
+  },
+
+  async send(device, message) {
+    const url = `https://fcm.googleapis.com/v1/projects/${process.env.FCM_PROJECT_ID}/messages:send`;
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${await accessToken()}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        message: {
+          token: device.token,
+          notification: { title: message.title, body: message.body },
+          data: toStringMap(message.data),
+        },
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (res.ok) return { ok: true };
+
+    const data = await res.json().catch(() => ({}));
+    const status = data?.error?.status || '';
+    return {
+      ok: false,
+      invalidToken: res.status === 404 || status === 'UNREGISTERED',
+      error: `FCM ${res.status}: ${data?.error?.message || status}`,
+    };
+  },
+};
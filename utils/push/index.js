@@ -0,0 +1,126 @@
+const User = require('../../models/User');
+const apns = require('./apns');
+const fcm = require('./fcm');
+const local = require('./local');
+
+// Transport registry, keyed by device.transport. PUSH_TRANSPORT=local routes
+// every device to the local adapter (development and tests).
+const transports = new Map();
+
+function registerTransport(name, transport) {
+  transports.set(name, transport);
+}
+
+registerTransport('apns', apns);
+registerTransport('fcm', fcm);
+registerTransport('local', local);
+
+function transportFor(device) {
+  const forced = process.env.PUSH_TRANSPORT;
+  const transport = transports.get(forced || device.transport);
+  if (!transport || !transport.isConfigured()) return null;
+  return transport;
+}
+
+function minutesOfDay(hhmm) {
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  if (!Number.isFinite(h) || !Number.isFinite(m)) return null;
+  return h * 60 + m;
+}
+
+/**
+ * Whether `now` falls inside the user's quiet hours, evaluated in the
+ * quiet-hours time zone. Windows may wrap past midnight.
+ */
+function isWithinQuietHours(quietHours, now = new Date()) {
+  if (!quietHours || !quietHours.enabled) return false;
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  if (start == null || end == null || start === end) return false;
+
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: quietHours.timeZone || 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(now);
+  } catch (_) {
+    return false;
+  }
+  const hour = Number(parts.find((p) => p.type === 'hour')?.value);
+  const minute = Number(parts.find((p) => p.type === 'minute')?.value);
+  const current = hour * 60 + minute;
+
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+function allowsPush(user, type, now = new Date()) {
+  const prefs = user.notificationPreferences || {};
+  if (prefs.push === false) return false;
+  const types = prefs.types;
+  const typeEnabled = types && typeof types.get === 'function' ? types.get(type) : types?.[type];
+  if (typeEnabled === false) return false;
+  return !isWithinQuietHours(prefs.quietHours, now);
+}
+
+/**
+ * Delivers a stored notification as a push message to every device of its
+ * recipient, honoring preferences and quiet hours. Tokens the transport
+ * reports as invalid are removed from the user.
+ *
+ * @param {object} notification - Notification document.
+ * @returns {Promise<{sent: number, skipped: string|null}>}
+ */
+async function deliverPush(notification) {
+  const user = await User.findById(notification.user).select('devices notificationPreferences');
+  if (!user || !(user.devices || []).length) return { sent: 0, skipped: 'no_devices' };
+  if (!allowsPush(user, notification.type)) return { sent: 0, skipped: 'preferences' };
+
+  const message = {
+    title: notification.title,
+    body: notification.body || '',
+    data: {
+      ...(notification.data || {}),
+      notificationId: notification._id.toString(),
+      type: notification.type,
+    },
+  };
+
+  let sent = 0;
+  const invalidTokens = [];
+  for (const device of user.devices) {
+    const transport = transportFor(device);
+    if (!transport) continue;
+    try {
+      const result = await transport.send(device, message);
+      if (result.ok) {
+        sent += 1;
+      } else {
+        if (result.invalidToken) invalidTokens.push(device.token);
+        console.warn(`⚠️  [PUSH] ${transport.name} rejected message:`, result.error);
+      }
+    } catch (error) {
+      console.warn(`⚠️  [PUSH] ${transport.name} send failed:`, error.message);
+    }
+  }
+
+  if (invalidTokens.length) {
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { devices: { token: { $in: invalidTokens } } } },
+    );
+  }
+
+  return { sent, skipped: null };
+}
+
+module.exports = {
+  registerTransport,
+  isWithinQuietHours,
+  allowsPush,
+  deliverPush,
+};
@@ -0,0 +1,28 @@
+const fs = require('fs');
+
+// Development/test transport: appends each message as a JSON line to
+// PUSH_LOG_FILE, or logs it to the console when no file is set.
+module.exports = {
+  name: 'local',
+
+  isConfigured() {
+    return true;
+  },
+
+  async send(device, message) {
+    const line = JSON.stringify({
+      at: new Date().toISOString(),
+      transport: device.transport,
+      platform: device.platform,
+      token: device.token,
+      message,
+    });
+
+    if (process.env.PUSH_LOG_FILE) {
+      await fs.promises.appendFile(process.env.PUSH_LOG_FILE, `${line}\n`);
+    } else {
+      console.log(`📲 [PUSH] ${line}`);
+    }
+    return { ok: true };
+  },
+};
@@ -0,0 +1,130 @@
+// Who may see and join a race, by its visibility:
+// - public: everyone
+// - friends: friends of the creator
+// - invite_only: users holding a pending or accepted RaceInvite
+// - join_code: users who have the race's current join code
+// Admins, organizers, participants (also withdrawn ones) and invited users
+// always have access.
+
+const crypto = require('crypto');
+const RaceInvite = require('../models/RaceInvite');
+const { areFriends, findFriendIds } = require('./friends');
+
+// No 0/O or 1/I, so codes survive being read out loud.
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+
+const ACCESS_DENIED_MESSAGES = {
+  friends_only: 'Only friends of the organizer can access this race',
+  invite_only: 'This race is invite-only',
+  join_code_required: 'A join code is required for this race',
+  invalid_join_code: 'Invalid join code',
+};
+
+function generateJoinCode() {
+  let code = '';
+  for (let i = 0; i < JOIN_CODE_LENGTH; i += 1) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function normalizeJoinCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function refId(value) {
+  return (value?._id || value)?.toString();
+}
+
+function isPublicRace(race) {
+  return !race.visibility || race.visibility === 'public';
+}
+
+function isRaceMember(race, userId) {
+  return race.isOrganizer(userId) ||
+    race.participants.some((p) => refId(p.user) === userId.toString());
+}
+
+async function hasRaceInvite(raceId, userId) {
+  const invite = await RaceInvite.findOne({
+    race: raceId,
+    toUser: userId,
+    status: { $in: ['pending', 'accepted'] },
+  }).select('_id');
+  return Boolean(invite);
+}
+
+/**
+ * Filter for the races a viewer may see in the race list. Join-code races
+ * are only listed for members; everyone else gets there through the code.
+ *
+ * @param {{userId?: string, role?: string}} viewer - Anonymous when userId is unset.
+ * @returns {Promise<object>} Mongo filter.
+ */
+async function visibleRacesFilter(viewer) {
+  const publicRaces = { visibility: { $in: ['public', null] } };
+  if (!viewer?.userId) return publicRaces;
+  if (viewer.role === 'admin') return {};
+
+  const [friendIds, invitedRaceIds] = await Promise.all([
+    findFriendIds(viewer.userId),
+    RaceInvite.distinct('race', { toUser: viewer.userId, status: { $in: ['pending', 'accepted'] } }),
+  ]);
+
+  return {
+    $or: [
+      publicRaces,
+      { createdBy: viewer.userId },
+      { organizers: viewer.userId },
+      { 'participants.user': viewer.userId },
+      { _id: { $in: invitedRaceIds } },
+      { visibility: 'friends', createdBy: { $in: friendIds } },
+    ],
+  };
+}
+
+/**
+ * Checks whether a viewer may see or join a race. Join-code races need
+ * the race loaded with +joinCode.
+ *
+ * @param {object} race - Race document.
+ * @param {{userId?: string, role?: string}} viewer
+ * @param {object} [options]
+ * @param {string} [options.joinCode] - Code supplied by the viewer.
+ * @returns {Promise<string|null>} null when allowed, else a reason code
+ *   (a key of ACCESS_DENIED_MESSAGES).
+ */
+async function checkRaceAccess(race, viewer, { joinCode } = {}) {
+  if (isPublicRace(race)) return null;
+
+  if (viewer?.userId) {
+    if (viewer.role === 'admin' || isRaceMember(race, viewer.userId)) return null;
+    if (await hasRaceInvite(race._id, viewer.userId)) return null;
+  }
+
+  if (race.visibility === 'join_code') {
+    if (!joinCode) return 'join_code_required';
+    return race.joinCode && normalizeJoinCode(joinCode) === race.joinCode
+      ? null
+      : 'invalid_join_code';
+  }
+  if (race.visibility === 'friends') {
+    if (viewer?.userId && await areFriends(refId(race.createdBy), viewer.userId)) return null;
+    return 'friends_only';
+  }
+  return 'invite_only';
+}
+
+// 403 body for a denied checkRaceAccess.
+function accessDeniedPayload(reason) {
+  return { message: ACCESS_DENIED_MESSAGES[reason], code: reason };
+}
+
+module.exports = {
+  generateJoinCode,
+  normalizeJoinCode,
+  visibleRacesFilter,
+  checkRaceAccess,
+  accessDeniedPayload,
+};
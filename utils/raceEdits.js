@@ -0,0 +1,259 @@
+// Race edits (PUT /api/races/:id): which fields an organizer may change and
+// when, and the before/after diff that goes into the race's audit log.
+
+const { ACTIVITY_TYPES } = require('../models/Activity');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'startPoint',
+  'endPoint',
+  'checkpoints',
+  'format',
+  'streakThresholdKm',
+  'allowedActivityTypes',
+  'activityMultipliers',
+  'startDate',
+  'endDate',
+  'teamBalanceMaxGap',
+  'allowRejoin',
+  'visibility',
+  'maxParticipants',
+  'registrationClosesAt',
+  'plausibility',
+];
+
+// Fields that define the route or how progress is scored. Changing them
+// mid-race would invalidate distances participants have already logged.
+const LOCKED_AFTER_START = [
+  'startPoint',
+  'endPoint',
+  'checkpoints',
+  'format',
+  'streakThresholdKm',
+  'allowedActivityTypes',
+  'activityMultipliers',
+  'startDate',
+];
+
+const COORDINATE_FIELDS = ['startPoint', 'endPoint', 'checkpoints'];
+
+const DATE_FIELDS = ['startDate', 'endDate', 'registrationClosesAt'];
+
+const PLAUSIBILITY_FIELDS = [
+  'maxKmPerDay',
+  'maxKmPerHour',
+  'jumpWindowHours',
+  'minJumpKm',
+  'allowDaysOutsideWindow',
+  'allowDaysBeforeJoin',
+];
+
+function samePosition(a, b) {
+  return Number(a?.latitude) === Number(b?.latitude)
+    && Number(a?.longitude) === Number(b?.longitude);
+}
+
+function toPoint(value, current) {
+  const point = {
+    latitude: Number(value.latitude),
+    longitude: Number(value.longitude),
+  };
+  // Keep the geocoded label while the point stays where it was.
+  const address = value.address || (current && samePosition(value, current) ? current.address : null);
+  if (address) point.address = address;
+  return point;
+}
+
+function plainPoint(point) {
+  if (!point) return null;
+  return {
+    latitude: point.latitude,
+    longitude: point.longitude,
+    ...(point.address && { address: point.address }),
+  };
+}
+
+function plainPlausibility(plausibility) {
+  const out = {};
+  for (const key of PLAUSIBILITY_FIELDS) {
+    if (plausibility?.[key] != null) out[key] = plausibility[key];
+  }
+  return out;
+}
+
+// Current value of an editable field, as plain JSON.
+function readField(race, field) {
+  switch (field) {
+    case 'startPoint':
+    case 'endPoint':
+      return plainPoint(race[field]);
+    case 'checkpoints':
+      return (race.checkpoints || []).map(plainPoint);
+    case 'allowedActivityTypes':
+      return [...(race.allowedActivityTypes || [])];
+    case 'activityMultipliers':
+      return Object.fromEntries(ACTIVITY_TYPES.map((type) => [type, race.activityMultipliers?.[type] ?? 1]));
+    case 'plausibility':
+      return plainPlausibility(race.plausibility);
+    case 'startDate':
+    case 'endDate':
+    case 'registrationClosesAt':
+      return race[field] ? new Date(race[field]).toISOString() : null;
+    case 'description':
+      return race.description || '';
+    default:
+      return race[field] ?? null;
+  }
+}
+
+// Requested value of an editable field, normalized to the shape readField
+// returns. Partial objects (multipliers, plausibility) merge into the
+// current values; a null plausibility field removes that override.
+function normalizeField(race, field, value) {
+  switch (field) {
+    case 'name':
+      return String(value).trim();
+    case 'description':
+      return value == null ? '' : String(value).trim();
+    case 'startPoint':
+    case 'endPoint':
+      return toPoint(value, race[field]);
+    case 'checkpoints':
+      return (value || []).map((c) => {
+        const current = (race.checkpoints || []).find((existing) => samePosition(existing, c));
+        return toPoint(c, current);
+      });
+    case 'streakThresholdKm':
+      return Number(value);
+    case 'teamBalanceMaxGap':
+    case 'maxParticipants':
+      return value == null ? null : Number(value);
+    case 'allowRejoin':
+      return String(value) === 'true';
+    case 'allowedActivityTypes':
+      return ACTIVITY_TYPES.filter((type) => value.includes(type));
+    case 'activityMultipliers': {
+      const merged = readField(race, field);
+      for (const type of ACTIVITY_TYPES) {
+        if (value[type] != null) merged[type] = Number(value[type]);
+      }
+      return merged;
+    }
+    case 'plausibility': {
+      const merged = readField(race, field);
+      for (const key of PLAUSIBILITY_FIELDS) {
+        if (!(key in (value || {}))) continue;
+        if (value[key] == null) delete merged[key];
+        else if (key.startsWith('allow')) merged[key] = String(value[key]) === 'true';
+        else merged[key] = Number(value[key]);
+      }
+      return merged;
+    }
+    case 'startDate':
+    case 'endDate':
+    case 'registrationClosesAt':
+      return value == null ? null : new Date(value).toISOString();
+    default:
+      return value;
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Works out what a PUT body would change and whether it is allowed.
+ *
+ * Fields outside the whitelist are rejected; fields sent with their current
+ * value are ignored, so clients may send back the whole form.
+ *
+ * @param {object} race - Race document.
+ * @param {object} updates - Request body, without image/mimeType.
+ * @param {Date} now
+ * @returns {{error: string|null, fields: string[], changes: Array<{field: string, from: *, to: *}>, coordinatesChanged: boolean}}
+ */
+function planRaceEdits(race, updates, now = new Date()) {
+  const plan = { error: null, fields: [], changes: [], coordinatesChanged: false };
+
+  const unknown = Object.keys(updates).filter((field) => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    plan.error = 'These fields cannot be edited';
+    plan.fields = unknown;
+    return plan;
+  }
+
+  for (const field of EDITABLE_FIELDS) {
+    if (updates[field] === undefined) continue;
+    const from = readField(race, field);
+    const to = normalizeField(race, field, updates[field]);
+    if (!sameValue(from, to)) plan.changes.push({ field, from, to });
+  }
+
+  const changed = plan.changes.map((c) => c.field);
+  const next = (field) => {
+    const change = plan.changes.find((c) => c.field === field);
+    return change ? change.to : readField(race, field);
+  };
+
+  if (now >= race.startDate) {
+    const locked = changed.filter((field) => LOCKED_AFTER_START.includes(field));
+    if (locked.length > 0) {
+      plan.error = 'These fields cannot be changed after the race has started';
+      plan.fields = locked;
+      return plan;
+    }
+  }
+
+  if (changed.includes('endDate')) {
+    if (race.finishResolution?.finalizedAt || now > race.endDate) {
+      plan.error = 'The end date cannot be changed once the race is over';
+      plan.fields = ['endDate'];
+      return plan;
+    }
+    if (new Date(next('endDate')) <= now) {
+      plan.error = 'End date must be in the future';
+      plan.fields = ['endDate'];
+      return plan;
+    }
+  }
+
+  if (new Date(next('endDate')) <= new Date(next('startDate'))) {
+    plan.error = 'End date must be after start date';
+    plan.fields = changed.filter((field) => field === 'startDate' || field === 'endDate');
+    return plan;
+  }
+
+  const registrationClosesAt = next('registrationClosesAt');
+  if (registrationClosesAt && new Date(registrationClosesAt) > new Date(next('endDate'))) {
+    plan.error = 'Registration must close before the end date';
+    plan.fields = changed.filter((field) => field === 'registrationClosesAt' || field === 'endDate');
+    return plan;
+  }
+
+  plan.coordinatesChanged = changed.some((field) => COORDINATE_FIELDS.includes(field));
+  return plan;
+}
+
+/**
+ * Applies a plan from planRaceEdits to the race (does not save). When the
+ * route moved, the stored polyline and road distance are dropped so they are
+ * rebuilt by enrichment.
+ */
+function applyRaceEdits(race, plan) {
+  for (const { field, to } of plan.changes) {
+    race[field] = DATE_FIELDS.includes(field) && to != null ? new Date(to) : to;
+  }
+  if (plan.coordinatesChanged) {
+    race.routePolyline = undefined;
+    race.routeDistanceKm = null;
+  }
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  LOCKED_AFTER_START,
+  planRaceEdits,
+  applyRaceEdits,
+};
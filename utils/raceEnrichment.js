@@ -0,0 +1,120 @@
+// Google Maps lookups used to enrich races once, server-side, instead of
+// every client calling the APIs.
+
+const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+
+function requireGoogleKey() {
+  if (!GOOGLE_MAPS_API_KEY) {
+    throw new Error('Missing GOOGLE_MAPS_API_KEY in server environment');
+  }
+}
+
+async function fetchJsonWithTimeout(url, timeoutMs = 8000) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    const text = await res.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      data = { raw: text };
+    }
+    if (!res.ok) {
+      const msg = (data && data.message) ? data.message : `HTTP ${res.status}`;
+      throw new Error(`Google API error: ${msg}`);
+    }
+    return data;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function reverseGeocodePlaceName(lat, lng) {
+  requireGoogleKey();
+  const url =
+    `https://maps.googleapis.com/maps/api/geocode/json?latlng=${lat},${lng}&key=${GOOGLE_MAPS_API_KEY}`;
+  const data = await fetchJsonWithTimeout(url, 7000);
+  if (!data || data.status !== 'OK' || !Array.isArray(data.results) || data.results.length === 0) {
+    return null;
+  }
+  const first = data.results[0];
+  const components = Array.isArray(first.address_components) ? first.address_components : [];
+  let locality = null;
+  let sublocality = null;
+  let admin2 = null;
+  for (const comp of components) {
+    const types = Array.isArray(comp.types) ? comp.types : [];
+    const name = comp.long_name || '';
+    if (types.includes('locality')) locality = name;
+    if (types.includes('sublocality') || types.includes('sublocality_level_1')) sublocality = sublocality || name;
+    if (types.includes('administrative_area_level_2')) admin2 = name;
+  }
+  const formatted = (first.formatted_address || '').split(',')[0]?.trim() || null;
+  return locality || sublocality || admin2 || formatted;
+}
+
+async function fetchDirectionsOverviewPolyline(startLat, startLng, endLat, endLng, waypoints = []) {
+  requireGoogleKey();
+  const waypointsParam = waypoints.length
+    ? `&waypoints=${encodeURIComponent(waypoints.map((w) => `${w.latitude},${w.longitude}`).join('|'))}`
+    : '';
+  const url =
+    `https://maps.googleapis.com/maps/api/directions/json?origin=${startLat},${startLng}&destination=${endLat},${endLng}${waypointsParam}&key=${GOOGLE_MAPS_API_KEY}`;
+  const data = await fetchJsonWithTimeout(url, 10000);
+  if (!data || data.status !== 'OK' || !Array.isArray(data.routes) || data.routes.length === 0) {
+    return null;
+  }
+  const route = data.routes[0] || {};
+  const poly = route.overview_polyline && route.overview_polyline.points;
+  return typeof poly === 'string' && poly.length > 0 ? poly : null;
+}
+
+/**
+ * Fills in what clients would otherwise ask Google for: place names for the
+ * start, end and checkpoints, the route polyline and the road distance.
+ * Only missing values are fetched. Works on races and race templates.
+ *
+ * @param {object} raceDoc - Race or RaceTemplate document (not saved).
+ * @throws {Error} When GOOGLE_MAPS_API_KEY is missing or Google fails.
+ */
+async function enrichRaceDerivedFields(raceDoc) {
+  // Place names
+  if (!raceDoc.startPoint?.address) {
+    const name = await reverseGeocodePlaceName(raceDoc.startPoint.latitude, raceDoc.startPoint.longitude);
+    if (name) raceDoc.startPoint.address = name;
+  }
+  if (!raceDoc.endPoint?.address) {
+    const name = await reverseGeocodePlaceName(raceDoc.endPoint.latitude, raceDoc.endPoint.longitude);
+    if (name) raceDoc.endPoint.address = name;
+  }
+  for (const checkpoint of raceDoc.checkpoints || []) {
+    if (checkpoint.address) continue;
+    const name = await reverseGeocodePlaceName(checkpoint.latitude, checkpoint.longitude);
+    if (name) checkpoint.address = name;
+  }
+
+  // Route polyline (through checkpoints, in order)
+  if (!raceDoc.routePolyline) {
+    const poly = await fetchDirectionsOverviewPolyline(
+      raceDoc.startPoint.latitude,
+      raceDoc.startPoint.longitude,
+      raceDoc.endPoint.latitude,
+      raceDoc.endPoint.longitude,
+      raceDoc.checkpoints || [],
+    );
+    if (poly) raceDoc.routePolyline = poly;
+  }
+
+  // Road distance along the route (older races only have the polyline)
+  if (raceDoc.routePolyline && !raceDoc.routeDistanceKm) {
+    raceDoc.refreshRouteDistance();
+  }
+}
+
+module.exports = {
+  reverseGeocodePlaceName,
+  fetchDirectionsOverviewPolyline,
+  enrichRaceDerivedFields,
+};
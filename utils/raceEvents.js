@@ -0,0 +1,39 @@
+const { EventEmitter } = require('events');
+
+// In-process pub/sub for live race updates (consumed by the SSE stream in
+// routes/races.js). Subscribers only see events published by this server
+// instance.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+function channel(raceId) {
+  return `race:${raceId.toString()}`;
+}
+
+/**
+ * Publishes an event to everyone subscribed to a race.
+ *
+ * @param {string|ObjectId} raceId
+ * @param {string} type - Event name, e.g. 'leaderboard' or 'finishState'.
+ * @param {object} data - JSON-serializable payload.
+ */
+function publishRaceEvent(raceId, type, data) {
+  if (!raceId) return;
+  emitter.emit(channel(raceId), { type, data, at: new Date().toISOString() });
+}
+
+/**
+ * Subscribes to a race's events.
+ *
+ * @returns {Function} unsubscribe
+ */
+function subscribeToRace(raceId, listener) {
+  const name = channel(raceId);
+  emitter.on(name, listener);
+  return () => emitter.off(name, listener);
+}
+
+module.exports = {
+  publishRaceEvent,
+  subscribeToRace,
+};
@@ -0,0 +1,394 @@
+// Winner arbitration for races: picks the winner (and winning team) per
+// race format and moves finishResolution from provisional to final.
+// Shared by the race routes and the background jobs.
+
+const { publishRaceEvent } = require('./raceEvents');
+const { notifyRaceWinnerFinalized } = require('./notifications');
+const { toDayKey } = require('./timeZones');
+
+const FINISH_CONFIRMATION_WINDOW_MS = Number(
+  process.env.FINISH_CONFIRMATION_WINDOW_MS || 90_000,
+);
+const RACE_FORMATS = ['point_to_point', 'max_distance', 'daily_streak'];
+
+// Day key (YYYY-MM-DD) of a date. Instants are bucketed in the given time
+// zone (the user's); stored dailyDistances dates are UTC midnight of their
+// key, so read those without one.
+function asIsoDayString(dateLike, timeZone = 'UTC') {
+  return toDayKey(dateLike, timeZone);
+}
+
+function asUserId(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'object' && value._id) return value._id.toString();
+  if (typeof value.toString === 'function') return value.toString();
+  return '';
+}
+
+function pickEarliestCompletedParticipant(race) {
+  let earliest = null;
+  for (const participant of race.participants || []) {
+    // Withdrawn finishers keep completedAt but no longer count.
+    if (participant.status === 'withdrawn') continue;
+    if (participant.status !== 'completed' || !participant.completedAt) continue;
+    if (!earliest) {
+      earliest = participant;
+      continue;
+    }
+
+    const currentMs = new Date(participant.completedAt).getTime();
+    const earliestMs = new Date(earliest.completedAt).getTime();
+    if (currentMs < earliestMs) {
+      earliest = participant;
+      continue;
+    }
+
+    if (currentMs === earliestMs) {
+      const currentUserId = asUserId(participant.user);
+      const earliestUserId = asUserId(earliest.user);
+      if (currentUserId && earliestUserId && currentUserId < earliestUserId) {
+        earliest = participant;
+      }
+    }
+  }
+  return earliest;
+}
+
+// Daily entries that fall inside the race window (by ISO day).
+function dailyDistancesInRaceWindow(race, participant) {
+  const fromKey = asIsoDayString(race.startDate);
+  const toKey = asIsoDayString(race.endDate);
+  return (participant.dailyDistances || []).filter((d) => {
+    const key = asIsoDayString(d.date);
+    return key && key >= fromKey && key <= toKey;
+  });
+}
+
+function scoreParticipantForFormat(race, participant) {
+  const days = dailyDistancesInRaceWindow(race, participant);
+  const threshold = Number(race.streakThresholdKm || 0);
+  return {
+    km: days.reduce((sum, d) => sum + Number(d.distance || 0), 0),
+    qualifyingDays: days.filter((d) => Number(d.distance || 0) >= threshold && Number(d.distance || 0) > 0).length,
+  };
+}
+
+// Time-boxed formats have no finish line: the best score at endDate wins.
+function pickTimeBoxedWinner(race, now) {
+  if (now.getTime() < new Date(race.endDate).getTime()) return null;
+
+  const primary = race.format === 'daily_streak' ? 'qualifyingDays' : 'km';
+  let best = null;
+  let bestScore = null;
+  for (const participant of race.participants || []) {
+    if (participant.status === 'withdrawn') continue;
+    const score = scoreParticipantForFormat(race, participant);
+    if (!(score[primary] > 0)) continue;
+
+    if (!best) {
+      best = participant;
+      bestScore = score;
+      continue;
+    }
+    if (score[primary] !== bestScore[primary]) {
+      if (score[primary] > bestScore[primary]) {
+        best = participant;
+        bestScore = score;
+      }
+      continue;
+    }
+    if (score.km !== bestScore.km) {
+      if (score.km > bestScore.km) {
+        best = participant;
+        bestScore = score;
+      }
+      continue;
+    }
+    const currentUserId = asUserId(participant.user);
+    const bestUserId = asUserId(best.user);
+    if (currentUserId && bestUserId && currentUserId < bestUserId) {
+      best = participant;
+      bestScore = score;
+    }
+  }
+
+  return best ? { participant: best, at: new Date(race.endDate) } : null;
+}
+
+// Resolves the current winner according to race.format.
+function pickRaceWinner(race, now = new Date()) {
+  switch (race.format) {
+    case 'max_distance':
+    case 'daily_streak':
+      return pickTimeBoxedWinner(race, now);
+    default: {
+      const earliest = pickEarliestCompletedParticipant(race);
+      return earliest ? { participant: earliest, at: new Date(earliest.completedAt) } : null;
+    }
+  }
+}
+
+function teamMembers(race, team) {
+  return (race.participants || []).filter(
+    (p) => p.team && p.team.toString() === team._id.toString() && p.status !== 'withdrawn',
+  );
+}
+
+// Team winner: first team to cover the route together (point_to_point), or
+// the best combined score at endDate (time-boxed formats).
+function pickWinningTeam(race, now = new Date()) {
+  let best = null;
+  let bestScore = null;
+
+  if (race.format === 'max_distance' || race.format === 'daily_streak') {
+    if (now.getTime() < new Date(race.endDate).getTime()) return null;
+    const primary = race.format === 'daily_streak' ? 'qualifyingDays' : 'km';
+
+    for (const team of race.teams || []) {
+      const score = { km: 0, qualifyingDays: 0 };
+      for (const member of teamMembers(race, team)) {
+        const memberScore = scoreParticipantForFormat(race, member);
+        score.km += memberScore.km;
+        score.qualifyingDays += memberScore.qualifyingDays;
+      }
+      if (!(score[primary] > 0)) continue;
+
+      const better = !best ||
+        score[primary] > bestScore[primary] ||
+        (score[primary] === bestScore[primary] && score.km > bestScore.km) ||
+        (score[primary] === bestScore[primary] && score.km === bestScore.km &&
+          team._id.toString() < best._id.toString());
+      if (better) {
+        best = team;
+        bestScore = score;
+      }
+    }
+    return best ? { team: best, at: new Date(race.endDate) } : null;
+  }
+
+  for (const team of race.teams || []) {
+    if (!team.completedAt) continue;
+    const ms = new Date(team.completedAt).getTime();
+    const bestMs = best ? new Date(best.completedAt).getTime() : null;
+    if (!best || ms < bestMs || (ms === bestMs && team._id.toString() < best._id.toString())) {
+      best = team;
+    }
+  }
+  return best ? { team: best, at: new Date(best.completedAt) } : null;
+}
+
+function buildTeamFinishStatePayload(race) {
+  const resolution = race.teamResolution || {};
+  const finalTeamId = asUserId(resolution.finalTeam);
+  const provisionalTeamId = asUserId(resolution.provisionalTeam);
+
+  return {
+    status: finalTeamId ? 'final' : provisionalTeamId ? 'provisional' : 'none',
+    winningTeamId: finalTeamId || provisionalTeamId || null,
+    provisionalTeamId: provisionalTeamId || null,
+    provisionalAt: resolution.provisionalAt || null,
+    confirmationWindowEndsAt: resolution.confirmationWindowEndsAt || null,
+    finalTeamId: finalTeamId || null,
+    finalizedAt: resolution.finalizedAt || null,
+  };
+}
+
+function buildFinishStatePayload(race) {
+  const resolution = race.finishResolution || {};
+  const finalWinnerUserId = asUserId(resolution.finalWinner);
+  const provisionalWinnerUserId = asUserId(resolution.provisionalWinner);
+  const status = finalWinnerUserId
+    ? 'final'
+    : provisionalWinnerUserId
+      ? 'provisional'
+      : 'none';
+
+  const format = race.format || 'point_to_point';
+
+  return {
+    status,
+    format,
+    resolvesAt: format === 'point_to_point' ? null : race.endDate || null,
+    winnerUserId: finalWinnerUserId || provisionalWinnerUserId || null,
+    provisionalWinnerUserId: provisionalWinnerUserId || null,
+    provisionalAt: resolution.provisionalAt || null,
+    confirmationWindowEndsAt: resolution.confirmationWindowEndsAt || null,
+    finalWinnerUserId: finalWinnerUserId || null,
+    finalizedAt: resolution.finalizedAt || null,
+    confirmationWindowMs: FINISH_CONFIRMATION_WINDOW_MS,
+    team: (race.teams || []).length > 0 ? buildTeamFinishStatePayload(race) : null,
+  };
+}
+
+const WINNER_KEYS = { provisional: 'provisionalWinner', final: 'finalWinner' };
+const TEAM_WINNER_KEYS = { provisional: 'provisionalTeam', final: 'finalTeam' };
+
+// Moves a resolution (finishResolution or teamResolution) towards
+// `candidate` ({ id, at } or null): provisional first, final once the
+// confirmation window has passed. Returns true when anything changed.
+function advanceResolution(resolution, keys, candidate, now) {
+  const nowMs = now.getTime();
+  let changed = false;
+
+  if (!candidate) {
+    if (
+      resolution[keys.provisional] ||
+      resolution.provisionalAt ||
+      resolution.confirmationWindowEndsAt ||
+      resolution[keys.final] ||
+      resolution.finalizedAt
+    ) {
+      resolution[keys.provisional] = null;
+      resolution.provisionalAt = null;
+      resolution.confirmationWindowEndsAt = null;
+      resolution[keys.final] = null;
+      resolution.finalizedAt = null;
+      changed = true;
+    }
+    return changed;
+  }
+
+  const winnerId = asUserId(candidate.id);
+  const winnerAt = candidate.at;
+  const provisionalId = asUserId(resolution[keys.provisional]);
+  const finalId = asUserId(resolution[keys.final]);
+
+  // If historical data changed and final winner is no longer the format's
+  // winner, reopen arbitration and resolve again.
+  if (finalId && finalId !== winnerId) {
+    resolution[keys.final] = null;
+    resolution.finalizedAt = null;
+    changed = true;
+  }
+
+  if (provisionalId !== winnerId) {
+    resolution[keys.provisional] = candidate.id;
+    resolution.provisionalAt = winnerAt;
+    resolution.confirmationWindowEndsAt = new Date(
+      nowMs + FINISH_CONFIRMATION_WINDOW_MS,
+    );
+    resolution[keys.final] = null;
+    resolution.finalizedAt = null;
+    changed = true;
+  } else {
+    const provisionalAtMs = resolution.provisionalAt
+      ? new Date(resolution.provisionalAt).getTime()
+      : 0;
+    if (provisionalAtMs !== winnerAt.getTime()) {
+      resolution.provisionalAt = winnerAt;
+      changed = true;
+    }
+    if (!resolution.confirmationWindowEndsAt) {
+      resolution.confirmationWindowEndsAt = new Date(
+        nowMs + FINISH_CONFIRMATION_WINDOW_MS,
+      );
+      changed = true;
+    }
+  }
+
+  if (
+    !resolution[keys.final] &&
+    resolution.confirmationWindowEndsAt &&
+    nowMs >= new Date(resolution.confirmationWindowEndsAt).getTime()
+  ) {
+    resolution[keys.final] = candidate.id;
+    resolution.finalizedAt = now;
+    changed = true;
+  }
+
+  return changed;
+}
+
+function finishStateKey(finishState) {
+  return [
+    finishState.status,
+    finishState.winnerUserId,
+    finishState.team ? finishState.team.status : '',
+    finishState.team ? finishState.team.winningTeamId : '',
+  ].join('|');
+}
+
+function refreshFinishResolution(race, now = new Date()) {
+  const previousKey = finishStateKey(buildFinishStatePayload(race));
+  const resolution = race.finishResolution || {};
+  const winner = pickRaceWinner(race, now);
+  let changed = advanceResolution(
+    resolution,
+    WINNER_KEYS,
+    winner && { id: winner.participant.user, at: winner.at },
+    now,
+  );
+  race.finishResolution = resolution;
+
+  if ((race.teams || []).length > 0) {
+    const teamResolution = race.teamResolution || {};
+    const winningTeam = pickWinningTeam(race, now);
+    changed = advanceResolution(
+      teamResolution,
+      TEAM_WINNER_KEYS,
+      winningTeam && { id: winningTeam.team._id, at: winningTeam.at },
+      now,
+    ) || changed;
+    race.teamResolution = teamResolution;
+  }
+
+  const finishState = buildFinishStatePayload(race);
+  // Provisional -> final (and winner) transitions for live subscribers and
+  // the winner, held back until the caller saved the race (see
+  // runFinishEffects) so a failed save announces nothing.
+  const effects = [];
+  if (changed && finishStateKey(finishState) !== previousKey) {
+    effects.push(() => publishRaceEvent(race._id, 'finishState', finishState));
+
+    if (finishState.finalWinnerUserId) {
+      // Deduped per race/winner, so a repeated transition is harmless.
+      // Finish and win XP are granted by the finalize-winners job.
+      effects.push(() => notifyRaceWinnerFinalized(race, finishState.finalWinnerUserId).catch((error) => {
+        console.warn('⚠️  [RACES] Winner notifications failed:', error.message);
+      }));
+    }
+  }
+
+  return { changed, finishState, effects };
+}
+
+// Runs the effects refreshFinishResolution returned. Call once the race is
+// saved (after the transaction commits, when there is one).
+function runFinishEffects(effects = []) {
+  for (const effect of effects) effect();
+}
+
+async function syncFinishResolution(race, now = new Date()) {
+  const result = refreshFinishResolution(race, now);
+  if (result.changed) {
+    await race.save();
+    runFinishEffects(result.effects);
+  }
+  return result.finishState;
+}
+
+async function syncFinishResolutionForRaces(races, now = new Date()) {
+  for (const race of races) {
+    const result = refreshFinishResolution(race, now);
+    if (result.changed) {
+      await race.save();
+      runFinishEffects(result.effects);
+    }
+  }
+}
+
+module.exports = {
+  FINISH_CONFIRMATION_WINDOW_MS,
+  RACE_FORMATS,
+  asUserId,
+  asIsoDayString,
+  scoreParticipantForFormat,
+  pickRaceWinner,
+  pickWinningTeam,
+  buildFinishStatePayload,
+  refreshFinishResolution,
+  runFinishEffects,
+  syncFinishResolution,
+  syncFinishResolutionForRaces,
+};
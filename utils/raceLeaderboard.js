@@ -0,0 +1,279 @@
+// Per-race leaderboards: individual and team rankings, route positions and
+// checkpoint splits, plus live leaderboard deltas.
+
+const { decodePolyline, pathDistanceKm, pointAlongPath } = require('./geo');
+const { scoreParticipantForFormat } = require('./raceFinish');
+const { publishRaceEvent } = require('./raceEvents');
+
+// Decoded route used to place participants on the map. Falls back to the
+// straight start -> end segment when the race has no polyline.
+function buildRouteGeometry(race) {
+  let points = decodePolyline(race.routePolyline);
+  if (points.length < 2) {
+    points = [race.startPoint, race.endPoint]
+      .filter((pt) => pt && Number.isFinite(pt.latitude) && Number.isFinite(pt.longitude))
+      .map((pt) => ({ latitude: pt.latitude, longitude: pt.longitude }));
+  }
+  const lengthKm = pathDistanceKm(points);
+
+  return {
+    points,
+    lengthKm,
+    waypoints: [
+      { name: race.startPoint?.address || 'Start', distanceKm: 0 },
+      ...(race.checkpoints || []).map((checkpoint, index) => ({
+        name: checkpoint.address || `Checkpoint ${index + 1}`,
+        distanceKm: Number(checkpoint.distanceKm || 0),
+      })),
+      { name: race.endPoint?.address || 'Finish', distanceKm: lengthKm },
+    ],
+  };
+}
+
+function locateOnRoute(route, totalDistance, raceDistance) {
+  const safeRaceDistance = Number(raceDistance || 0);
+  const progress =
+    safeRaceDistance > 0
+      ? Math.min(Math.max(Number(totalDistance || 0) / safeRaceDistance, 0), 1)
+      : 0;
+  // Scale by progress so the marker agrees with the leaderboard ratio even
+  // when raceDistance is not measured on the decoded path itself.
+  const alongKm = progress * route.lengthKm;
+  const point = pointAlongPath(route.points, alongKm);
+
+  let nearestWaypoint = null;
+  for (const waypoint of route.waypoints) {
+    if (
+      !nearestWaypoint ||
+      Math.abs(waypoint.distanceKm - alongKm) < Math.abs(nearestWaypoint.distanceKm - alongKm)
+    ) {
+      nearestWaypoint = waypoint;
+    }
+  }
+
+  return {
+    virtualLocation: point
+      ? {
+          latitude: Number(point.latitude.toFixed(6)),
+          longitude: Number(point.longitude.toFixed(6)),
+        }
+      : null,
+    nearestWaypointName: nearestWaypoint ? nearestWaypoint.name : null,
+  };
+}
+
+function toRaceLeaderboardEntry(participant, raceDistance, route) {
+  const userDoc =
+    participant.user && typeof participant.user === 'object'
+      ? participant.user
+      : null;
+  const rawUserId = userDoc?._id || participant.user;
+  const userId = rawUserId ? rawUserId.toString() : '';
+  const totalDistance = Number(participant.totalDistance || 0);
+  const safeRaceDistance = Number(raceDistance || 0);
+  const progress =
+    safeRaceDistance > 0
+      ? Math.min(Math.max(totalDistance / safeRaceDistance, 0), 1)
+      : 0;
+
+  return {
+    userId,
+    user: participant.user,
+    name: (userDoc && (userDoc.name || userDoc.nickname || userDoc.email)) || 'Participant',
+    totalDistance,
+    progress: Number(progress.toFixed(4)),
+    distanceRemaining: Number(Math.max(0, safeRaceDistance - totalDistance).toFixed(3)),
+    ...locateOnRoute(route, totalDistance, safeRaceDistance),
+    status: participant.status,
+    completedAt: participant.completedAt || null,
+    joinedAt: participant.joinedAt || null,
+    dailyDistances: participant.dailyDistances || [],
+  };
+}
+
+// Per-checkpoint split times, measured from when the participant could
+// start running (race start or their join, whichever is later).
+function buildCheckpointSplits(race, participant) {
+  const reachedById = new Map(
+    (participant.checkpointsReached || []).map((r) => [r.checkpoint.toString(), r.reachedAt]),
+  );
+  const startMs = Math.max(
+    race.startDate ? new Date(race.startDate).getTime() : 0,
+    participant.joinedAt ? new Date(participant.joinedAt).getTime() : 0,
+  );
+
+  let previousMs = startMs;
+  return (race.checkpoints || []).map((checkpoint, index) => {
+    const reachedAt = reachedById.get(checkpoint._id.toString()) || null;
+    const reachedMs = reachedAt ? new Date(reachedAt).getTime() : null;
+    const split = {
+      checkpointId: checkpoint._id.toString(),
+      index,
+      name: checkpoint.address || `Checkpoint ${index + 1}`,
+      distanceKm: Number(checkpoint.distanceKm || 0),
+      reachedAt,
+      elapsedMs: reachedMs != null ? Math.max(0, reachedMs - startMs) : null,
+      splitMs: reachedMs != null ? Math.max(0, reachedMs - previousMs) : null,
+    };
+    if (reachedMs != null) previousMs = reachedMs;
+    return split;
+  });
+}
+
+function compareRaceLeaderboardEntries(a, b) {
+  if (b.totalDistance !== a.totalDistance) {
+    return b.totalDistance - a.totalDistance;
+  }
+
+  const aCompleted = a.status === 'completed';
+  const bCompleted = b.status === 'completed';
+  if (aCompleted !== bCompleted) {
+    return aCompleted ? -1 : 1;
+  }
+
+  const aCompletedAt = a.completedAt ? new Date(a.completedAt).getTime() : Number.POSITIVE_INFINITY;
+  const bCompletedAt = b.completedAt ? new Date(b.completedAt).getTime() : Number.POSITIVE_INFINITY;
+  if (aCompletedAt !== bCompletedAt) {
+    return aCompletedAt - bCompletedAt;
+  }
+
+  const aJoinedAt = a.joinedAt ? new Date(a.joinedAt).getTime() : Number.POSITIVE_INFINITY;
+  const bJoinedAt = b.joinedAt ? new Date(b.joinedAt).getTime() : Number.POSITIVE_INFINITY;
+  if (aJoinedAt !== bJoinedAt) {
+    return aJoinedAt - bJoinedAt;
+  }
+
+  return (a.name || '').localeCompare(b.name || '');
+}
+
+function buildRaceLeaderboard(race) {
+  const raceDistance = race.calculateRaceDistance();
+  const route = buildRouteGeometry(race);
+  const isStreak = race.format === 'daily_streak';
+  const teamNames = new Map((race.teams || []).map((t) => [t._id.toString(), t.name]));
+  // Participants who left are not ranked.
+  const entries = (race.participants || [])
+    .filter((participant) => participant.status !== 'withdrawn')
+    .map((participant) => ({
+      ...toRaceLeaderboardEntry(participant, raceDistance, route),
+      teamId: participant.team ? participant.team.toString() : null,
+      teamName: participant.team ? teamNames.get(participant.team.toString()) || null : null,
+      checkpointSplits: buildCheckpointSplits(race, participant),
+      ...(isStreak && {
+        qualifyingDays: scoreParticipantForFormat(race, participant).qualifyingDays,
+      }),
+    }))
+    .sort((a, b) => {
+      if (isStreak && b.qualifyingDays !== a.qualifyingDays) {
+        return b.qualifyingDays - a.qualifyingDays;
+      }
+      return compareRaceLeaderboardEntries(a, b);
+    })
+    .map((entry, index) => ({
+      ...entry,
+      position: index + 1,
+    }));
+
+  return {
+    raceDistance,
+    leaderboard: entries,
+    teamLeaderboard: buildTeamLeaderboard(race, entries, raceDistance),
+  };
+}
+
+// Publishes the leaderboard entries that moved since `before` (a previous
+// buildRaceLeaderboard(race).leaderboard) to live subscribers, and returns
+// the current leaderboard.
+function publishLeaderboardDelta(race, before) {
+  const { raceDistance, leaderboard, teamLeaderboard } = buildRaceLeaderboard(race);
+  const previous = new Map((before || []).map((entry) => [entry.userId, entry]));
+
+  const changes = leaderboard
+    .filter((entry) => {
+      const prev = previous.get(entry.userId);
+      return !prev ||
+        prev.position !== entry.position ||
+        prev.totalDistance !== entry.totalDistance ||
+        prev.status !== entry.status;
+    })
+    .map((entry) => ({
+      userId: entry.userId,
+      position: entry.position,
+      previousPosition: previous.get(entry.userId)?.position || null,
+      totalDistance: entry.totalDistance,
+      progress: entry.progress,
+      distanceRemaining: entry.distanceRemaining,
+      virtualLocation: entry.virtualLocation,
+      nearestWaypointName: entry.nearestWaypointName,
+      status: entry.status,
+      completedAt: entry.completedAt,
+      teamId: entry.teamId,
+    }));
+
+  const current = new Set(leaderboard.map((entry) => entry.userId));
+  const removedUserIds = [...previous.keys()].filter((userId) => !current.has(userId));
+
+  if (changes.length || removedUserIds.length) {
+    publishRaceEvent(race._id, 'leaderboard', {
+      raceId: race._id.toString(),
+      raceDistance,
+      changes,
+      removedUserIds,
+      teamLeaderboard,
+    });
+  }
+  return leaderboard;
+}
+
+// Team totals and rankings, aggregated from the individual leaderboard entries.
+function buildTeamLeaderboard(race, entries, raceDistance) {
+  if (!(race.teams || []).length) return [];
+
+  const safeRaceDistance = Number(raceDistance || 0);
+  const isStreak = race.format === 'daily_streak';
+  return race.teams
+    .map((team) => {
+      const teamId = team._id.toString();
+      const members = entries.filter((e) => e.teamId === teamId && e.status !== 'withdrawn');
+      const totalDistance = members.reduce((sum, e) => sum + e.totalDistance, 0);
+      const progress =
+        safeRaceDistance > 0 ? Math.min(Math.max(totalDistance / safeRaceDistance, 0), 1) : 0;
+
+      return {
+        teamId,
+        name: team.name,
+        maxMembers: team.maxMembers || null,
+        membersCount: members.length,
+        memberUserIds: members.map((e) => e.userId),
+        totalDistance: Number(totalDistance.toFixed(3)),
+        averageDistance: Number((members.length ? totalDistance / members.length : 0).toFixed(3)),
+        progress: Number(progress.toFixed(4)),
+        ...(isStreak && {
+          qualifyingDays: members.reduce((sum, e) => sum + (e.qualifyingDays || 0), 0),
+        }),
+        completedAt: team.completedAt || null,
+      };
+    })
+    .sort((a, b) => {
+      if (isStreak && b.qualifyingDays !== a.qualifyingDays) {
+        return b.qualifyingDays - a.qualifyingDays;
+      }
+      if (b.totalDistance !== a.totalDistance) return b.totalDistance - a.totalDistance;
+      const aCompletedAt = a.completedAt ? new Date(a.completedAt).getTime() : Number.POSITIVE_INFINITY;
+      const bCompletedAt = b.completedAt ? new Date(b.completedAt).getTime() : Number.POSITIVE_INFINITY;
+      if (aCompletedAt !== bCompletedAt) return aCompletedAt - bCompletedAt;
+      return (a.name || '').localeCompare(b.name || '');
+    })
+    .map((team, index) => ({
+      ...team,
+      position: index + 1,
+    }));
+}
+
+module.exports = {
+  buildRouteGeometry,
+  locateOnRoute,
+  buildRaceLeaderboard,
+  buildTeamLeaderboard,
+  publishLeaderboardDelta,
+};
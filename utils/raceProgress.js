@@ -0,0 +1,770 @@
+// Applies per-day distance totals to a user's race participation: picks the
+// race, screens the days for plausibility, merges them, resolves the finish
+// and credits the user's lifetime km/XP. Used by Health sync and activity
+// ingestion. Race progress and lifetime totals are written in one
+// transaction (see utils/transactions.js); leaderboard updates and
+// notifications go out once it has committed.
+
+const Race = require('../models/Race');
+const { ACTIVITY_TYPES } = require('../models/Activity');
+const User = require('../models/User');
+const HealthSyncFlag = require('../models/HealthSyncFlag');
+const RaceAudit = require('../models/RaceAudit');
+const { asIsoDayString, refreshFinishResolution, runFinishEffects } = require('./raceFinish');
+const { buildRaceLeaderboard, publishLeaderboardDelta } = require('./raceLeaderboard');
+const { notifyOvertaken } = require('./notifications');
+const {
+  resolvePlausibilityRules,
+  jumpWindowStart,
+  screenHealthDays,
+  screeningKey,
+} = require('./plausibility');
+const { runInTransaction } = require('./transactions');
+const {
+  levelFromXp,
+  progressionFromXp,
+  xpForKm,
+  kmGrant,
+  raceFinishGrant,
+  streakGrants,
+  streakRevocations,
+  recordXp,
+  kmGainedSince,
+  ledgerTotals,
+} = require('./progression');
+const {
+  DEFAULT_SYNC_SOURCE,
+  resolveMergePolicy,
+  sourceKm,
+  combineSources,
+  daySources,
+  findSource,
+  recordSourceValue,
+  correctSourceValue,
+  previewSourceValue,
+} = require('./syncSources');
+
+function getParticipant(race, userId) {
+  return race.participants.find(
+    (p) => p.user.toString() === userId.toString(),
+  );
+}
+
+// Raw km per activity type for a stored day. Days stored before activity
+// types existed count as running.
+function dayActivities(entry) {
+  const activities = {};
+  let total = 0;
+  for (const type of ACTIVITY_TYPES) {
+    activities[type] = Number(entry?.activities?.[type] || 0);
+    total += activities[type];
+  }
+  if (total === 0 && Number(entry?.distance || 0) > 0) {
+    activities.run = Number(entry.distance);
+  }
+  return activities;
+}
+
+function findDayEntry(participant, dayKey) {
+  return (participant.dailyDistances || []).find((entry) => asIsoDayString(entry.date) === dayKey) || null;
+}
+
+// Recombines a day from its sources and re-credits it from the race's
+// allowed types and multipliers. Returns the change in credited and raw km.
+function refreshDayEntry(race, entry, sources, merge, storedActivities) {
+  const activities = combineSources(sources, merge);
+  let rawDeltaKm = 0;
+  for (const type of ACTIVITY_TYPES) {
+    rawDeltaKm += activities[type] - storedActivities[type];
+  }
+  entry.activities = activities;
+
+  const oldDistance = Number(entry.distance || 0);
+  entry.distance = race.creditedDayDistance(activities);
+  return { deltaKm: entry.distance - oldDistance, rawDeltaKm };
+}
+
+// Merges one source's per-day, per-type totals ([{ dayKey, activityType,
+// distanceKm }]) into a participant (a source's day never moves backwards),
+// recombines each day by the merge policy (see utils/syncSources.js), then
+// recomputes totalDistance, checkpoints and completion.
+// Returns { deltaKm, rawDeltaKm }: km gained in the race, and raw km gained
+// across all activity types (what the user's lifetime totals count). Both
+// can be negative when a preferred source reports less than another.
+function applyDailyDistances(race, participant, days, now = new Date(), options = {}) {
+  const {
+    source = DEFAULT_SYNC_SOURCE,
+    syncId = null,
+    merge = resolveMergePolicy(null),
+  } = options;
+
+  const existingByDay = new Map();
+  for (const entry of participant.dailyDistances || []) {
+    const key = asIsoDayString(entry.date);
+    if (!key) continue;
+    existingByDay.set(key, entry);
+  }
+
+  let deltaKm = 0;
+  let rawDeltaKm = 0;
+  for (const { dayKey, activityType = 'run', distanceKm } of days) {
+    let entry = existingByDay.get(dayKey);
+    if (!entry) {
+      participant.dailyDistances.push({ date: new Date(dayKey), distance: 0 });
+      entry = participant.dailyDistances[participant.dailyDistances.length - 1];
+      existingByDay.set(dayKey, entry);
+    }
+
+    const storedActivities = dayActivities(entry);
+    const sources = daySources(entry, storedActivities);
+    recordSourceValue(sources, { source, activityType, km: distanceKm, syncId, now });
+    const change = refreshDayEntry(race, entry, sources, merge, storedActivities);
+    deltaKm += change.deltaKm;
+    rawDeltaKm += change.rawDeltaKm;
+  }
+
+  // Recompute participant totalDistance from entries (safe).
+  participant.totalDistance = Number(
+    (participant.dailyDistances || []).reduce((sum, d) => sum + Number(d.distance || 0), 0),
+  );
+
+  race.recordCheckpointsReached(participant, now);
+
+  // Completion check.
+  race.checkParticipantCompletion(participant, now);
+  race.checkTeamCompletion(now);
+
+  return { deltaKm, rawDeltaKm };
+}
+
+// Adds km to the user's lifetime totals (takes them off for a negative
+// delta, e.g. after a correction) with their km XP, plus any other XP
+// `grants` the change earned (see utils/progression.js). `syncedAt` also
+// records the Health sync time (set it only for real syncs), even when
+// nothing else changed. Pass the session of the transaction that changed
+// the race days. `progression` is null when no XP moved.
+async function creditUserDistance(userId, deltaKm, { syncedAt = null, session = null, grants = [] } = {}) {
+  if (deltaKm === 0 && grants.length === 0 && !syncedAt) {
+    return { progression: null, lastHealthSyncAt: null };
+  }
+  const user = await User.findById(userId)
+    .select('totalKmLifetime totalXp level lastHealthSyncAt')
+    .session(session);
+  if (!user) {
+    return { progression: null, lastHealthSyncAt: null };
+  }
+
+  let granted = 0;
+  if (deltaKm !== 0) {
+    const kmBefore = Number(user.totalKmLifetime || 0);
+    user.totalKmLifetime = Number(Math.max(0, kmBefore + deltaKm).toFixed(2));
+    if (await recordXp(user, kmGrant(kmBefore, user.totalKmLifetime), { session })) granted += 1;
+  }
+  for (const grant of grants) {
+    if (await recordXp(user, grant, { session })) granted += 1;
+  }
+  if (syncedAt) user.lastHealthSyncAt = syncedAt;
+  await user.save();
+
+  return {
+    progression: deltaKm !== 0 || granted > 0 ? progressionFromXp(user.totalXp) : null,
+    lastHealthSyncAt: user.lastHealthSyncAt || null,
+  };
+}
+
+// Stores suspicious days as pending HealthSyncFlag records (one pending
+// flag per race/user/day/activity type/source; a re-sync updates it). Days
+// whose exact value was already rejected are dropped silently.
+async function quarantineHealthDays(race, userId, suspicious, { source = DEFAULT_SYNC_SOURCE, session = null } = {}) {
+  const flagged = [];
+  for (const day of suspicious) {
+    const rejected = await HealthSyncFlag.findOne({
+      race: race._id,
+      user: userId,
+      day: day.dayKey,
+      activityType: day.activityType,
+      source,
+      status: 'rejected',
+      distanceKm: day.distanceKm,
+    }).session(session);
+    if (rejected) continue;
+
+    const flag = await HealthSyncFlag.findOneAndUpdate(
+      { race: race._id, user: userId, day: day.dayKey, activityType: day.activityType, source, status: 'pending' },
+      {
+        $set: {
+          distanceKm: day.distanceKm,
+          previousDistanceKm: day.previousDistanceKm,
+          reasons: day.reasons,
+        },
+      },
+      { upsert: true, new: true, session },
+    );
+    flagged.push({
+      flagId: flag._id.toString(),
+      date: day.dayKey,
+      activityType: day.activityType,
+      source,
+      distanceKm: day.distanceKm,
+      reasons: day.reasons,
+    });
+  }
+
+  if (flagged.length) {
+    console.log(`🚩 [RACES] ${flagged.length} Health day(s) quarantined for user ${userId} in race ${race._id}`);
+  }
+  return flagged;
+}
+
+// When true, users may be in several ongoing races at once and a sync is
+// credited to each of them.
+const MULTI_RACE_PARTICIPATION = process.env.MULTI_RACE_PARTICIPATION === 'true';
+
+// Highest raw km per day and activity type (screeningKey) across the
+// user's participations in `races`.
+function highestRawKm(races, userId) {
+  const out = new Map();
+  for (const race of races) {
+    const participant = getParticipant(race, userId);
+    for (const entry of participant?.dailyDistances || []) {
+      const dayKey = asIsoDayString(entry.date);
+      if (!dayKey) continue;
+      const activities = dayActivities(entry);
+      for (const activityType of ACTIVITY_TYPES) {
+        const key = screeningKey({ dayKey, activityType });
+        out.set(key, Math.max(out.get(key) || 0, activities[activityType]));
+      }
+    }
+  }
+  return out;
+}
+
+// Highest raw km per key across several highestRawKm maps.
+function highestOfRawKm(maps) {
+  const out = new Map();
+  for (const rawKm of maps) {
+    for (const [key, km] of rawKm) out.set(key, Math.max(out.get(key) || 0, km));
+  }
+  return out;
+}
+
+// Without a transaction (a standalone server, see utils/transactions.js) a
+// retried attempt finds the races an earlier attempt already saved. `saved`
+// keeps, per race, its raw km from before this call wrote it and what was
+// written, so the retry credits lifetime km and XP against what this call
+// found rather than its own partial writes, and still announces them.
+// This gives the user's raw km in `race` before this call wrote to it.
+function rawKmBeforeWrites(race, userId, saved) {
+  return saved.get(race._id.toString())?.rawBefore || highestRawKm([race], userId);
+}
+
+// Folds what an earlier attempt saved to `race` into this attempt's result
+// and remembers both for a further attempt. With a transaction (`session`)
+// nothing carries over: a retry starts from the rolled-back state.
+function carryResult(saved, race, rawBefore, result, session) {
+  if (session) return result;
+  const key = race._id.toString();
+  const earlier = saved.get(key)?.result;
+  const merged = earlier ? {
+    ...result,
+    deltaKm: earlier.deltaKm + result.deltaKm,
+    leaderboardBefore: earlier.leaderboardBefore,
+    finishEffects: [...earlier.finishEffects, ...result.finishEffects],
+    ...('finished' in result ? { finished: earlier.finished || result.finished } : {}),
+    ...('fromKm' in result ? { fromKm: earlier.fromKm } : {}),
+  } : result;
+  saved.set(key, { rawBefore, result: merged });
+  return merged;
+}
+
+// Raw km per day (all activity types) from a highestRawKm map.
+function rawKmByDay(rawKm) {
+  const out = new Map();
+  for (const [key, km] of rawKm) {
+    const dayKey = key.split(':')[0];
+    out.set(dayKey, (out.get(dayKey) || 0) + km);
+  }
+  return out;
+}
+
+// Signed change between two highestRawKm maps.
+function rawKmChange(before, after) {
+  let change = 0;
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    change += (after.get(key) || 0) - (before.get(key) || 0);
+  }
+  return change;
+}
+
+/**
+ * Races a sync is credited to, among races active right now (by date range,
+ * not stored status) where the user hasn't withdrawn:
+ * - `raceIds` given: those of them that are eligible;
+ * - multi-race participation enabled: all of them;
+ * - otherwise: the one the user joined most recently.
+ *
+ * @returns {Promise<Array>} Race documents.
+ */
+async function findSyncRaces(userId, now = new Date(), { raceIds = null, session = null } = {}) {
+  const query = {
+    startDate: { $lte: now },
+    endDate: { $gte: now },
+    participants: {
+      $elemMatch: {
+        user: userId,
+        status: { $ne: 'withdrawn' },
+      },
+    },
+  };
+  if (raceIds) {
+    query._id = { $in: raceIds };
+  }
+  const activeRaces = await Race.find(query).session(session);
+
+  if (raceIds || MULTI_RACE_PARTICIPATION) {
+    return activeRaces;
+  }
+
+  let selectedRace = null;
+  let latestJoinedAt = null;
+  for (const r of activeRaces) {
+    const p = getParticipant(r, userId);
+    if (!p) continue;
+    const joinedAt = p.joinedAt ? new Date(p.joinedAt) : null;
+    if (!joinedAt || Number.isNaN(joinedAt.getTime())) continue;
+    if (!latestJoinedAt || joinedAt > latestJoinedAt) {
+      latestJoinedAt = joinedAt;
+      selectedRace = r;
+    }
+  }
+  return selectedRace ? [selectedRace] : [];
+}
+
+// Screens and applies one source's day totals to one race, then saves it
+// (guarded by the participant's version). Returns { race, deltaKm,
+// finishState, flaggedDays, leaderboardBefore, finished }; `finished` is
+// true when the sync took the user across the finish.
+async function applyDayTotalsToRace(race, syncUser, days, now, { source, syncId, session }) {
+  const userId = syncUser._id;
+  const participant = getParticipant(race, userId);
+  const wasCompleted = participant.status === 'completed';
+  race.lockParticipant(participant);
+  const leaderboardBefore = buildRaceLeaderboard(race).leaderboard;
+  const merge = resolveMergePolicy(syncUser);
+
+  // Existing km per ISO day and activity type: raw, and as credited to the
+  // race. Plausibility checks run on what a day would credit once the
+  // source's value is merged in, so types the race ignores are never
+  // flagged. Suspicious days are quarantined, not applied.
+  const existingRaw = new Map();
+  const existingCredited = new Map();
+  for (const entry of participant.dailyDistances || []) {
+    const dayKey = asIsoDayString(entry.date);
+    if (!dayKey) continue;
+    const activities = dayActivities(entry);
+    for (const activityType of ACTIVITY_TYPES) {
+      const key = screeningKey({ dayKey, activityType });
+      existingRaw.set(key, activities[activityType]);
+      existingCredited.set(key, race.creditedDistance(activityType, activities[activityType]));
+    }
+  }
+
+  const screened = days.map((day) => {
+    const activityType = day.activityType || 'run';
+    const entry = findDayEntry(participant, day.dayKey);
+    const mergedKm = previewSourceValue(entry, dayActivities(entry), {
+      source,
+      activityType,
+      km: day.distanceKm,
+    }, merge);
+    return {
+      ...day,
+      activityType,
+      sourceKm: day.distanceKm,
+      distanceKm: race.creditedDistance(activityType, mergedKm),
+    };
+  });
+  const toSourceDay = ({ sourceKm, ...day }) => ({ ...day, distanceKm: sourceKm });
+
+  const rules = resolvePlausibilityRules(race);
+  const { accepted, suspicious } = screenHealthDays({
+    race,
+    participant,
+    days: screened,
+    existingByDay: existingCredited,
+    recentGainKm: await kmGainedSince(userId, jumpWindowStart(rules, now), { session }),
+    now,
+    rules,
+    timeZone: syncUser.timeZone || 'UTC',
+  });
+  const flaggedDays = await quarantineHealthDays(race, userId, suspicious.map((day) => ({
+    ...toSourceDay(day),
+    previousDistanceKm: Number(existingRaw.get(screeningKey(day)) || 0),
+  })), { source, session });
+
+  const { deltaKm } = applyDailyDistances(race, participant, accepted.map(toSourceDay), now, {
+    source,
+    syncId,
+    merge,
+  });
+
+  const { finishState, effects: finishEffects } = refreshFinishResolution(race, now);
+  await race.save();
+
+  const finished = !wasCompleted && participant.status === 'completed';
+  return { race, deltaKm, finishState, finishEffects, flaggedDays, leaderboardBefore, finished };
+}
+
+// Publishes a committed race change: its finish-state transition, the
+// leaderboard and, when `syncUser` is given, tells the people they
+// overtook.
+async function announceRaceProgress({ race, deltaKm, leaderboardBefore, finishEffects }, userId, syncUser = null) {
+  runFinishEffects(finishEffects);
+  if (deltaKm === 0) return;
+  const leaderboardAfter = publishLeaderboardDelta(race, leaderboardBefore);
+  if (syncUser) {
+    await notifyOvertaken(race, userId, leaderboardBefore, leaderboardAfter, syncUser);
+  }
+}
+
+/**
+ * Applies one source's per-day, per-type totals ([{ dayKey, activityType,
+ * distanceKm }]) to the user's sync races (see findSyncRaces). Suspicious
+ * days are quarantined instead of applied. Pass `recordSync: false` for
+ * sources other than Health sync so they don't move lastHealthSyncAt.
+ *
+ * Lifetime km and XP are credited once per day and activity type, with the
+ * change of the highest raw value any of the races holds, so syncing the
+ * same days into several races doesn't count them twice.
+ *
+ * @param {string} userId
+ * @param {Array} days
+ * @param {object} [options]
+ * @param {string} [options.source] - Sync source id (see utils/syncSources.js).
+ * @param {string} [options.syncId] - Idempotency key of the request.
+ * @returns {Promise<object>} { applied, races: [{ race, deltaKm, finishState,
+ *   flaggedDays }], rawDeltaKm, progression, lastHealthSyncAt }.
+ *   `applied` is false when no race was eligible.
+ */
+async function syncDayTotals(userId, days, {
+  now = new Date(),
+  recordSync = true,
+  raceIds = null,
+  source = DEFAULT_SYNC_SOURCE,
+  syncId = null,
+} = {}) {
+  const saved = new Map();
+  const outcome = await runInTransaction(async (session) => {
+    const races = await findSyncRaces(userId, now, { raceIds, session });
+    if (races.length === 0) return null;
+
+    const syncUser = await User.findById(userId)
+      .select('lastHealthSyncAt timeZone healthSync name nickname email')
+      .session(session);
+    if (!syncUser) return null;
+
+    const rawBefores = races.map((race) => rawKmBeforeWrites(race, userId, saved));
+    const rawBefore = highestOfRawKm(rawBefores);
+    const results = [];
+    for (const [index, race] of races.entries()) {
+      const result = await applyDayTotalsToRace(race, syncUser, days, now, { source, syncId, session });
+      results.push(carryResult(saved, race, rawBefores[index], result, session));
+    }
+    const rawAfter = highestRawKm(races, userId);
+    const rawDeltaKm = rawKmChange(rawBefore, rawAfter);
+    const credited = await creditUserDistance(userId, rawDeltaKm, {
+      syncedAt: recordSync ? now : null,
+      session,
+      grants: [
+        ...results.filter((r) => r.finished).map((r) => raceFinishGrant(r.race)),
+        ...await streakGrants(userId, rawKmByDay(rawAfter), [...new Set(days.map((day) => day.dayKey))], { session }),
+      ],
+    });
+    return { syncUser, results, rawDeltaKm, ...credited };
+  }, { label: `sync for user ${userId}` });
+
+  if (!outcome) {
+    return { applied: false, races: [], rawDeltaKm: 0 };
+  }
+
+  const { syncUser, results, rawDeltaKm, progression, lastHealthSyncAt } = outcome;
+  for (const result of results) {
+    await announceRaceProgress(result, userId, syncUser);
+  }
+
+  return {
+    applied: true,
+    races: results.map(({ leaderboardBefore, finished, finishEffects, ...result }) => result),
+    rawDeltaKm,
+    progression,
+    lastHealthSyncAt,
+  };
+}
+
+/**
+ * Lowers what one source counts for a day and activity type, in each of the
+ * user's sync races holding a higher value from that source. Only
+ * downward: the correction is refused when no race has a higher value, and
+ * for races the user already finished. Takes the km (and XP) off the
+ * user's lifetime totals, with the streak milestones the day no longer
+ * supports, and records the correction in each race's audit log. Saves the
+ * races.
+ *
+ * @param {string} userId
+ * @param {{dayKey: string, activityType: string, source: string, distanceKm: number, reason: string}} correction
+ * @param {object} [options]
+ * @returns {Promise<object>} { error } ('no_value', 'not_lower' or
+ *   'race_finished') or { races: [{ race, deltaKm, fromKm, finishState }],
+ *   rawDeltaKm, progression }.
+ */
+async function correctDayTotal(userId, correction, { now = new Date(), raceIds = null } = {}) {
+  const saved = new Map();
+  const outcome = await runInTransaction(
+    (session) => applyDayCorrection(userId, correction, now, { raceIds, session, saved }),
+    { label: `correction for user ${userId}` },
+  );
+  if (outcome.error) return outcome;
+
+  for (const result of outcome.races) {
+    await announceRaceProgress(result, userId);
+  }
+  return {
+    ...outcome,
+    races: outcome.races.map(({ leaderboardBefore, finishEffects, ...result }) => result),
+  };
+}
+
+// correctDayTotal's writes, run inside its transaction. Races an earlier
+// attempt already corrected (see carryResult) are reported, not corrected
+// again.
+async function applyDayCorrection(userId, correction, now, { raceIds, session, saved }) {
+  const { dayKey, activityType, source, distanceKm, reason } = correction;
+  const races = await findSyncRaces(userId, now, { raceIds, session });
+  const user = await User.findById(userId).select('healthSync').session(session);
+  const merge = resolveMergePolicy(user);
+
+  const targets = [];
+  let hasValue = false;
+  for (const race of races) {
+    const participant = getParticipant(race, userId);
+    const entry = participant && findDayEntry(participant, dayKey);
+    const sourceEntry = entry && findSource(daySources(entry, dayActivities(entry)), source);
+    if (!sourceEntry) continue;
+    hasValue = true;
+    const fromKm = sourceKm(sourceEntry, activityType);
+    if (distanceKm >= fromKm) continue;
+    if (participant.status === 'completed' || race.finishResolution?.finalizedAt) {
+      return { error: 'race_finished' };
+    }
+    targets.push({ race, participant, entry, sourceEntry, fromKm });
+  }
+  const corrected = races.filter((race) => saved.has(race._id.toString()) &&
+    !targets.some((target) => target.race === race));
+  if (targets.length === 0 && corrected.length === 0) {
+    return { error: hasValue ? 'not_lower' : 'no_value' };
+  }
+
+  const rawBefore = highestOfRawKm(races.map((race) => rawKmBeforeWrites(race, userId, saved)));
+  const results = corrected.map((race) => ({ ...saved.get(race._id.toString()).result, race }));
+  for (const { race, participant, entry, sourceEntry, fromKm } of targets) {
+    const raceRawBefore = rawKmBeforeWrites(race, userId, saved);
+    const leaderboardBefore = buildRaceLeaderboard(race).leaderboard;
+    const storedActivities = dayActivities(entry);
+    race.lockParticipant(participant);
+    correctSourceValue(sourceEntry, activityType, distanceKm, now);
+    const { deltaKm } = refreshDayEntry(race, entry, entry.sources, merge, storedActivities);
+    participant.totalDistance = Number(
+      (participant.dailyDistances || []).reduce((sum, d) => sum + Number(d.distance || 0), 0),
+    );
+
+    const { finishState, effects: finishEffects } = refreshFinishResolution(race, now);
+    await race.save();
+    await RaceAudit.record(race._id, userId, 'correct_distance', [{
+      field: `dailyDistances.${dayKey}.${activityType}.${source}`,
+      from: fromKm,
+      to: distanceKm,
+    }], reason, { session });
+    results.push(carryResult(saved, race, raceRawBefore, {
+      race, deltaKm, fromKm, finishState, finishEffects, leaderboardBefore,
+    }, session));
+  }
+
+  const rawAfter = highestRawKm(races, userId);
+  const rawDeltaKm = rawKmChange(rawBefore, rawAfter);
+  const { progression } = await creditUserDistance(userId, rawDeltaKm, {
+    session,
+    grants: await streakRevocations(userId, rawKmByDay(rawAfter), [dayKey], { session, now }),
+  });
+  return { races: results, rawDeltaKm, progression };
+}
+
+/**
+ * Approves or rejects a pending HealthSyncFlag. Approving applies the day
+ * exactly like a sync would; the race, the user's lifetime totals and the
+ * flag's status are written in one transaction, so a flag is never applied
+ * twice.
+ *
+ * @param {string} raceId
+ * @param {string} flagId
+ * @param {{action: 'approve'|'reject', reviewerId: string, note?: string}} review
+ * @returns {Promise<object>} { error } ('not_found', 'already_reviewed',
+ *   'own_flag' or 'not_participant') or { race, flag, deltaKm }.
+ */
+async function reviewHealthFlag(raceId, flagId, { action, reviewerId, note }, now = new Date()) {
+  const outcome = await runInTransaction(async (session) => {
+    const race = await Race.findById(raceId).session(session);
+    const flag = race && await HealthSyncFlag.findOne({ _id: flagId, race: race._id }).session(session);
+    if (!flag) return { error: 'not_found' };
+    if (flag.status !== 'pending') return { error: 'already_reviewed' };
+    // An organizer who also runs the race can't clear their own days.
+    if (flag.user.toString() === reviewerId.toString()) return { error: 'own_flag' };
+
+    let applied = { deltaKm: 0, rawDeltaKm: 0 };
+    let leaderboardBefore = null;
+    let finishEffects = [];
+    if (action === 'approve') {
+      const participant = getParticipant(race, flag.user);
+      if (!participant) return { error: 'not_participant' };
+      leaderboardBefore = buildRaceLeaderboard(race).leaderboard;
+      const flaggedUser = await User.findById(flag.user).select('healthSync').session(session);
+      const wasCompleted = participant.status === 'completed';
+      race.lockParticipant(participant);
+      applied = applyDailyDistances(race, participant, [{
+        dayKey: flag.day,
+        activityType: flag.activityType || 'run',
+        distanceKm: flag.distanceKm,
+      }], now, {
+        source: flag.source || DEFAULT_SYNC_SOURCE,
+        merge: resolveMergePolicy(flaggedUser),
+      });
+      finishEffects = refreshFinishResolution(race, now).effects;
+      await race.save();
+      await creditUserDistance(flag.user, applied.rawDeltaKm, {
+        session,
+        grants: !wasCompleted && participant.status === 'completed' ? [raceFinishGrant(race)] : [],
+      });
+    }
+
+    flag.status = action === 'approve' ? 'approved' : 'rejected';
+    flag.reviewedBy = reviewerId;
+    flag.reviewedAt = now;
+    if (note) flag.reviewNote = note;
+    await flag.save();
+
+    return { race, flag, deltaKm: applied.deltaKm, leaderboardBefore, finishEffects };
+  }, { label: `review of flag ${flagId}` });
+  if (outcome.error) return outcome;
+
+  await announceRaceProgress(outcome, outcome.flag.user);
+  const { leaderboardBefore, finishEffects, ...result } = outcome;
+  return result;
+}
+
+// Total of a highestRawKm map.
+function sumRawKm(rawKm) {
+  let total = 0;
+  for (const km of rawKm.values()) total += km;
+  return total;
+}
+
+/**
+ * Raw km the user's lifetime total owes to `race` alone: its days minus
+ * what the user's other races (deleted ones included) hold for the same day
+ * and activity type. Kept on User.purgedRaceKm when the race is purged.
+ *
+ * @returns {Promise<number>}
+ */
+async function exclusiveRaceKm(race, userId, { session = null } = {}) {
+  const otherRaces = await Race.find({ _id: { $ne: race._id }, 'participants.user': userId })
+    .setOptions({ withDeleted: true })
+    .select('participants.user participants.dailyDistances')
+    .session(session);
+  return rawKmChange(highestRawKm(otherRaces, userId), highestRawKm([...otherRaces, race], userId));
+}
+
+/**
+ * Recomputes the user's lifetime km from their race days (the highest raw
+ * km per day and activity type across every race they were in, as syncs
+ * credit them, plus User.purgedRaceKm) and their XP from the ledger. Any
+ * change to the km, or mismatch between the km and the ledger's km XP, is
+ * recorded as a reconciled km entry in the ledger (this also brings XP
+ * earned before the ledger into it).
+ *
+ * On a user's first reconciliation, km their stored total holds beyond the
+ * race days (races removed before purgedRaceKm existed) is moved to
+ * purgedRaceKm rather than taken away.
+ *
+ * @returns {Promise<object|null>} { drifted, before, after } with
+ *   { totalKmLifetime, totalXp } each, or null when the user doesn't exist.
+ */
+async function reconcileUserProgression(userId, now = new Date()) {
+  return runInTransaction(async (session) => {
+    const user = await User.findById(userId)
+      .select('totalKmLifetime totalXp level purgedRaceKm progressionReconciledAt')
+      .session(session);
+    if (!user) return null;
+
+    const races = await Race.find({ 'participants.user': user._id })
+      .setOptions({ withDeleted: true })
+      .select('participants.user participants.dailyDistances')
+      .session(session);
+    const before = {
+      totalKmLifetime: Number(user.totalKmLifetime || 0),
+      totalXp: Number(user.totalXp || 0),
+    };
+    const raceKm = sumRawKm(highestRawKm(races, user._id));
+    if (!user.progressionReconciledAt) {
+      const shortfall = Number((before.totalKmLifetime - raceKm - Number(user.purgedRaceKm || 0)).toFixed(2));
+      if (shortfall > 0) {
+        user.purgedRaceKm = Number((Number(user.purgedRaceKm || 0) + shortfall).toFixed(2));
+      }
+    }
+    const totalKmLifetime = Number((raceKm + Number(user.purgedRaceKm || 0)).toFixed(2));
+    const ledger = await ledgerTotals(user._id, { session });
+    const ledgerKmXp = ledger.byReason.km?.xp || 0;
+
+    user.totalKmLifetime = totalKmLifetime;
+    user.totalXp = Math.max(0, ledger.xp);
+    const kmChange = Number((totalKmLifetime - before.totalKmLifetime).toFixed(2));
+    await recordXp(user, {
+      reason: 'km',
+      xp: xpForKm(totalKmLifetime) - ledgerKmXp,
+      km: kmChange,
+      details: { reconciled: true, fromKm: before.totalKmLifetime, toKm: totalKmLifetime },
+    }, { session, recordZeroXp: kmChange !== 0 });
+    user.level = levelFromXp(user.totalXp);
+    user.progressionReconciledAt = now;
+    await user.save();
+
+    const after = { totalKmLifetime, totalXp: user.totalXp };
+    const drifted = before.totalKmLifetime !== after.totalKmLifetime || before.totalXp !== after.totalXp;
+    return { drifted, before, after };
+  }, { label: `progression reconciliation for user ${userId}` });
+}
+
+/**
+ * Per-race part of a sync response.
+ */
+function toRaceSyncResult(result) {
+  return {
+    raceId: result.race._id,
+    raceName: result.race.name,
+    deltaKm: Number(result.deltaKm.toFixed(3)),
+    finishState: result.finishState,
+    flaggedDays: result.flaggedDays,
+  };
+}
+
+module.exports = {
+  getParticipant,
+  applyDailyDistances,
+  creditUserDistance,
+  MULTI_RACE_PARTICIPATION,
+  findSyncRaces,
+  syncDayTotals,
+  correctDayTotal,
+  reviewHealthFlag,
+  exclusiveRaceKm,
+  reconcileUserProgression,
+  toRaceSyncResult,
+};
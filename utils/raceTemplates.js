@@ -0,0 +1,287 @@
+// Race templates: recurrence scheduling and spawning races from a template
+// (see models/RaceTemplate.js and jobs/raceTemplates.js).
+
+const Race = require('../models/Race');
+const RaceAudit = require('../models/RaceAudit');
+const { zonedParts, zonedTimeToUtc, localDayKey } = require('./timeZones');
+const { generateJoinCode } = require('./raceAccess');
+const { MULTI_RACE_PARTICIPATION } = require('./raceProgress');
+const { notify } = require('./notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Race fields a template carries over to every race it spawns.
+const TEMPLATE_RACE_FIELDS = [
+  'name',
+  'description',
+  'imageUrl',
+  'startPoint',
+  'endPoint',
+  'checkpoints',
+  'routePolyline',
+  'routeDistanceKm',
+  'format',
+  'streakThresholdKm',
+  'allowedActivityTypes',
+  'activityMultipliers',
+  'teamBalanceMaxGap',
+  'allowRejoin',
+  'visibility',
+  'maxParticipants',
+];
+
+function plainPoint(point) {
+  return {
+    latitude: point.latitude,
+    longitude: point.longitude,
+    ...(point.address && { address: point.address }),
+  };
+}
+
+function startClock(rule) {
+  const [hour, minute] = String(rule.startTime || '00:00').split(':').map(Number);
+  return { hour, minute };
+}
+
+/**
+ * First start of a recurrence strictly after `from`.
+ *
+ * @param {object} rule - template.recurrence
+ * @param {Date} from
+ * @returns {Date}
+ */
+function firstOccurrence(rule, from) {
+  const { hour, minute } = startClock(rule);
+  const today = zonedParts(from, rule.timeZone);
+
+  if (rule.frequency === 'weekly') {
+    const delta = (rule.dayOfWeek - today.weekday + 7) % 7;
+    const candidate = zonedTimeToUtc({ ...today, day: today.day + delta, hour, minute }, rule.timeZone);
+    return candidate > from
+      ? candidate
+      : zonedTimeToUtc({ ...today, day: today.day + delta + 7, hour, minute }, rule.timeZone);
+  }
+
+  const candidate = zonedTimeToUtc({ ...today, day: rule.dayOfMonth, hour, minute }, rule.timeZone);
+  return candidate > from
+    ? candidate
+    : zonedTimeToUtc({ ...today, month: today.month + 1, day: rule.dayOfMonth, hour, minute }, rule.timeZone);
+}
+
+/**
+ * The start after `startAt` (interval weeks/months later, same local time).
+ */
+function followingOccurrence(rule, startAt) {
+  const { hour, minute } = startClock(rule);
+  const local = zonedParts(startAt, rule.timeZone);
+  const interval = rule.interval || 1;
+
+  if (rule.frequency === 'weekly') {
+    return zonedTimeToUtc({ ...local, day: local.day + 7 * interval, hour, minute }, rule.timeZone);
+  }
+  return zonedTimeToUtc({ ...local, month: local.month + interval, day: rule.dayOfMonth, hour, minute }, rule.timeZone);
+}
+
+// End of the race starting at startAt: durationDays later, same local time.
+function occurrenceEnd(rule, startAt) {
+  const { hour, minute } = startClock(rule);
+  const local = zonedParts(startAt, rule.timeZone);
+  return zonedTimeToUtc({ ...local, day: local.day + rule.durationDays, hour, minute }, rule.timeZone);
+}
+
+/**
+ * Sets template.nextStartAt/nextSpawnAt to `startAt` (or clears them when
+ * there is nothing left to spawn). Does not save.
+ */
+function setNextOccurrence(template, startAt) {
+  const rule = template.recurrence;
+  if (!rule || !template.active || !startAt || (rule.until && startAt > rule.until)) {
+    template.nextStartAt = null;
+    template.nextSpawnAt = null;
+    return;
+  }
+  template.nextStartAt = startAt;
+  template.nextSpawnAt = new Date(startAt.getTime() - (rule.leadDays ?? 3) * DAY_MS);
+}
+
+// Restarts the schedule from `from`, e.g. after the recurrence changed.
+function scheduleTemplate(template, from = new Date()) {
+  const rule = template.recurrence;
+  setNextOccurrence(template, rule && template.active ? firstOccurrence(rule, from) : null);
+}
+
+/**
+ * Template fields copied from an existing race (route, enrichment, image
+ * and rules), for creating a template from a race.
+ */
+function templateFieldsFromRace(race) {
+  const fields = {};
+  for (const field of TEMPLATE_RACE_FIELDS) {
+    if (race[field] !== undefined) fields[field] = race[field];
+  }
+  fields.startPoint = plainPoint(race.startPoint);
+  fields.endPoint = plainPoint(race.endPoint);
+  fields.checkpoints = (race.checkpoints || []).map(plainPoint);
+  fields.activityMultipliers = { ...(race.activityMultipliers?.toObject?.() || race.activityMultipliers || {}) };
+  fields.allowedActivityTypes = [...(race.allowedActivityTypes || [])];
+  fields.teams = (race.teams || []).map((t) => ({ name: t.name, maxMembers: t.maxMembers ?? null }));
+  return fields;
+}
+
+/**
+ * A new (unsaved) race for one occurrence of the template, named after the
+ * template and the local start day.
+ *
+ * @param {object} template - RaceTemplate document.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {object} Race document.
+ */
+function buildRaceFromTemplate(template, startDate, endDate) {
+  const fields = {};
+  for (const field of TEMPLATE_RACE_FIELDS) {
+    const value = template[field];
+    if (value !== undefined && value !== null) {
+      fields[field] = value?.toObject ? value.toObject() : value;
+    }
+  }
+
+  return new Race({
+    ...fields,
+    name: `${template.name} · ${localDayKey(startDate, template.recurrence?.timeZone)}`,
+    startPoint: plainPoint(template.startPoint),
+    endPoint: plainPoint(template.endPoint),
+    checkpoints: (template.checkpoints || []).map(plainPoint),
+    teams: (template.teams || []).map((t) => ({ name: t.name, maxMembers: t.maxMembers ?? null })),
+    ...(template.visibility === 'join_code' && { joinCode: generateJoinCode() }),
+    startDate,
+    endDate,
+    template: template._id,
+    createdBy: template.createdBy,
+    organizers: [...(template.organizers || [])],
+  });
+}
+
+// Whether the user is in another race whose window overlaps [start, end].
+async function hasOverlappingRace(userId, race) {
+  if (MULTI_RACE_PARTICIPATION) return false;
+  const other = await Race.findOne({
+    _id: { $ne: race._id },
+    startDate: { $lt: race.endDate },
+    endDate: { $gt: race.startDate },
+    participants: { $elemMatch: { user: userId, status: { $ne: 'withdrawn' } } },
+  }).select('_id');
+  return Boolean(other);
+}
+
+/**
+ * Enrolls a template's auto-enroll user in a spawned race (does not save):
+ * waitlisted when the race is full, skipped when they are in an overlapping
+ * race or cannot join for another reason.
+ *
+ * @returns {Promise<'enrolled'|'waitlisted'|'skipped'>}
+ */
+async function autoEnrollUser(race, userId, now = new Date()) {
+  if (await hasOverlappingRace(userId, race)) return 'skipped';
+  try {
+    race.enrollParticipant(userId, { now });
+    return 'enrolled';
+  } catch (error) {
+    if (!Race.isJoinError(error)) throw error;
+    if (Race.joinErrorCode(error) !== 'race_full') return 'skipped';
+  }
+  try {
+    race.addToWaitlist(userId, { now });
+    return 'waitlisted';
+  } catch (error) {
+    if (!Race.isJoinError(error)) throw error;
+    return 'skipped';
+  }
+}
+
+/**
+ * Creates and saves the race for one occurrence, then enrolls the
+ * template's auto-enroll users. Also records the spawn on the template
+ * (not saved).
+ *
+ * @param {object} template - RaceTemplate document.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Promise<{race: object, enrolled: string[], waitlisted: string[], skipped: string[]}>}
+ */
+async function spawnRaceFromTemplate(template, startDate, endDate, now = new Date()) {
+  const race = buildRaceFromTemplate(template, startDate, endDate);
+  await race.save();
+  await RaceAudit.record(race._id, template.createdBy, 'create');
+
+  const outcomes = { enrolled: [], waitlisted: [], skipped: [] };
+  for (const userId of (template.autoEnroll || []).map((id) => id.toString())) {
+    outcomes[await autoEnrollUser(race, userId, now)].push(userId);
+  }
+  const { enrolled, waitlisted, skipped } = outcomes;
+  if (enrolled.length > 0 || waitlisted.length > 0) {
+    await race.save();
+  }
+
+  for (const userId of [...enrolled, ...waitlisted]) {
+    await notify(userId, {
+      type: 'race_auto_enrolled',
+      title: 'New race',
+      body: enrolled.includes(userId)
+        ? `You were enrolled in "${race.name}".`
+        : `"${race.name}" is full. You are on the waitlist.`,
+      data: { raceId: race._id.toString(), templateId: template._id.toString() },
+    });
+  }
+
+  template.lastSpawnedRace = race._id;
+  template.spawnCount = (template.spawnCount || 0) + 1;
+
+  return { race, enrolled, waitlisted, skipped };
+}
+
+/**
+ * Spawns the template's next scheduled race if it is due (or right away
+ * with options.early), skipping occurrences that have already ended, and
+ * moves the schedule on. Saves the template.
+ *
+ * @returns {Promise<object|null>} spawnRaceFromTemplate's result, or null
+ *   when nothing was due.
+ */
+async function spawnNextRace(template, now = new Date(), { early = false } = {}) {
+  const rule = template.recurrence;
+  let startAt = template.nextStartAt;
+  while (startAt && occurrenceEnd(rule, startAt) <= now) {
+    startAt = followingOccurrence(rule, startAt);
+  }
+  setNextOccurrence(template, startAt);
+  if (!template.nextSpawnAt || (!early && template.nextSpawnAt > now)) {
+    await template.save();
+    return null;
+  }
+
+  let result;
+  try {
+    result = await spawnRaceFromTemplate(template, startAt, occurrenceEnd(rule, startAt), now);
+  } catch (error) {
+    // Already spawned (e.g. by a manual spawn); just move on.
+    if (error?.code !== 11000) throw error;
+    result = null;
+  }
+  setNextOccurrence(template, followingOccurrence(rule, startAt));
+  await template.save();
+  return result;
+}
+
+module.exports = {
+  TEMPLATE_RACE_FIELDS,
+  firstOccurrence,
+  followingOccurrence,
+  occurrenceEnd,
+  setNextOccurrence,
+  scheduleTemplate,
+  templateFieldsFromRace,
+  autoEnrollUser,
+  spawnRaceFromTemplate,
+  spawnNextRace,
+};
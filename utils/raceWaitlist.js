@@ -0,0 +1,85 @@
+// Waitlist promotion for races with maxParticipants: whenever spots free up
+// (a participant leaves or is removed, or the cap is raised), waitlisted
+// users are enrolled in the order they joined.
+
+const Race = require('../models/Race');
+const RaceInvite = require('../models/RaceInvite');
+const { MULTI_RACE_PARTICIPATION } = require('./raceProgress');
+const { grantXp, inviteAcceptedGrant } = require('./progression');
+
+async function hasOtherOngoingRace(userId, race, now) {
+  if (MULTI_RACE_PARTICIPATION) return false;
+  const other = await Race.findOne({
+    _id: { $ne: race._id },
+    endDate: { $gte: now },
+    participants: { $elemMatch: { user: userId, status: { $ne: 'withdrawn' } } },
+  }).select('_id');
+  return Boolean(other);
+}
+
+/**
+ * Enrolls waitlisted users while the race has open spots (does not save).
+ * Users who can no longer take the spot (already in another race, or no
+ * team has room) are dropped from the waitlist.
+ *
+ * @param {object} race - Race document.
+ * @param {Date} now
+ * @returns {Promise<string[]>} Ids of the promoted users.
+ */
+async function promoteWaitlist(race, now = new Date()) {
+  const promoted = [];
+  if (now > race.endDate) return promoted;
+
+  while ((race.waitlist || []).length > 0 && race.hasOpenSpot()) {
+    const entry = race.waitlist[0];
+    const userId = entry.user.toString();
+
+    if (await hasOtherOngoingRace(userId, race, now)) {
+      console.log(`⏭️  [RACES] Waitlisted user ${userId} is in another race; dropped from ${race._id}`);
+      race.removeFromWaitlist(userId);
+      continue;
+    }
+
+    try {
+      try {
+        race.enrollParticipant(userId, { teamId: entry.team, fromWaitlist: true, now });
+      } catch (error) {
+        // The requested team filled up meanwhile; any team will do.
+        if (!entry.team || !Race.isJoinError(error)) throw error;
+        race.enrollParticipant(userId, { fromWaitlist: true, now });
+      }
+      promoted.push(userId);
+    } catch (error) {
+      if (!Race.isJoinError(error)) throw error;
+      console.log(`⏭️  [RACES] Waitlisted user ${userId} dropped from ${race._id}: ${error.message}`);
+      race.removeFromWaitlist(userId);
+    }
+  }
+
+  return promoted;
+}
+
+/**
+ * Invite XP for whoever invited the promoted users, for invites accepted
+ * while the race was full: an invite only earns XP once the invitee is
+ * enrolled. Call after the race is saved; failures are only logged.
+ *
+ * @param {object} race
+ * @param {string[]} promoted - promoteWaitlist's result.
+ */
+async function rewardPromotedInviters(race, promoted) {
+  if (promoted.length === 0) return;
+  const invites = await RaceInvite.find({ race: race._id, toUser: { $in: promoted }, status: 'accepted' });
+  for (const invite of invites) {
+    try {
+      await grantXp(invite.fromUser, inviteAcceptedGrant(invite));
+    } catch (error) {
+      console.warn(`⚠️  [RACES] Invite XP for user ${invite.fromUser} failed:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  promoteWaitlist,
+  rewardPromotedInviters,
+};
@@ -0,0 +1,99 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Tries to take the named lock until `now + ttlMs`.
+ * Succeeds when the lock is free, expired, or already held by this instance.
+ *
+ * @param {string} name - Job name.
+ * @param {number} ttlMs - How long the lock is held.
+ * @returns {Promise<boolean>} Whether this instance holds the lock.
+ */
+async function acquireLock(name, ttlMs, now = new Date()) {
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      {
+        name,
+        $or: [
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now } },
+          { owner: INSTANCE_ID },
+        ],
+      },
+      {
+        $set: {
+          owner: INSTANCE_ID,
+          lockedUntil: new Date(now.getTime() + ttlMs),
+        },
+      },
+      { new: true, upsert: true },
+    );
+    return Boolean(lock && lock.owner === INSTANCE_ID);
+  } catch (error) {
+    // Duplicate key on upsert: another instance holds the lock.
+    if (error && error.code === 11000) return false;
+    throw error;
+  }
+}
+
+/**
+ * Runs each job on its own interval. A job runs only when the previous run
+ * on this instance has finished and this instance holds the job's lock.
+ * The lock is kept for the whole interval so that several server instances
+ * run a job at most once per interval between them.
+ *
+ * @param {Array<{name: string, intervalMs: number, run: Function}>} jobs
+ * @returns {Function} stop - Clears all timers.
+ */
+function startScheduler(jobs) {
+  const timers = [];
+
+  for (const job of jobs) {
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      const now = new Date();
+      try {
+        const acquired = await acquireLock(job.name, job.intervalMs, now);
+        if (!acquired) return;
+
+        const result = await job.run(now);
+        await JobLock.updateOne(
+          { name: job.name, owner: INSTANCE_ID },
+          { $set: { lastRunAt: now, lastError: null } },
+        );
+        if (result && Object.values(result).some((v) => v)) {
+          console.log(`⏰ [JOBS] ${job.name}:`, JSON.stringify(result));
+        }
+      } catch (error) {
+        console.error(`❌ [JOBS] ${job.name} failed:`, error.message || error);
+        try {
+          await JobLock.updateOne(
+            { name: job.name, owner: INSTANCE_ID },
+            { $set: { lastError: String(error.message || error) } },
+          );
+        } catch (_) {}
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(tick, job.intervalMs);
+    if (typeof timer.unref === 'function') timer.unref();
+    timers.push(timer);
+    setImmediate(tick);
+  }
+
+  return () => timers.forEach((timer) => clearInterval(timer));
+}
+
+module.exports = {
+  INSTANCE_ID,
+  acquireLock,
+  startScheduler,
+};
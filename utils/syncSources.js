@@ -0,0 +1,158 @@
+// Per-source day values. Every dailyDistances entry keeps what each source
+// (a watch, a phone, the activity log) reported for the day; the day's
+// activities are those values combined by the user's merge policy:
+// - max: the highest source, so one workout seen by two devices counts once
+// - preferred: the user's preferred source where it reported the activity
+//   type, otherwise max
+// - sum: all sources added up, for sources that record different workouts
+// Each source only moves up on sync; corrections (POST
+// /api/races/health/corrections) take km off a source.
+
+const { ACTIVITY_TYPES } = require('../models/Activity');
+
+const SYNC_MERGE_POLICIES = ['max', 'preferred', 'sum'];
+// Sources Health sync clients may report as, one per health platform. A
+// fixed list, so the sum policy can't be inflated by re-sending the same
+// km under new source names.
+const CLIENT_SYNC_SOURCES = ['healthkit', 'health_connect', 'garmin', 'strava', 'fitbit'];
+// Also where days stored before sources existed are kept.
+const DEFAULT_SYNC_SOURCE = 'healthkit';
+// Activity roll-ups (routes/activities.js).
+const ACTIVITY_SYNC_SOURCE = 'activities';
+const SYNC_SOURCES = [...CLIENT_SYNC_SOURCES, ACTIVITY_SYNC_SOURCE];
+
+const DEFAULT_MERGE_POLICY = SYNC_MERGE_POLICIES.includes(process.env.HEALTH_SYNC_MERGE_POLICY)
+  ? process.env.HEALTH_SYNC_MERGE_POLICY
+  : 'max';
+
+function emptyActivities() {
+  return Object.fromEntries(ACTIVITY_TYPES.map((type) => [type, 0]));
+}
+
+// The user's merge settings (User.healthSync), with the server default.
+function resolveMergePolicy(user) {
+  const prefs = user?.healthSync || {};
+  return {
+    policy: prefs.mergePolicy || DEFAULT_MERGE_POLICY,
+    preferredSource: prefs.preferredSource || null,
+  };
+}
+
+// Km a source counts for one activity type: what it reported, less corrections.
+function sourceKm(sourceEntry, activityType) {
+  return Math.max(
+    0,
+    Number(sourceEntry?.reported?.[activityType] || 0) - Number(sourceEntry?.adjustments?.[activityType] || 0),
+  );
+}
+
+/**
+ * Combines a day's sources into raw km per activity type.
+ *
+ * @param {Array} sources - entry.sources
+ * @param {{policy: string, preferredSource?: string}} merge
+ * @returns {object} { run, walk, cycle }
+ */
+function combineSources(sources, { policy, preferredSource } = {}) {
+  const activities = emptyActivities();
+  for (const type of ACTIVITY_TYPES) {
+    const values = (sources || []).map((s) => sourceKm(s, type));
+    if (policy === 'sum') {
+      activities[type] = values.reduce((sum, km) => sum + km, 0);
+      continue;
+    }
+    const preferred = policy === 'preferred' && preferredSource
+      ? (sources || []).find((s) => s.source === preferredSource)
+      : null;
+    activities[type] = preferred && Number(preferred.reported?.[type] || 0) > 0
+      ? sourceKm(preferred, type)
+      : Math.max(0, ...values);
+  }
+  return activities;
+}
+
+/**
+ * The entry's sources, after moving a day stored before sources existed
+ * under the default source (the Health sync that stored it), so the same
+ * total synced again is not counted twice. Does not save.
+ *
+ * @param {object} entry - dailyDistances entry.
+ * @param {object} storedActivities - The entry's current raw km per type.
+ */
+function daySources(entry, storedActivities) {
+  if (!entry.sources) entry.sources = [];
+  if (entry.sources.length === 0 && ACTIVITY_TYPES.some((type) => storedActivities[type] > 0)) {
+    entry.sources.push({ source: DEFAULT_SYNC_SOURCE, reported: { ...storedActivities } });
+  }
+  return entry.sources;
+}
+
+function findSource(sources, source) {
+  return (sources || []).find((s) => s.source === source) || null;
+}
+
+/**
+ * Records a source's total for a day and activity type (never lower than
+ * what it reported before). Does not save.
+ *
+ * @returns {boolean} Whether the value went up.
+ */
+function recordSourceValue(sources, { source, activityType, km, syncId = null, now = new Date() }) {
+  let entry = findSource(sources, source);
+  if (!entry) {
+    sources.push({ source, reported: emptyActivities(), adjustments: emptyActivities() });
+    entry = sources[sources.length - 1];
+  }
+  const before = Number(entry.reported?.[activityType] || 0);
+  if (km <= before) return false;
+
+  entry.reported[activityType] = km;
+  entry.lastSyncId = syncId;
+  entry.updatedAt = now;
+  return true;
+}
+
+/**
+ * Lowers what a source counts for a day and activity type to `km`. The km
+ * taken off stay off when the source re-syncs the same total; anything it
+ * reports on top still counts. Does not save.
+ */
+function correctSourceValue(sourceEntry, activityType, km, now = new Date()) {
+  if (!sourceEntry.adjustments) sourceEntry.adjustments = emptyActivities();
+  sourceEntry.adjustments[activityType] = Number(sourceEntry.reported?.[activityType] || 0) - km;
+  sourceEntry.updatedAt = now;
+}
+
+/**
+ * Raw km a day and activity type would hold if `source` reported `km`
+ * (plausibility screening runs on this before anything is stored).
+ */
+function previewSourceValue(entry, storedActivities, { source, activityType, km }, merge) {
+  const sources = (entry?.sources?.length ? entry.sources : []).map((s) => ({
+    source: s.source,
+    reported: { ...emptyActivities(), ...(s.reported?.toObject?.() || s.reported) },
+    adjustments: { ...emptyActivities(), ...(s.adjustments?.toObject?.() || s.adjustments) },
+  }));
+  if (sources.length === 0 && ACTIVITY_TYPES.some((type) => storedActivities[type] > 0)) {
+    sources.push({ source: DEFAULT_SYNC_SOURCE, reported: { ...storedActivities }, adjustments: emptyActivities() });
+  }
+  recordSourceValue(sources, { source, activityType, km });
+  return combineSources(sources, merge)[activityType];
+}
+
+module.exports = {
+  SYNC_MERGE_POLICIES,
+  CLIENT_SYNC_SOURCES,
+  SYNC_SOURCES,
+  DEFAULT_SYNC_SOURCE,
+  ACTIVITY_SYNC_SOURCE,
+  DEFAULT_MERGE_POLICY,
+  resolveMergePolicy,
+  sourceKm,
+  combineSources,
+  daySources,
+  findSource,
+  recordSourceValue,
+  correctSourceValue,
+  previewSourceValue,
+};
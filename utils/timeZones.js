@@ -0,0 +1,127 @@
+// IANA time zone helpers built on Intl (no tz database dependency).
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone.
+ *
+ * @param {Date} date
+ * @param {string} timeZone - IANA name, e.g. 'Europe/Bucharest'.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   month is 1-12, weekday 0 (Sunday) - 6.
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+// Milliseconds the zone is ahead of UTC at `date`.
+function offsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time occurs in a time zone. Day overflow is
+ * normalized (day 32 -> next month). Times skipped by a DST jump are
+ * shifted forward by the gap; repeated times resolve to the later one.
+ *
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number}} local - month 1-12.
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const first = wallClock - offsetMs(new Date(wallClock), timeZone);
+  const second = wallClock - offsetMs(new Date(first), timeZone);
+  return new Date(first === second ? first : Math.max(first, second));
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of an instant in a time zone; UTC when no zone
+ * is given.
+ */
+function localDayKey(date, timeZone = 'UTC') {
+  const d = date instanceof Date ? date : new Date(date);
+  if (!timeZone || timeZone === 'UTC') return d.toISOString().slice(0, 10);
+  const p = zonedParts(d, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Day key for a calendar date or an instant. A bare date ('2026-10-19') is
+ * already a local day and is returned as is; an instant is bucketed into
+ * the day it falls on in timeZone.
+ *
+ * @param {string|Date} dateLike
+ * @param {string} [timeZone='UTC']
+ * @returns {string|null} YYYY-MM-DD, or null when unparseable.
+ */
+function toDayKey(dateLike, timeZone = 'UTC') {
+  if (typeof dateLike === 'string' && DAY_KEY_PATTERN.test(dateLike)) {
+    return Number.isNaN(new Date(dateLike).getTime()) ? null : dateLike;
+  }
+  const d = new Date(dateLike);
+  if (Number.isNaN(d.getTime())) return null;
+  return localDayKey(d, timeZone);
+}
+
+// The day key `days` calendar days after `dayKey` (before, when negative).
+function shiftDayKey(dayKey, days) {
+  const d = new Date(dayKey);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  isValidTimeZone,
+  zonedParts,
+  zonedTimeToUtc,
+  localDayKey,
+  DAY_KEY_PATTERN,
+  toDayKey,
+  shiftDayKey,
+};
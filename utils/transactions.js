@@ -0,0 +1,87 @@
+// Multi-document writes that must land together (race progress and the
+// user's lifetime km/XP) run in a MongoDB transaction. Transactions need a
+// replica set (Atlas, or a local single-node replica set); on a standalone
+// server (the default local setup) the same writes run without one. Set
+// MONGODB_TRANSACTIONS=false to never use them.
+
+const mongoose = require('mongoose');
+
+const TRANSACTIONS_ENABLED = process.env.MONGODB_TRANSACTIONS !== 'false';
+const MAX_TRANSACTION_ATTEMPTS = Number(process.env.MONGODB_TRANSACTION_ATTEMPTS || 3);
+
+// Whether the connected deployment runs transactions; set by
+// detectTransactionSupport() and turned off when the server refuses one.
+let transactionsSupported = TRANSACTIONS_ENABLED;
+
+/**
+ * Checks whether the connected deployment is a replica set or a sharded
+ * cluster (mongos), the only ones that run transactions. Call once
+ * connected.
+ *
+ * @returns {Promise<boolean>} Whether transactions will be used.
+ */
+async function detectTransactionSupport(connection = mongoose.connection) {
+  if (!TRANSACTIONS_ENABLED) return false;
+  const hello = await connection.db.admin().command({ hello: 1 });
+  transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  return transactionsSupported;
+}
+
+// The server can't run transactions (standalone mongod: IllegalOperation,
+// "Transaction numbers are only allowed on a replica set member").
+function isTransactionUnsupported(error) {
+  return error?.code === 20 || /Transaction numbers are only allowed/.test(error?.message || '');
+}
+
+// Another write got there first: a participant's version moved on (see
+// Race#lockParticipant), or the transaction hit a write conflict.
+function isConcurrentUpdate(error) {
+  return error?.name === 'DocumentNotFoundError' ||
+    error?.name === 'VersionError' ||
+    (typeof error?.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError'));
+}
+
+/**
+ * Runs `work(session)` in a transaction and returns its result. On a
+ * concurrent update the whole of `work` runs again, so it must load every
+ * document it writes itself, with the session (`session` is null when
+ * transactions are not used). Without a session, what a failed attempt
+ * saved stays saved: work writing several documents must not count it
+ * again on the retry (see carryResult in utils/raceProgress.js).
+ *
+ * @param {Function} work - async (session) => result
+ * @param {object} [options]
+ * @param {string} [options.label] - What is being written, for logs.
+ * @returns {Promise<*>}
+ */
+async function runInTransaction(work, { label = 'transaction' } = {}) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      if (!transactionsSupported) {
+        return await work(null);
+      }
+      let result;
+      await mongoose.connection.transaction(async (session) => {
+        result = await work(session);
+      });
+      return result;
+    } catch (error) {
+      if (transactionsSupported && isTransactionUnsupported(error)) {
+        // Nothing was written: the server refuses the first operation.
+        transactionsSupported = false;
+        console.warn('⚠️  [DB] MongoDB does not support transactions here; writing without them');
+        attempt -= 1;
+        continue;
+      }
+      if (attempt >= MAX_TRANSACTION_ATTEMPTS || !isConcurrentUpdate(error)) throw error;
+      console.warn(`🔁 [DB] Concurrent update during ${label}; retrying (attempt ${attempt + 1})`);
+    }
+  }
+}
+
+module.exports = {
+  TRANSACTIONS_ENABLED,
+  detectTransactionSupport,
+  isConcurrentUpdate,
+  runInTransaction,
+};